@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+// The busybot command-line tool, for scripting and testing: reads and writes
+// challenges ({c, d, m, ...}) and solutions ({s}) as JSON, so that it can be
+// composed with shell pipelines and curl, e.g.:
+//   busybot generate --difficulty 100 > challenge.json
+//   busybot solve challenge.json | busybot verify challenge.json
+/* global process */
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { generate, solve, verify, benchmark } from './index.mjs';
+
+const Usage = `Usage: busybot <command> [options]
+
+Commands:
+  generate [--exponent N | --pseudo-exponent N] [--difficulty D | --target-ms MS] [--secret S] [--ttl SECONDS] [--seed SEED]
+      Print a new challenge as JSON, using the Mersenne prime 2^N - 1, or with
+      --pseudo-exponent the built-in pseudo-Mersenne prime 2^N - k. With
+      --seed, the challenge value is derived from SEED, for reproducible tests.
+  solve [FILE] [--max-cost MS] [--quiet]
+      Solve a challenge read from FILE (or stdin), printing the solution as
+      JSON, and progress to stderr.
+  verify CHALLENGE_FILE [SOLUTION_FILE] [--secret S ...]
+      Verify a solution read from SOLUTION_FILE (or stdin), exiting with
+      status 0 if it is correct, or 1 if it is not.
+  bench [--exponents N,N,...] [--min-duration-ms MS] [--json]
+      Print the time per iteration to solve and verify for each exponent, or
+      with --json, a profile that can be used with generate().
+
+FILE may be - for stdin. --secret defaults to the BUSYBOT_SECRET environment
+variable. Exits with status 2 for invalid arguments or input.
+`;
+
+// exit statuses
+const Invalid = 1;
+const Usage_Error = 2;
+
+function readInput(file) {
+    if (file === undefined || file === '-') {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            process.stdin.on('data', (chunk) => chunks.push(chunk));
+            process.stdin.on('end', () => resolve(chunks.join('')));
+            process.stdin.on('error', reject);
+            process.stdin.setEncoding('utf8');
+        });
+    }
+    return readFile(file, 'utf8');
+}
+
+async function readJSON(file) {
+    const text = await readInput(file);
+    try {
+        return JSON.parse(text);
+    } catch (ignored_e) {
+        throw new Error(`${file === undefined || file === '-' ? 'stdin' : file} is not valid JSON`);
+    }
+}
+
+function writeJSON(value) {
+    process.stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+function toNumber(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) {
+        throw new Error(`--${flag} must be a number`);
+    }
+    return number;
+}
+
+// the --secret flag(s), or else BUSYBOT_SECRET
+function secretsFrom(values) {
+    return values ?? (process.env.BUSYBOT_SECRET || undefined);
+}
+
+async function generateCommand(args) {
+    const {values} = parseArgs({args, options: {
+        exponent: {type: 'string', short: 'm'},
+        'pseudo-exponent': {type: 'string'},
+        difficulty: {type: 'string', short: 'd'},
+        'target-ms': {type: 'string'},
+        secret: {type: 'string'},
+        ttl: {type: 'string'},
+        seed: {type: 'string'}
+    }});
+    const secret = secretsFrom(values.secret);
+    writeJSON(await generate({
+        forMersenneExponent: toNumber(values.exponent, 'exponent'),
+        forPseudoMersenneExponent: toNumber(values['pseudo-exponent'], 'pseudo-exponent'),
+        withDifficulty: toNumber(values.difficulty, 'difficulty'),
+        targetSolveMs: toNumber(values['target-ms'], 'target-ms'),
+        ...(secret !== undefined && {secret}),
+        ...(values.ttl !== undefined && {ttlSeconds: toNumber(values.ttl, 'ttl')}),
+        ...(values.seed !== undefined && {seed: values.seed})
+    }));
+}
+
+// report progress on one line of a terminal, or a line at a time otherwise
+function progressReporter() {
+    const tty = process.stderr.isTTY;
+    return ({iteration, total, fraction, etaMs}) => {
+        const eta = etaMs === null ? '' : `, about ${Math.ceil(etaMs / 1000)}s left`;
+        const line = `${(fraction * 100).toFixed(1)}% (${iteration}/${total})${eta}`;
+        process.stderr.write(tty ? `\r${line.padEnd(40)}${iteration === total ? '\n' : ''}` : `${line}\n`);
+    };
+}
+
+async function solveCommand(args) {
+    const {values, positionals} = parseArgs({args, allowPositionals: true, options: {
+        'max-cost': {type: 'string'},
+        quiet: {type: 'boolean', short: 'q'}
+    }});
+    if (positionals.length > 1) {
+        throw new Error('solve takes at most one FILE');
+    }
+    const challenge = await readJSON(positionals[0]);
+    writeJSON(solve(challenge, {
+        maxSolveCost: toNumber(values['max-cost'], 'max-cost'),
+        ...(!values.quiet && {onProgress: progressReporter(), progressEveryMs: 250})
+    }));
+}
+
+async function verifyCommand(args) {
+    const {values, positionals} = parseArgs({args, allowPositionals: true, options: {
+        secret: {type: 'string', multiple: true}
+    }});
+    if (positionals.length < 1 || positionals.length > 2) {
+        throw new Error('verify takes a CHALLENGE_FILE, and optionally a SOLUTION_FILE');
+    }
+    if ((positionals[0] === '-') && (positionals[1] === undefined || positionals[1] === '-')) {
+        throw new Error('the challenge and solution cannot both be read from stdin');
+    }
+    const challenge = await readJSON(positionals[0]);
+    const solution = await readJSON(positionals[1]);
+    const secrets = secretsFrom(values.secret);
+    if (!verify(challenge, solution, {...(secrets !== undefined && {secrets})})) {
+        process.stderr.write('Invalid solution\n');
+        process.exitCode = Invalid;
+    }
+}
+
+async function benchCommand(args) {
+    const {values} = parseArgs({args, options: {
+        exponents: {type: 'string'},
+        'min-duration-ms': {type: 'string'},
+        json: {type: 'boolean'}
+    }});
+    const profile = benchmark({
+        ...(values.exponents !== undefined && {exponents: values.exponents.split(',').map(m => toNumber(m, 'exponents'))}),
+        ...(values['min-duration-ms'] !== undefined && {minDurationMs: toNumber(values['min-duration-ms'], 'min-duration-ms')})
+    });
+    if (values.json) {
+        return writeJSON(profile);
+    }
+    const rows = [['exponent', 'solve ms', 'verify ms', 'ratio']];
+    for (const m of Object.keys(profile.solveIterationMs)) {
+        const solveMs = profile.solveIterationMs[m];
+        const verifyMs = profile.verifyIterationMs[m];
+        rows.push([m, solveMs.toPrecision(3), verifyMs.toPrecision(3), Math.round(solveMs / verifyMs).toString()]);
+    }
+    for (const row of rows) {
+        process.stdout.write(`${row.map((cell, i) => i === 0 ? cell.padEnd(8) : cell.padStart(12)).join(' ')}\n`);
+    }
+}
+
+const Commands = {
+    generate: generateCommand,
+    solve: solveCommand,
+    verify: verifyCommand,
+    bench: benchCommand
+};
+
+async function main([command, ...args]) {
+    if (command === undefined || command === '--help' || command === '-h' || command === 'help') {
+        process.stdout.write(Usage);
+        process.exitCode = command === undefined ? Usage_Error : 0;
+        return;
+    }
+    if (!Object.hasOwn(Commands, command)) {
+        process.stderr.write(`busybot: unknown command "${command}"\n\n${Usage}`);
+        process.exitCode = Usage_Error;
+        return;
+    }
+    try {
+        await Commands[command](args);
+    } catch (e) {
+        process.stderr.write(`busybot: ${e.message}\n`);
+        process.exitCode = Usage_Error;
+    }
+}
+
+await main(process.argv.slice(2));
@@ -0,0 +1,69 @@
+/**
+ * TypeScript definitions for the busybot <busybot-gate> custom element
+ */
+
+import type { Challenge, Solution, SolveProgress, BusybotError } from './index.js';
+
+/**
+ * A solved challenge, in the form accepted by the middleware
+ */
+export interface GateSubmission {
+    challenge: Challenge;
+    solution: Solution;
+}
+
+/**
+ * Details of the events emitted by <busybot-gate> (which bubble)
+ */
+export interface BusybotGateEventMap {
+    /** A challenge has been fetched, and solving has started */
+    'busybot-start': CustomEvent<{ challenge: Challenge }>;
+    /** The progress of solving */
+    'busybot-progress': CustomEvent<SolveProgress>;
+    /** The challenge has been solved, and the hidden input filled */
+    'busybot-done': CustomEvent<GateSubmission>;
+    /** The challenge could not be fetched or solved */
+    'busybot-error': CustomEvent<{ error: BusybotError | Error }>;
+}
+
+/**
+ * <busybot-gate>: gates its enclosing form behind a challenge fetched from
+ * its challenge-url attribute. Other attributes: field, label, lazy, solver
+ * ("worker" or "async") and max-solve-cost. Each solution is only submitted
+ * once, after which (unless lazy) the next challenge is started.
+ */
+export class BusybotGate extends HTMLElement {
+    /** The solved challenge, or null if not (yet) solved */
+    readonly submission: GateSubmission | null;
+
+    /**
+     * Fetch and solve a new challenge, abandoning any in progress. Can be
+     * called before the element is connected
+     *
+     * @throws {BusybotError} If the challenge cannot be fetched or solved
+     */
+    start(): Promise<GateSubmission>;
+
+    /**
+     * Resolve to body with the submission added in the field, starting if
+     * necessary. The submission is used up: it is cleared, and (unless lazy)
+     * the next challenge is started. Can be called before the element is
+     * connected
+     *
+     * @throws {BusybotError} If the challenge cannot be fetched or solved
+     */
+    withSolution<T extends object>(body?: T): Promise<T & Record<string, GateSubmission>>;
+}
+
+/**
+ * Define the element (as busybot-gate unless another name is given), if it
+ * has not already been defined. Called with the default name on import.
+ */
+export function defineBusybotGate(name?: string): void;
+
+declare global {
+    interface HTMLElementTagNameMap {
+        'busybot-gate': BusybotGate;
+    }
+    interface HTMLElementEventMap extends BusybotGateEventMap {}
+}
@@ -0,0 +1,272 @@
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+// <busybot-gate>: a custom element that gates a form behind a challenge.
+//
+// When it is connected to the page (or, with the lazy attribute, when its form
+// is first submitted), it fetches a challenge from challenge-url, and solves
+// it without blocking the page, showing its progress. The solution is put in
+// a hidden input named by the field attribute (default "busybot") as the JSON
+// {challenge, solution}, the same form the middleware accepts (see
+// middleware.mjs). If the form is submitted before the solution is ready,
+// submission is delayed until it is. Each solution can only be redeemed once,
+// so once the form has been submitted with it, it is cleared, and (unless
+// lazy) the next challenge is fetched and solved.
+//
+//   <form method="post" action="/expensive">
+//     <busybot-gate challenge-url="/challenge"></busybot-gate>
+//     <button>Send</button>
+//   </form>
+//
+// Attributes:
+//   challenge-url: where to fetch challenges from (required). The response
+//     must be a JSON challenge, or {challenge} (as in the middleware's error
+//     responses).
+//   field: name of the hidden input (default "busybot")
+//   label: accessible label for the progress bar
+//   lazy: only start when the form is submitted, or start() is called
+//   solver: "worker" (default) to solve in a worker (see solveInWorker()), or
+//     "async" to solve on the main thread in slices (see solveAsync())
+//   max-solve-cost: reject challenges estimated to take longer than this
+//     many milliseconds to solve (see solve({maxSolveCost}))
+//
+// Events (which bubble):
+//   busybot-start: {challenge}, once a challenge has been fetched
+//   busybot-progress: the progress of solving (see solve({onProgress}))
+//   busybot-done: {challenge, solution}
+//   busybot-error: {error}
+//
+// For forms submitted with fetch, await gate.withSolution(body) adds the
+// submission to a (JSON) body object, using it up in the same way. start() and
+// withSolution() can also be used before the element is connected.
+/* global fetch, document, CustomEvent, AbortController, setTimeout */
+import { solveInWorker, solveAsync, BusybotError } from './index.mjs';
+
+const Default_Field = 'busybot';
+const Default_Label = 'Checking that you are not a bot';
+const Progress_Every_Ms = 100;
+
+// (so that this module can be imported where there is no DOM, for example to
+// server-render pages)
+const Base_Element = globalThis.HTMLElement ?? class {};
+
+class BusybotGate extends Base_Element {
+    #input = null;
+    #progress = null;
+    #status = null;
+    #form = null;
+    #controller = null;
+    #running = null;
+    #submission = null;
+    #pendingSubmit = null;
+
+    connectedCallback() {
+        this.#render();
+        this.#form = this.closest('form');
+        this.#form?.addEventListener('submit', this.#onSubmit);
+        if ((!this.hasAttribute('lazy')) && !this.#running && !this.#submission) {
+            this.#startQuietly();
+        }
+    }
+
+    disconnectedCallback() {
+        this.#form?.removeEventListener('submit', this.#onSubmit);
+        this.#form = null;
+        this.#controller?.abort();
+        // (an abandoned run doesn't report its outcome, so that it starts
+        // again if reconnected, for example when the element is moved)
+        if (this.#running) {
+            this.#running = null;
+            this.#pendingSubmit = null;
+            this.removeAttribute('aria-busy');
+            this.#status.textContent = '';
+        }
+    }
+
+    // the {challenge, solution} once solved, or else null
+    get submission() {
+        return this.#submission;
+    }
+
+    // fetch and solve a new challenge (abandoning any in progress), resolving
+    // to the submission, or rejecting if it can't be fetched or solved. (This
+    // also works before the element is connected, for example to get a
+    // submission for withSolution() without showing the progress)
+    start() {
+        this.#render();
+        this.#controller?.abort();
+        const controller = this.#controller = new AbortController();
+        this.#submission = null;
+        this.#input.value = '';
+        const running = this.#run(controller.signal).finally(() => {
+            if (this.#running === running) {
+                this.#running = null;
+            }
+        });
+        this.#running = running;
+        return running;
+    }
+
+    // resolve to body with the submission added in the field, starting if
+    // necessary, and using the submission up
+    async withSolution(body = {}) {
+        const submission = this.#submission ?? await (this.#running ?? this.start());
+        // (if a concurrent call used it up first, wait for the next one)
+        if (!this.#consume(submission)) {
+            return this.withSolution(body);
+        }
+        return {...body, [this.#field]: submission};
+    }
+
+    get #field() {
+        return this.getAttribute('field') || Default_Field;
+    }
+
+    // add the input and progress elements, if they haven't been already (they
+    // can't be added in the constructor)
+    #render() {
+        if (this.#input) {
+            return;
+        }
+        const label = this.getAttribute('label') || Default_Label;
+        this.#input = document.createElement('input');
+        this.#input.setAttribute('type', 'hidden');
+        this.#input.setAttribute('name', this.#field);
+        this.#progress = document.createElement('progress');
+        this.#progress.setAttribute('max', '1');
+        this.#progress.setAttribute('aria-label', label);
+        // (only the start and end are announced, not every update)
+        this.#status = document.createElement('span');
+        this.#status.setAttribute('role', 'status');
+        this.#status.setAttribute('aria-live', 'polite');
+        this.appendChild(this.#input);
+        this.appendChild(this.#progress);
+        this.appendChild(this.#status);
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, {detail, bubbles: true, composed: true}));
+    }
+
+    // start, reporting errors only by the busybot-error event
+    #startQuietly() {
+        this.start().catch(() => {});
+    }
+
+    async #run(signal) {
+        try {
+            const url = this.getAttribute('challenge-url');
+            if (!url) {
+                throw new BusybotError('challenge-url attribute is required');
+            }
+            this.setAttribute('aria-busy', 'true');
+            this.#progress.removeAttribute('value');
+            this.#status.textContent = `${this.#progress.getAttribute('aria-label')}…`;
+            const response = await fetch(url, {signal, cache: 'no-store', credentials: 'same-origin', headers: {accept: 'application/json'}});
+            if (!response.ok) {
+                throw new BusybotError(`Challenge request failed with status ${response.status}`, 'CHALLENGE_REQUEST_FAILED');
+            }
+            const body = await response.json();
+            const challenge = body?.challenge ?? body;
+            this.#emit('busybot-start', {challenge});
+
+            const solve = (this.getAttribute('solver') === 'async') ? solveAsync : solveInWorker;
+            const maxSolveCost = this.hasAttribute('max-solve-cost') ? Number(this.getAttribute('max-solve-cost')) : undefined;
+            const solution = await solve(challenge, {
+                signal,
+                maxSolveCost,
+                progressEveryMs: Progress_Every_Ms,
+                onProgress: (progress) => {
+                    this.#progress.value = progress.fraction;
+                    this.#emit('busybot-progress', progress);
+                }
+            });
+            signal.throwIfAborted();
+
+            this.#submission = {challenge, solution};
+            this.#input.value = JSON.stringify(this.#submission);
+            this.#progress.value = 1;
+            this.#status.textContent = 'Done';
+            this.removeAttribute('aria-busy');
+            this.#emit('busybot-done', this.#submission);
+            this.#finishSubmit();
+            return this.#submission;
+        } catch (error) {
+            // (when abandoned by start() or disconnecting, whatever replaced
+            // this run reports its own outcome)
+            if (!signal.aborted) {
+                this.removeAttribute('aria-busy');
+                this.#status.textContent = `Failed: ${error.message}`;
+                this.#pendingSubmit = null;
+                this.#emit('busybot-error', {error});
+            }
+            throw error;
+        }
+    }
+
+    // clear the submission if it has not already been replaced, and (unless
+    // lazy) start solving the next challenge, returning false if it had been
+    #consume(submission) {
+        if (this.#submission !== submission) {
+            return false;
+        }
+        this.#submission = null;
+        this.#input.value = '';
+        if ((!this.hasAttribute('lazy')) && this.isConnected) {
+            this.#startQuietly();
+        }
+        return true;
+    }
+
+    // delay submitting the form until there is a solution
+    #onSubmit = (event) => {
+        if (this.#submission) {
+            // (the form data is collected after the submit event, so only
+            // clear the input afterwards)
+            const submission = this.#submission;
+            setTimeout(() => this.#consume(submission), 0);
+            return;
+        }
+        event.preventDefault();
+        this.#pendingSubmit = {submitter: event.submitter ?? null};
+        if (!this.#running) {
+            this.#startQuietly();
+        }
+    };
+
+    #finishSubmit() {
+        const pending = this.#pendingSubmit;
+        this.#pendingSubmit = null;
+        if (pending && this.#form) {
+            if (pending.submitter) {
+                this.#form.requestSubmit(pending.submitter);
+            } else {
+                this.#form.requestSubmit();
+            }
+        }
+    }
+}
+
+// define the element (as busybot-gate, unless another name is given), if
+// custom elements are supported and it has not already been defined
+function defineBusybotGate(name = 'busybot-gate') {
+    const registry = globalThis.customElements;
+    if (registry && !registry.get(name)) {
+        registry.define(name, (name === 'busybot-gate') ? BusybotGate : class extends BusybotGate {});
+    }
+}
+
+defineBusybotGate();
+
+export { BusybotGate, defineBusybotGate };
@@ -12,14 +12,41 @@ export as namespace Busybot;
  * A mathematical challenge for the client to solve
  */
 export interface Challenge {
+    /**
+     * Version of the challenge format (currently only 1), for challenges with
+     * extensions (f, o, or an unsigned t). Challenges of other versions are
+     * rejected. Absent for the original unversioned format, which ignores
+     * extensions.
+     */
+    v?: 1;
     /** Hex-encoded BigInt random challenge value (e.g., '0xabc123...') */
     c: string;
     /** Number of iterations of modular square root to calculate (positive integer) */
     d: number;
-    /** Mersenne prime exponent to use for modular arithmetic (must be a known Mersenne exponent) */
+    /** Exponent of the prime modulus: a known Mersenne exponent, or the exponent of a known pseudo-Mersenne prime */
     m: number;
+    /** k, for the pseudo-Mersenne prime modulus 2^m - k (absent for Mersenne primes 2^m - 1) */
+    k?: number;
+    /** Issue time, in seconds since the epoch (signed or versioned challenges only) */
+    t?: number;
+    /** Expiry time, in seconds since the epoch (signed challenges only) */
+    e?: number;
+    /** Base64url-encoded HMAC-SHA256 signature of all other fields (signed challenges only) */
+    h?: string;
+    /** Hex-encoded 16 byte nonce, from which (with the context) c is derived (bound challenges only) */
+    n?: string;
+    /** Hex-encoded BigInt bits to flip between iterations instead of Flip_Bits: non-zero, and less than 2^m, and only '0x1' for pseudo-Mersenne moduli (versioned challenges only) */
+    f?: string;
+    /** Opaque string chosen by the server, e.g. a nonce or an id for server-side state, of at most 255 UTF-8 bytes (versioned challenges only) */
+    o?: string;
 }
 
+/**
+ * Context a challenge can be bound to, e.g. {method, path, bodyHash, clientKey}.
+ * Objects are digested with their fields in a canonical order
+ */
+export type BindingContext = string | Uint8Array | Record<string, unknown>;
+
 /**
  * Solution to a challenge
  */
@@ -28,6 +55,16 @@ export interface Solution {
     s: string;
 }
 
+/**
+ * Solution produced with segmentEvery, which can be verified in segments by verifySegments
+ */
+export interface SegmentedSolution extends Solution {
+    /** Number of iterations in each segment */
+    segmentEvery: number;
+    /** Hex-encoded BigInt values after segmentEvery, 2*segmentEvery, ... iterations, excluding the final value s */
+    segments: string[];
+}
+
 /**
  * Progress callback function for solve operation
  */
@@ -39,31 +76,503 @@ export type ProgressCallback = (progress: number) => void;
 export interface GenerateOptions {
     /** Mersenne prime exponent (default: 1279) */
     forMersenneExponent?: number;
-    /** Difficulty - number of iterations (positive integer) */
-    withDifficulty: number;
+    /** Exponent of a built-in pseudo-Mersenne prime 2^n - k to use instead, for finer control of iteration cost. Cannot be combined with forMersenneExponent. */
+    forPseudoMersenneExponent?: number;
+    /** Difficulty - number of iterations (positive integer), required unless targetSolveMs is given */
+    withDifficulty?: number;
+    /** Choose the difficulty (and exponent, if not specified) so solving takes this long on referenceProfile */
+    targetSolveMs?: number;
+    /** Device profile used with targetSolveMs (default: built-in reference profile) */
+    referenceProfile?: DeviceProfile;
+    /** Maximum estimated verify time for challenges chosen by targetSolveMs (default: 10) */
+    maxVerifyMs?: number;
+    /** Source of secure random bytes, only for testing (default: Web Crypto, or node:crypto). Cannot be combined with seed. */
+    randomSource?: (length: number) => Uint8Array | Promise<Uint8Array>;
+    /** Derive the random bytes from SHA-256(seed || counter) instead, for reproducible tests only. Cannot be combined with randomSource. */
+    seed?: Secret;
+    /** If provided, sign the challenge with this secret so it can be verified statelessly */
+    secret?: Secret;
+    /** Lifetime of signed challenges, in seconds (default: 300) */
+    ttlSeconds?: number;
+    /** If provided, derive the challenge value from a random nonce and this context, so verify() can require the same context */
+    bindTo?: BindingContext;
+    /** If provided, produce a versioned challenge (only 1 is supported), which has an issue time (t) even if it is not signed */
+    version?: 1;
+    /** Bits to flip between iterations (f), non-zero and less than 2^m, and only 1 for pseudo-Mersenne exponents. Implies version 1. */
+    flipMask?: bigint | string;
+    /** Opaque string to carry in the challenge (o), of at most 255 UTF-8 bytes. Implies version 1. */
+    opaque?: string;
+    /** Current time in milliseconds since the epoch (default: Date.now()) */
+    now?: number;
+}
+
+/**
+ * Timings measured by benchmark(), in milliseconds per iteration, keyed by exponent
+ */
+export interface DeviceProfile {
+    solveIterationMs: Record<number, number>;
+    verifyIterationMs: Record<number, number>;
+}
+
+/**
+ * Options for benchmark function
+ */
+export interface BenchmarkOptions {
+    /** Mersenne or pseudo-Mersenne exponents to time (default: all from 61 to 23209; 28672 and 34816 must be asked for) */
+    exponents?: number[];
+    /** Minimum time to spend timing each of solving and verifying for each exponent (default: 100) */
+    minDurationMs?: number;
+}
+
+/**
+ * A secret used to sign challenges
+ */
+export type Secret = string | Uint8Array;
+
+/**
+ * Options for verify function
+ */
+export interface VerifyOptions {
+    /**
+     * If provided, the challenge must have been signed with one of these
+     * secrets, and not have expired. Accepting several secrets allows keys to
+     * be rotated.
+     */
+    secrets?: Secret | Secret[];
+    /** If provided, the challenge must have been bound to this context by generate({bindTo}) */
+    context?: BindingContext;
+    /**
+     * If provided, the challenge must have an issue time (t) less than this
+     * many seconds ago. For unsigned challenges, this is only meaningful if
+     * they are stored on the server.
+     */
+    maxAgeSeconds?: number;
+    /** Current time in milliseconds since the epoch (default: Date.now()) */
+    now?: number;
+}
+
+/**
+ * Saved state of a partially solved challenge, which can be JSON-serialised
+ */
+export interface Checkpoint {
+    /** The challenge being solved */
+    challenge: Challenge;
+    /** Number of iterations completed */
+    iteration: number;
+    /** Hex-encoded BigInt value after this many iterations */
+    value: string;
+    /** segmentEvery, if solving with it */
+    segmentEvery?: number;
+    /** Hex-encoded BigInt segment values so far, if solving with segmentEvery */
+    segments?: string[];
+    /** Base64url-encoded SHA-256 checksum of the other fields, to detect corruption */
+    check: string;
+}
+
+/**
+ * Options for emitting checkpoints while solving
+ */
+export interface CheckpointOptions {
+    /** Optional callback to receive checkpoints */
+    onCheckpoint?: (checkpoint: Checkpoint) => void;
+    /** Number of iterations between checkpoints (default: 1) */
+    checkpointEvery?: number;
+}
+
+/**
+ * Options for producing segmented solutions
+ */
+export interface SegmentOptions {
+    /**
+     * If provided, return a SegmentedSolution recording the value after
+     * every this many iterations. When resuming, must match the checkpoint
+     */
+    segmentEvery?: number;
+}
+
+/**
+ * Options for verifySegments function
+ */
+export interface VerifySegmentsOptions extends VerifyOptions {
+    /**
+     * Indices of the segments to check, or the number of segments to check
+     * chosen at random (default: all segments). A random sample is only a
+     * pre-filter, and must be followed by a full check before accepting a
+     * solution
+     */
+    segments?: number | number[];
+}
+
+/**
+ * Options limiting how expensive a challenge a client will solve
+ */
+export interface SolveLimitOptions {
+    /**
+     * Throw, without doing any work, if the challenge is estimated to take
+     * longer than this many milliseconds to solve on the reference profile
+     */
+    maxSolveCost?: number;
 }
 
 /**
  * Options for solve function
  */
-export interface SolveOptions {
-    /** Optional callback to receive progress updates (0-1) */
+export interface SolveOptions extends CheckpointOptions, SolveLimitOptions, ProgressOptions, SegmentOptions {
+    /** Optional callback to receive the fraction completed (0-1) after every iteration */
     progressCallback?: ProgressCallback;
 }
 
+/**
+ * Options for resuming from a checkpoint
+ */
+export interface ResumeOptions {
+    /** If provided, the checkpoint must be for this challenge */
+    challenge?: Challenge;
+}
+
+/**
+ * Store of spent challenges, used by createVerifier to prevent replay
+ */
+export interface SpentChallengeStore {
+    /** Resolves to true if key is present and has not expired */
+    has(key: string): Promise<boolean>;
+    /**
+     * Atomically add key with a lifetime of ttlMs if it is not already
+     * present. Resolves to true if it was added, false if it was already
+     * present.
+     */
+    add(key: string, ttlMs: number): Promise<boolean>;
+}
+
+/**
+ * Store of client state, used by createDifficultyPolicy
+ */
+export interface PolicyStore {
+    /** Resolves to the value stored for key, or undefined if it is absent or has expired */
+    get(key: string): Promise<unknown>;
+    /** Store value for key with a lifetime of ttlMs, replacing any existing value */
+    set(key: string, value: unknown, ttlMs: number): Promise<void>;
+    /**
+     * Atomically replace the value for key (or undefined, if it is absent or
+     * has expired) with fn(value), with a lifetime of ttlMs, resolving to the
+     * new value. Optional: without it, scores are updated with get then set,
+     * so concurrent requests from the same client can lose increments
+     */
+    update?(key: string, fn: (value: unknown) => unknown, ttlMs: number): Promise<unknown>;
+}
+
+/**
+ * Options for createMemoryStore function
+ */
+export interface MemoryStoreOptions {
+    /** Maximum number of keys to remember (default: 100000) */
+    maxEntries?: number;
+    /** Clock returning the current time in milliseconds (default: Date.now) */
+    now?: () => number;
+}
+
+/**
+ * In-memory spent challenge store returned by createMemoryStore
+ */
+export interface MemoryStore extends SpentChallengeStore, Required<PolicyStore> {
+    /** Number of keys currently held (including any expired but not yet evicted) */
+    readonly size: number;
+}
+
+/**
+ * Options for createVerifier function
+ */
+export interface VerifierOptions {
+    /** Store of spent challenges (default: createMemoryStore()) */
+    store?: SpentChallengeStore;
+    /** If provided, challenges must be signed with one of these secrets */
+    secrets?: Secret | Secret[];
+    /** How long to remember unsigned challenges, in seconds (default: 300) */
+    ttlSeconds?: number;
+    /** Reject challenges using other exponents (default: all Mersenne and pseudo-Mersenne exponents from 61 to 34816) */
+    allowedExponents?: number[];
+    /** Reject challenges with a higher difficulty */
+    maxDifficulty?: number;
+    /** Reject challenges estimated to take longer than this many milliseconds to verify on the reference profile */
+    maxVerifyCost?: number;
+    /** Clock returning the current time in milliseconds (default: Date.now) */
+    now?: () => number;
+}
+
+/**
+ * Verifier with replay protection, returned by createVerifier
+ */
+export interface Verifier {
+    /**
+     * Verify a solution, and record the challenge as spent if it is correct.
+     * Resolves to false if the solution is incorrect or the challenge has
+     * already been redeemed. If context is provided, the challenge must
+     * have been bound to it by generate({bindTo}).
+     */
+    verify(challenge: Challenge, solution: Solution, options?: {context?: BindingContext}): Promise<boolean>;
+    /**
+     * Verify a solution in the same way as verify(), but resolve to the
+     * reason for rejecting it. In addition to the reasons from
+     * verifyDetailed(), rejects challenges outside the verifier's limits
+     * with LIMIT_EXCEEDED, and challenges that have already been redeemed
+     * with ALREADY_USED.
+     */
+    verifyDetailed(challenge: unknown, solution: unknown, options?: {context?: BindingContext}): Promise<VerifierResult>;
+}
+
+/**
+ * Options for createPassIssuer function
+ */
+export interface PassIssuerOptions {
+    /** Secret(s) to sign and check passes with: passes are signed with the first, and any are accepted. Challenges must be signed with one of them. */
+    secrets: Secret | Secret[];
+    /** Store of exchanged challenges, and counting the uses of passes (default: a new createMemoryStore()) */
+    store?: SpentChallengeStore;
+    /** Seconds of pass lifetime per second of proven work, estimated on the reference profile (default: 60) */
+    secondsPerWorkSecond?: number;
+    /** Minimum pass lifetime, in seconds (default: 10) */
+    minTtlSeconds?: number;
+    /** Maximum pass lifetime, in seconds (default: 3600) */
+    maxTtlSeconds?: number;
+    /** Maximum number of times each pass can be used (default: unlimited until it expires) */
+    maxUses?: number;
+    /** Reject challenges using other exponents (default: all Mersenne and pseudo-Mersenne exponents from 61 to 34816) */
+    allowedExponents?: number[];
+    /** Reject challenges with a higher difficulty */
+    maxDifficulty?: number;
+    /** Reject challenges estimated to take longer than this many milliseconds to verify on the reference profile */
+    maxVerifyCost?: number;
+    /** Clock returning the current time in milliseconds (default: Date.now) */
+    now?: () => number;
+}
+
+/**
+ * A pass issued by PassIssuer.issue()
+ */
+export interface Pass {
+    /** Compact base64url pass token, to be sent back by the client */
+    token: string;
+    /** Expiry time, in seconds since the epoch */
+    expires: number;
+    /** Number of times the pass can be used, or null if unlimited */
+    uses: number | null;
+}
+
+/**
+ * Issuer of passes, returned by createPassIssuer
+ */
+export interface PassIssuer {
+    /**
+     * Verify a solution as Verifier.verify() does, and exchange its challenge
+     * for a pass for clientKey, with a lifetime proportional to the work
+     * proven. Resolves to null if the solution is rejected, including if the
+     * challenge is not signed with one of secrets, or has already been
+     * exchanged or redeemed. If context is provided, the challenge must have
+     * been bound to it by generate({bindTo}).
+     */
+    issue(challenge: Challenge, solution: Solution, options: {clientKey: BindingContext, context?: BindingContext}): Promise<Pass | null>;
+    /**
+     * Resolve to true if token is a valid pass for clientKey, and has not
+     * expired or been used up (taking one of its uses), false otherwise
+     */
+    check(token: unknown, options: {clientKey: BindingContext}): Promise<boolean>;
+}
+
+/**
+ * Reasons verifyDetailed() rejects a solution
+ */
+export type RejectionReason =
+    | 'INVALID_SIGNATURE'
+    | 'EXPIRED'
+    | 'CONTEXT_MISMATCH'
+    | 'OUT_OF_RANGE'
+    | 'INCORRECT'
+    | 'MALFORMED_CHALLENGE'
+    | 'MALFORMED_SOLUTION'
+    | 'UNKNOWN_EXPONENT';
+
+/**
+ * Result of verifyDetailed()
+ */
+export type VerifyResult = {ok: true} | {ok: false, reason: RejectionReason};
+
+/**
+ * Result of Verifier.verifyDetailed()
+ */
+export type VerifierResult = {ok: true} | {ok: false, reason: RejectionReason | 'LIMIT_EXCEEDED' | 'ALREADY_USED'};
+
+/**
+ * Challenge options used by createDifficultyPolicy when a client's score is above a threshold
+ */
+export interface PolicyLevel {
+    /** Score that must be exceeded for this level to apply */
+    above: number;
+    /** Mersenne exponent for challenges at this level (unless forPseudoMersenneExponent is given) */
+    forMersenneExponent?: number;
+    /** Pseudo-Mersenne exponent for challenges at this level, instead of forMersenneExponent */
+    forPseudoMersenneExponent?: number;
+    /** Difficulty for challenges at this level */
+    withDifficulty: number;
+}
+
+/**
+ * Options for createDifficultyPolicy function
+ */
+export interface DifficultyPolicyOptions {
+    /** Levels sorted by increasing .above (default: from 1279 × 10 above 10, up to 9689 × 50 above 160) */
+    levels?: PolicyLevel[];
+    /** Half-life of client scores in milliseconds (default: 60000) */
+    halfLifeMs?: number;
+    /** Amount each failed verification adds to a client's score (default: 5) */
+    failureWeight?: number;
+    /** Store of client state (default: createMemoryStore()) */
+    store?: PolicyStore;
+    /** Clock returning the current time in milliseconds (default: Date.now) */
+    now?: () => number;
+}
+
+/**
+ * Options for generate() chosen by a DifficultyPolicy
+ */
+export interface PolicyDecision {
+    /** Present unless the level has forPseudoMersenneExponent */
+    forMersenneExponent?: number;
+    forPseudoMersenneExponent?: number;
+    withDifficulty: number;
+}
+
+/**
+ * Per-client difficulty policy returned by createDifficultyPolicy
+ */
+export interface DifficultyPolicy {
+    /**
+     * Record a request from a client, resolving to the options to pass to
+     * generate(), or null if the client does not need to solve a challenge
+     */
+    recordRequest(clientKey: string): Promise<PolicyDecision | null>;
+    /** Record a failed verification from a client */
+    recordFailure(clientKey: string): Promise<void>;
+    /** Resolve to the options for a client without recording a request */
+    difficultyFor(clientKey: string): Promise<PolicyDecision | null>;
+    /** Resolve to the current (decayed) score of a client */
+    score(clientKey: string): Promise<number>;
+}
+
+/**
+ * Progress of an asynchronous solve operation
+ */
+export interface SolveProgress {
+    /** Number of iterations completed */
+    iteration: number;
+    /** Total number of iterations (the challenge difficulty) */
+    total: number;
+    /** Fraction of iterations completed (0-1) */
+    fraction: number;
+    /** Milliseconds since solving (or resuming) started */
+    elapsedMs: number;
+    /** Average rate since solving (or resuming) started, or null if no time has passed */
+    iterationsPerSecond: number | null;
+    /** Estimated milliseconds remaining at that rate, or null if no time has passed */
+    etaMs: number | null;
+}
+
+/**
+ * Options for progress reporting, shared by all solving functions
+ */
+export interface ProgressOptions {
+    /** Optional callback to receive progress updates */
+    onProgress?: (progress: SolveProgress) => void;
+    /** Report progress at most this often, in ms (default: 0) */
+    progressEveryMs?: number;
+    /** Report progress at most every this many iterations (default: 1). The final iteration is always reported */
+    progressEveryIterations?: number;
+}
+
+/**
+ * Options for solveAsync function
+ */
+export interface SolveAsyncOptions extends CheckpointOptions, SolveLimitOptions, ProgressOptions, SegmentOptions {
+    /** Abort the solve operation, rejecting with an AbortError (or the signal's reason) */
+    signal?: AbortSignal;
+    /** Approximate duration of each slice of work between yielding to the event loop, in ms (default: 10) */
+    yieldEveryMs?: number;
+}
+
+/**
+ * Options for solveInWorker function, and SolverPool.solve
+ */
+export interface SolveInWorkerOptions extends SolveLimitOptions, ProgressOptions, SegmentOptions {
+    /** Abort the solve operation, terminating the worker and rejecting with an AbortError (or the signal's reason) */
+    signal?: AbortSignal;
+}
+
+/**
+ * Options for createSolverPool function
+ */
+export interface SolverPoolOptions {
+    /** Maximum number of workers, each solving one challenge at a time (default: 1) */
+    size?: number;
+}
+
+/**
+ * Pool of worker threads for solving challenges, returned by createSolverPool
+ */
+export interface SolverPool {
+    /** Solve a challenge on the next free worker */
+    solve(challenge: Challenge, options?: SolveInWorkerOptions): Promise<Solution>;
+    /** Terminate all workers, rejecting any queued or running solve operations */
+    close(): void;
+}
+
+/**
+ * Options for busyFetch function
+ */
+export interface BusyFetchOptions {
+    /** The fetch function to wrap (default: globalThis.fetch) */
+    fetch?: (input: any, init?: any) => Promise<Response>;
+    /** Statuses of responses which may demand a challenge be solved (default: [401, 429]) */
+    challengeStatuses?: number[];
+    /** Response header containing a challenge, as JSON or a compact token (default: 'busybot-challenge') */
+    challengeHeader?: string;
+    /** Request header to send the JSON {challenge, solution} in (default: 'busybot-solution') */
+    header?: string;
+    /** 'async' to use solveAsync (default), 'worker' to use solveInWorker, or a function of the same form */
+    solver?: 'async' | 'worker' | ((challenge: Challenge, options: any) => Promise<Solution>);
+    /** Options passed to the solver, with the signal from init */
+    solveOptions?: Omit<SolveAsyncOptions, 'signal'> | Omit<SolveInWorkerOptions, 'signal'>;
+    /** Maximum number of requests, including the first (default: 3) */
+    maxAttempts?: number;
+    /** Maximum total estimated cost of solving challenges, in milliseconds on the reference profile, or Infinity for no limit (default: 30000) */
+    maxSolveCost?: number;
+}
+
 /**
  * Configuration for initializing modular arithmetic functions
  */
 export interface MathsConfig {
     /** Mersenne prime exponent to use as modulus base */
-    forMersenneExponent: number;
+    forMersenneExponent?: number;
+    /** Exponent n of a built-in pseudo-Mersenne prime 2^n - k to use as modulus instead */
+    forPseudoMersenneExponent?: number;
+    /** Arithmetic backend used by fastFixedExpPow (default: 'fold', whatever the exponent) */
+    backend?: MathsBackend;
 }
 
 /**
- * Collection of modular arithmetic functions for a specific Mersenne exponent
+ * Arithmetic backends for solving:
+ * - 'barrett': BigInt squaring with Barrett reduction (the reference implementation)
+ * - 'fold': BigInt squaring with (pseudo-)Mersenne fold-and-add reduction
+ * - 'limbs': squaring of 16-bit limbs in a Float64Array, which allocates nothing per iteration (but is slower than 'fold' at every exponent in node)
+ * 
+ * The backend is never chosen automatically: the default is always 'fold'.
+ */
+export type MathsBackend = 'barrett' | 'fold' | 'limbs';
+
+/**
+ * Collection of modular arithmetic functions for a specific prime modulus
  */
 export interface MathsFunctions {
-    /** The modulus value (2^n - 1) */
+    /** The modulus value (2^n - 1, or 2^n - k for pseudo-Mersenne primes) */
     modulus: bigint;
     
     /** The exponent used for square root calculation ((modulus + 1) / 4) */
@@ -72,14 +581,35 @@ export interface MathsFunctions {
     /** Basic Barrett multiplication implementation */
     barrettMul(a: bigint, b: bigint): bigint;
     
-    /** Optimized Barrett squaring for Mersenne primes */
+    /** Optimized Barrett squaring for Mersenne primes (barrettMul(a, a) for pseudo-Mersenne primes) */
     barrettFastSquare(a: bigint): bigint;
     
     /** Fast modular power (right-to-left binary method with Barrett reduction) */
     fastModPow(base: bigint): bigint;
     
-    /** Optimized exponentiation by squaring for the fixed exponent */
+    /** Squaring with fold-and-add reduction */
+    foldSquare(a: bigint): bigint;
+
+    /** Multiplication with fold-and-add reduction */
+    foldMul(a: bigint, b: bigint): bigint;
+
+    /** The squaring used to verify solutions (barrettFastSquare, or foldSquare for pseudo-Mersenne primes) */
+    verifySquare(a: bigint): bigint;
+    
+    /** Optimized exponentiation by squaring for the fixed exponent, using the selected backend */
     fastFixedExpPow(base: bigint): bigint;
+    
+    /** The backend used by fastFixedExpPow */
+    backend: MathsBackend;
+    
+    /** fastFixedExpPow using the 'barrett' backend */
+    barrettFixedExpPow(base: bigint): bigint;
+    
+    /** fastFixedExpPow using the 'fold' backend */
+    foldFixedExpPow(base: bigint): bigint;
+    
+    /** fastFixedExpPow using the 'limbs' backend */
+    limbFixedExpPow(base: bigint): bigint;
 }
 
 // ========================================
@@ -91,54 +621,449 @@ export interface MathsFunctions {
  * 
  * @param options - Configuration for the challenge
  * @returns Promise that resolves to a Challenge object
- * @throws {Error} If Mersenne exponent is invalid, too small, or difficulty is invalid
+ * @throws {BusybotError} If the exponent is invalid or too small, both exponents are given, or difficulty is invalid
  * 
  * @remarks
- * - Only supported in Node.js environment
- * - Uses crypto.randomBytes for secure random number generation
+ * - Uses Web Crypto's crypto.getRandomValues where available, or else node:crypto's randomBytes
  * - Challenge byte length is floor(exponent/8) for exponents < 128, otherwise 16 bytes
+ * - If a secret is provided the challenge carries an issue time, expiry and HMAC signature
+ * - With targetSolveMs, the largest exponent that takes at least 20 iterations, and whose solution can be verified within maxVerifyMs, is chosen (or for very short targets, the smallest), with a difficulty of at least 1
+ * - Challenges for pseudo-Mersenne primes have .k
  */
 export function generate(options: GenerateOptions): Promise<Challenge>;
 
+/**
+ * Measure how long solving and verifying iterations take on this device
+ * 
+ * @param options - Exponents to time, and minimum time for each
+ * @returns A JSON-serialisable DeviceProfile
+ * @throws {BusybotError} If any exponent is not a known Mersenne or pseudo-Mersenne exponent, or minDurationMs is invalid
+ * 
+ * @remarks
+ * - Blocks while timing: with the default exponents this takes 10s of seconds
+ */
+export function benchmark(options?: BenchmarkOptions): DeviceProfile;
+
+/**
+ * Estimate how long solving a challenge takes, in milliseconds
+ * 
+ * @param challenge - The challenge (only .m and .d are used)
+ * @param profile - Device timings (default: built-in reference profile)
+ * @throws {BusybotError} If the profile has no timing for the challenge's exponent
+ */
+export function estimateSolveMs(challenge: Pick<Challenge, 'm' | 'd'>, profile?: DeviceProfile): number;
+
+/**
+ * Estimate how long verifying a solution takes, in milliseconds
+ * 
+ * @param challenge - The challenge (only .m and .d are used)
+ * @param profile - Device timings (default: built-in reference profile)
+ * @throws {BusybotError} If the profile has no timing for the challenge's exponent
+ */
+export function estimateVerifyMs(challenge: Pick<Challenge, 'm' | 'd'>, profile?: DeviceProfile): number;
+
 /**
  * Solve a proof-of-work challenge
  * 
  * @param challenge - The challenge to solve
  * @param options - Optional configuration including progress callback
  * @returns Solution containing the computed value
- * @throws {Error} If challenge is malformed or invalid
+ * @throws {BusybotError} If challenge is malformed or invalid
  * 
  * @remarks
  * - Performs 'd' iterations of modular square root with bit flips
  * - Progress callback receives values from 0 to 1
  * - Approximately 'd' times more expensive than verification
+ * - With segmentEvery, returns a SegmentedSolution
  */
 export function solve(challenge: Challenge, options?: SolveOptions): Solution;
 
+/**
+ * Continue solving a challenge from a checkpoint
+ * 
+ * @param checkpoint - A checkpoint emitted by solve() or solveAsync()
+ * @param options - The same options as solve(), and optionally the expected challenge
+ * @returns The same Solution as solve() would return for the checkpoint's challenge
+ * @throws {BusybotError} If the checkpoint is invalid, corrupt, or not for the expected challenge
+ */
+export function resume(checkpoint: Checkpoint, options?: SolveOptions & ResumeOptions): Solution;
+
+/**
+ * Solve a proof-of-work challenge without blocking the event loop
+ * 
+ * @param challenge - The challenge to solve
+ * @param options - Optional cancellation signal, slice duration and progress callback
+ * @returns Promise that resolves to the same Solution as solve()
+ * @throws {BusybotError} If challenge is malformed or invalid
+ * 
+ * @remarks
+ * - Iterations are calculated in slices of about yieldEveryMs, yielding to the event loop between them
+ * - Cancellation takes effect at the end of the current slice
+ */
+export function solveAsync(challenge: Challenge, options?: SolveAsyncOptions): Promise<Solution>;
+
+/**
+ * Continue solving a challenge from a checkpoint without blocking the event loop
+ * 
+ * @param checkpoint - A checkpoint emitted by solve() or solveAsync()
+ * @param options - The same options as solveAsync(), and optionally the expected challenge
+ * @returns Promise that resolves to the same Solution as resume()
+ * @throws {BusybotError} If the checkpoint is invalid, corrupt, or not for the expected challenge
+ */
+export function resumeAsync(checkpoint: Checkpoint, options?: SolveAsyncOptions & ResumeOptions): Promise<Solution>;
+
+/**
+ * Solve a proof-of-work challenge in a worker thread
+ * 
+ * @param challenge - The challenge to solve
+ * @param options - Optional cancellation signal and progress callback
+ * @returns Promise that resolves to the same Solution as solve()
+ * @throws {BusybotError} If challenge is malformed or invalid
+ * 
+ * @remarks
+ * - Uses a module Web Worker where available (browsers, Deno, Bun), otherwise a node:worker_threads Worker
+ * - The worker is terminated when solving completes, fails, or is aborted
+ */
+export function solveInWorker(challenge: Challenge, options?: SolveInWorkerOptions): Promise<Solution>;
+
+/**
+ * Create a pool of worker threads for solving a queue of challenges
+ * 
+ * @param options - Pool size
+ * @returns A SolverPool
+ * @throws {BusybotError} If size is invalid
+ * 
+ * @remarks
+ * - Workers are started when needed and re-used until the pool is closed
+ */
+export function createSolverPool(options?: SolverPoolOptions): SolverPool;
+
+/**
+ * fetch(), solving any challenge the response demands and retrying with the solution
+ * 
+ * @param input - The resource to fetch, as for fetch()
+ * @param init - Request options, as for fetch(); the body must be re-usable (not a stream)
+ * @param options - How challenges are recognised, solved and sent, and limits
+ * @returns Promise that resolves to the first response which doesn't demand a challenge, or the last response after maxAttempts requests
+ * @throws {BusybotError} If any option is invalid, or a demanded challenge is malformed
+ * @throws {TooExpensiveError} If solving a challenge would exceed maxSolveCost
+ * 
+ * @remarks
+ * - A response demands a challenge if its status is one of challengeStatuses, and it has a challengeHeader, or a JSON body which is a challenge or {challenge} (as sent by the middleware)
+ * - The solution is sent in the same form the middleware accepts
+ * - By default, challenges are only solved up to a total estimated cost of 30 seconds; pass maxSolveCost: Infinity to solve any challenge
+ */
+export function busyFetch(input: RequestInfo | URL, init?: RequestInit, options?: BusyFetchOptions): Promise<Response>;
+
 /**
  * Verify a solution against its original challenge
  * 
  * @param challenge - The original challenge
  * @param solution - The solution to verify
+ * @param options - Optional secrets to check the challenge signature against
  * @returns True if solution is correct, false otherwise
- * @throws {Error} If challenge or solution is malformed
+ * @throws {BusybotError} If challenge or solution is malformed
  * 
  * @remarks
  * - Squares the solution 'd' times (with bit flips) and compares to original
  * - Also checks against the negative value (modulus - original)
  * - Much faster than solve() (about 3000x for exponent 3217)
+ * - If secrets are provided, returns false for unsigned, tampered or expired challenges
+ */
+export function verify(challenge: Challenge, solution: Solution, options?: VerifyOptions): boolean;
+
+/**
+ * Verify a solution against its original challenge, with the reason for rejecting it
+ * 
+ * @param challenge - The original challenge
+ * @param solution - The solution to verify
+ * @param options - Optional secrets and context, as for verify()
+ * @returns {ok: true} if the solution is correct, or else {ok: false, reason}
+ * @throws {BusybotError} If the options are invalid
+ * 
+ * @remarks
+ * - Malformed challenges and solutions (which may come from the client) are rejected with the code of the error verify() would throw
+ * - Signatures and contexts are checked before any arithmetic
+ */
+export function verifyDetailed(challenge: unknown, solution: unknown, options?: VerifyOptions): VerifyResult;
+
+/**
+ * Verify some or all segments of a segmented solution against its original challenge
+ * 
+ * @param challenge - The original challenge
+ * @param solution - A solution from solving with segmentEvery
+ * @param options - Segments to check, and optional secrets to check the challenge signature against
+ * @returns True if all of the checked segments are correct, false otherwise
+ * @throws {BusybotError} If challenge or solution is malformed, or segments are invalid
+ * 
+ * @remarks
+ * - There are max(1, ceil(d / k)) segments, each of which can be checked independently (for example in different worker threads)
+ * - A solution is correct if and only if all of its segments are
+ * - Checking a random sample of segments is only a pre-filter against accidental or lazy errors, not forgery:
+ *   a forger can make every segment but one consistent, so is caught with probability of only about
+ *   segments / count. Always follow a sampled check with a full check (all segments, or verify())
+ *   before accepting a solution
+ */
+export function verifySegments(challenge: Challenge, solution: SegmentedSolution, options?: VerifySegmentsOptions): boolean;
+
+/**
+ * Create a verifier which rejects attempts to redeem the same challenge twice
+ * 
+ * @param options - Store, secrets, lifetime and limits configuration
+ * @returns A Verifier
+ * @throws {BusybotError} If the store, ttl or limits are invalid
+ * 
+ * @remarks
+ * - Challenges outside allowedExponents, maxDifficulty or maxVerifyCost are rejected before any arithmetic
+ * - Challenges are recorded by their .c value
+ * - Signed challenges are remembered until they expire, unsigned ones for ttlSeconds
+ * - Of several concurrent redemptions of the same challenge, at most one succeeds
+ */
+export function createVerifier(options?: VerifierOptions): Verifier;
+
+/**
+ * Create an issuer of passes, which let clients that have proven work skip challenges for a while
+ * 
+ * @param options - Secrets, store, lifetime, uses and challenge limits configuration
+ * @returns A PassIssuer
+ * @throws {BusybotError} If the secrets, store, lifetimes, uses or limits are invalid
+ * 
+ * @remarks
+ * - Solutions are verified before a pass is issued, with the same replay protection and limits as createVerifier()
+ * - Pass lifetime is estimateSolveMs(challenge) scaled by secondsPerWorkSecond, clamped to [minTtlSeconds, maxTtlSeconds] (minTtlSeconds for exponents not in the reference profile)
+ * - Passes are signed over the client key (which is not included in the token), expiry and uses
+ * - Checking a pass needs no arithmetic, and only uses the store if maxUses is set
+ */
+export function createPassIssuer(options: PassIssuerOptions): PassIssuer;
+
+/**
+ * Create a bounded in-memory store of spent challenges
+ * 
+ * @param options - Size limit and clock
+ * @returns A MemoryStore
+ * @throws {BusybotError} If maxEntries is invalid
+ * 
+ * @remarks
+ * - Keys are evicted when they expire, or least-recently-used first when maxEntries is exceeded
+ * - Only suitable for a single process: use a shared store for multiple servers
+ */
+export function createMemoryStore(options?: MemoryStoreOptions): MemoryStore;
+
+
+/**
+ * Create a policy that escalates challenge difficulty for clients making many requests
+ * 
+ * @param options - Levels, score decay, failure weight, store and clock
+ * @returns A DifficultyPolicy
+ * @throws {BusybotError} If any option is invalid
+ * 
+ * @remarks
+ * - Each request adds 1 to a client's score, and each failure adds failureWeight
+ * - Scores decay exponentially with a half-life of halfLifeMs
+ * - The highest level that a client's score is above is used; the last level is the ceiling
+ */
+export function createDifficultyPolicy(options?: DifficultyPolicyOptions): DifficultyPolicy;
+
+/**
+ * Event reported to onGenerate listeners
+ */
+export interface GenerateEvent {
+    exponent: number;
+    difficulty: number;
+    /** Whether the challenge was signed */
+    signed: boolean;
+    /** Whether the challenge was bound to a context */
+    bound: boolean;
+    durationMs: number;
+}
+
+/**
+ * Event reported to onVerify listeners
+ */
+export interface VerifyEvent {
+    /** passed, failed (for reason), malformed (with the error code as reason), or error (for any other error) */
+    outcome: 'passed' | 'failed' | 'malformed' | 'error';
+    /** The rejection reason or error code, or null */
+    reason: RejectionReason | 'LIMIT_EXCEEDED' | 'ALREADY_USED' | ErrorCode | null;
+    /** The challenge's .m, which may be anything for malformed challenges */
+    exponent: unknown;
+    /** The challenge's .d, which may be anything for malformed challenges */
+    difficulty: unknown;
+    durationMs: number;
+}
+
+/**
+ * Listeners for instrument()
+ */
+export interface InstrumentationListeners {
+    /** Called for each challenge generated */
+    onGenerate?: (event: GenerateEvent) => void;
+    /** Called for each solution verified by verify(), verifyDetailed() or a Verifier */
+    onVerify?: (event: VerifyEvent) => void;
+}
+
+/**
+ * Add instrumentation listeners
+ * 
+ * @param listeners - onGenerate and onVerify listeners
+ * @returns A function that removes the listeners
+ * @throws {BusybotError} If a listener is not a function
+ * 
+ * @remarks
+ * - Nothing is measured when there are no listeners
+ * - Errors thrown by listeners are ignored
  */
-export function verify(challenge: Challenge, solution: Solution): boolean;
+export function instrument(listeners: InstrumentationListeners): () => void;
 
 /**
- * Initialize modular arithmetic functions for a specific Mersenne prime
+ * A Prometheus counter
+ */
+export interface Counter {
+    inc(labels?: Record<string, string | number>, value?: number): void;
+}
+
+/**
+ * A Prometheus histogram
+ */
+export interface Histogram {
+    observe(labels: Record<string, string | number>, value: number): void;
+}
+
+/**
+ * A registry of Prometheus metrics, returned by createMetricsRegistry
+ */
+export interface MetricsRegistry {
+    counter(name: string, help: string): Counter;
+    /** Create a histogram with the given increasing bucket upper bounds */
+    histogram(name: string, help: string, buckets: number[]): Histogram;
+    /** Render every metric in the Prometheus text exposition format */
+    render(): string;
+}
+
+/**
+ * Create a registry of Prometheus counters and histograms, with no dependencies
+ * 
+ * @returns A MetricsRegistry
+ */
+export function createMetricsRegistry(): MetricsRegistry;
+
+/**
+ * Options for createMetrics function
+ */
+export interface MetricsOptions {
+    /** Registry to record metrics in (default: a new createMetricsRegistry()) */
+    registry?: MetricsRegistry;
+    /** Bucket upper bounds for verify durations, in seconds */
+    durationBuckets?: number[];
+}
+
+/**
+ * Listeners recording the standard metrics, returned by createMetrics
+ */
+export interface Metrics extends Required<InstrumentationListeners> {
+    registry: MetricsRegistry;
+    /** Render the registry in the Prometheus text exposition format */
+    render(): string;
+}
+
+/**
+ * Create instrument() listeners that record the standard busybot metrics
+ * 
+ * @param options - Registry and buckets configuration
+ * @returns Metrics, to be passed to instrument()
+ * 
+ * @remarks
+ * - busybot_challenges_generated_total{exponent}
+ * - busybot_verifications_total{outcome, reason, exponent}
+ * - busybot_verify_duration_seconds{outcome} (histogram)
+ * - Exponents that are not known Mersenne or pseudo-Mersenne exponents are labelled "other"
+ */
+export function createMetrics(options?: MetricsOptions): Metrics;
+
+/**
+ * Encode a challenge as a compact, versioned base64url token
+ * 
+ * @param challenge - The challenge to encode (signed or unsigned)
+ * @returns An unpadded base64url string
+ * @throws {BusybotError} If the challenge is malformed, has unknown fields, or .c is not even-length lowercase hex
+ */
+export function encodeChallenge(challenge: Challenge): string;
+
+/**
+ * Decode a token produced by encodeChallenge
+ * 
+ * @param token - The token to decode
+ * @returns The challenge, exactly as it was encoded
+ * @throws {BusybotError} If the token is malformed, non-canonical, has trailing data, or has out of range values
+ */
+export function decodeChallenge(token: string): Challenge;
+
+/**
+ * Encode a solution as a compact, versioned base64url token
+ * 
+ * @param solution - The solution to encode
+ * @param challenge - The challenge it solves, which determines the size of the token
+ * @returns An unpadded base64url string
+ * @throws {BusybotError} If the solution or challenge is malformed, the solution is out of range, or it is a SegmentedSolution
+ */
+export function encodeSolution(solution: Solution, challenge: Challenge): string;
+
+/**
+ * Decode a token produced by encodeSolution
+ * 
+ * @param token - The token to decode
+ * @returns The solution
+ * @throws {BusybotError} If the token is malformed, non-canonical, has trailing data, or has out of range values
+ */
+export function decodeSolution(token: string): Solution;
+
+/**
+ * Encode a challenge in the string format used by kCTF's pow.py
+ * 
+ * @param challenge - The challenge to encode, which must use exponent 1279, and be unversioned
+ * @returns A string of the form 's.<base64 difficulty>.<base64 value>'
+ * @throws {BusybotError} If the challenge is malformed, versioned, or uses a different exponent
+ */
+export function encodeKctfChallenge(challenge: Challenge): string;
+
+/**
+ * Decode a challenge issued by kCTF's pow.py
+ * 
+ * @param encoded - A string of the form 's.<base64 difficulty>.<base64 value>'
+ * @returns The equivalent Challenge, with exponent 1279
+ * @throws {BusybotError} If the string is not a valid kCTF challenge
+ */
+export function decodeKctfChallenge(encoded: string): Challenge;
+
+/**
+ * Encode a solution in the string format accepted by kCTF's pow.py
  * 
- * @param config - Configuration specifying the Mersenne exponent
+ * @param solution - The solution to encode
+ * @returns A string of the form 's.<base64 value>'
+ * @throws {BusybotError} If the solution is malformed
+ */
+export function encodeKctfSolution(solution: Solution): string;
+
+/**
+ * Decode a solution produced by kCTF's pow.py
+ * 
+ * @param encoded - A string of the form 's.<base64 value>'
+ * @returns The equivalent Solution
+ * @throws {BusybotError} If the string is not a valid kCTF solution
+ */
+export function decodeKctfSolution(encoded: string): Solution;
+
+/**
+ * Initialize modular arithmetic functions for a specific Mersenne or pseudo-Mersenne prime
+ * 
+ * @param config - Configuration specifying the exponent
  * @returns Object containing modular arithmetic functions
- * @throws {Error} If the provided exponent is not a known Mersenne exponent
+ * @throws {BusybotError} If the provided exponent is not a known Mersenne (or pseudo-Mersenne) exponent, or both are given
+ * @throws {BusybotError} If the backend is not one of 'barrett', 'fold' or 'limbs'
  * 
  * @remarks
- * - All returned functions operate in the modulus (2^n - 1)
+ * - All returned functions operate in the modulus (2^n - 1, or 2^n - k)
+ * - All backends produce identical results
  * - Barrett reduction is optimized for Mersenne primes
  * - fastFixedExpPow is approximately 'n' times faster than fastModPow
  */
@@ -160,11 +1085,14 @@ export function initMathsFunctions(config: MathsConfig): MathsFunctions;
 export const Known_Mersenne_Exponents: readonly number[];
 
 /**
- * Bit pattern flipped between each iteration
+ * Bit pattern flipped between each iteration, unless a versioned challenge
+ * specifies its own (Challenge.f)
  * 
  * @remarks
- * kCTF implementation flips only the least significant bit.
- * Changing this constant would break compatibility with standard challenges.
+ * kCTF implementation flips only the least significant bit, as do
+ * unversioned challenges. Use generate({flipMask}) for a different pattern
+ * (Mersenne moduli only: a solution can be out by a factor of -1 at each
+ * step, and negating only commutes with flipping every pattern for 2^m - 1).
  */
 export const Flip_Bits: 1n;
 
@@ -176,6 +1104,76 @@ export const Flip_Bits: 1n;
  */
 export function isMersenneExponent(n: number): boolean;
 
+// ========================================
+// Errors
+// ========================================
+
+/**
+ * Stable codes of errors thrown by busybot
+ */
+export type ErrorCode =
+    | 'INVALID_ARGUMENT'
+    | 'UNKNOWN_EXPONENT'
+    | 'MALFORMED_CHALLENGE'
+    | 'MALFORMED_SOLUTION'
+    | 'OUT_OF_RANGE'
+    | 'MALFORMED_TOKEN'
+    | 'INVALID_CHECKPOINT'
+    | 'TOO_EXPENSIVE'
+    | 'POOL_CLOSED'
+    | 'WORKER_FAILED'
+    | 'CHALLENGE_REQUEST_FAILED';
+
+/**
+ * Base class of errors thrown by busybot. Unlike the message, the code is stable.
+ */
+export class BusybotError extends Error {
+    constructor(message: string, code?: ErrorCode);
+    readonly code: ErrorCode;
+}
+
+/** An exponent (and k) that does not identify a known Mersenne or pseudo-Mersenne prime (code UNKNOWN_EXPONENT) */
+export class UnknownExponentError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'UNKNOWN_EXPONENT';
+}
+
+/** A challenge that is not of the form required to be solved or verified, or has an unsupported version (code MALFORMED_CHALLENGE) */
+export class MalformedChallengeError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'MALFORMED_CHALLENGE';
+}
+
+/** A solution that is not of the form required to be verified (code MALFORMED_SOLUTION) */
+export class MalformedSolutionError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'MALFORMED_SOLUTION';
+}
+
+/** A challenge or solution value outside the modulus (code OUT_OF_RANGE) */
+export class OutOfRangeError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'OUT_OF_RANGE';
+}
+
+/** A token that can't be decoded (code MALFORMED_TOKEN) */
+export class MalformedTokenError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'MALFORMED_TOKEN';
+}
+
+/** A checkpoint that can't be resumed from (code INVALID_CHECKPOINT) */
+export class InvalidCheckpointError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'INVALID_CHECKPOINT';
+}
+
+/** A challenge that exceeds maxSolveCost (code TOO_EXPENSIVE) */
+export class TooExpensiveError extends BusybotError {
+    constructor(message: string);
+    readonly code: 'TOO_EXPENSIVE';
+}
+
 // ========================================
 // Default Export
 // ========================================
@@ -186,8 +1184,42 @@ export function isMersenneExponent(n: number): boolean;
 declare const api: {
     generate: typeof generate;
     solve: typeof solve;
+    solveAsync: typeof solveAsync;
+    resume: typeof resume;
+    resumeAsync: typeof resumeAsync;
+    solveInWorker: typeof solveInWorker;
+    createSolverPool: typeof createSolverPool;
+    busyFetch: typeof busyFetch;
     verify: typeof verify;
+    verifyDetailed: typeof verifyDetailed;
+    verifySegments: typeof verifySegments;
+    createVerifier: typeof createVerifier;
+    createPassIssuer: typeof createPassIssuer;
+    createMemoryStore: typeof createMemoryStore;
+    createDifficultyPolicy: typeof createDifficultyPolicy;
+    instrument: typeof instrument;
+    createMetrics: typeof createMetrics;
+    createMetricsRegistry: typeof createMetricsRegistry;
+    benchmark: typeof benchmark;
+    estimateSolveMs: typeof estimateSolveMs;
+    estimateVerifyMs: typeof estimateVerifyMs;
+    encodeChallenge: typeof encodeChallenge;
+    decodeChallenge: typeof decodeChallenge;
+    encodeSolution: typeof encodeSolution;
+    decodeSolution: typeof decodeSolution;
+    encodeKctfChallenge: typeof encodeKctfChallenge;
+    decodeKctfChallenge: typeof decodeKctfChallenge;
+    encodeKctfSolution: typeof encodeKctfSolution;
+    decodeKctfSolution: typeof decodeKctfSolution;
     initMathsFunctions: typeof initMathsFunctions;
+    BusybotError: typeof BusybotError;
+    UnknownExponentError: typeof UnknownExponentError;
+    MalformedChallengeError: typeof MalformedChallengeError;
+    MalformedSolutionError: typeof MalformedSolutionError;
+    OutOfRangeError: typeof OutOfRangeError;
+    MalformedTokenError: typeof MalformedTokenError;
+    InvalidCheckpointError: typeof InvalidCheckpointError;
+    TooExpensiveError: typeof TooExpensiveError;
 };
 
 export default api;
@@ -12,6 +12,8 @@
 //  See the License for the specific language governing permissions and
 //  limitations under the License.
 
+/* global TextEncoder, TextDecoder, DOMException, URL, setTimeout, performance, Headers */
+
 // Busybot. An implementation of the proof of work scheme used by kCTF
 // (https://github.com/google/kctf/blob/v1/docker-images/challenge/pow.py), to
 // impose expensive work on pesky bots before serving their requests.
@@ -48,6 +50,12 @@
 // simple sum of 2^n - 2^0, the Barrett reduction of the square operation is
 // very cheap, consisting only of a few adds and shifts.
 //
+// Mersenne primes are sparse though, so the modulus can also be a
+// pseudo-Mersenne prime 2^n - k, for small k with k = 1 (mod 4) (so the prime
+// is also 3 mod 4), from a fixed table. Reducing modulo these is almost as
+// cheap, and the square root is almost exactly as expensive as for a Mersenne
+// prime of the same size.
+//
 //
 // This proof of work scheme is useful over a hash-collision type scheme
 // because it is resistant to parallel implantation, not memory intensive, and
@@ -67,6 +75,73 @@
 // requests would have to spend 15 minutes of computing time for the privilege.
 
 
+// Errors thrown by busybot are BusybotErrors, with a .code that (unlike the
+// message) is stable, so that it can be relied on to handle them:
+//   INVALID_ARGUMENT: an invalid option or argument
+//   UNKNOWN_EXPONENT: an exponent (and .k) that does not identify a known
+//     Mersenne or pseudo-Mersenne prime
+//   MALFORMED_CHALLENGE, MALFORMED_SOLUTION: not of the form required to be
+//       solved or verified
+//   OUT_OF_RANGE: a challenge or solution value outside the modulus
+//   MALFORMED_TOKEN: a token that can't be decoded (see decodeChallenge())
+//   INVALID_CHECKPOINT: a checkpoint that can't be resumed from
+//   TOO_EXPENSIVE: a challenge that exceeds maxSolveCost
+//   POOL_CLOSED: solving was cancelled by closing a solver pool
+//   WORKER_FAILED: a solver worker failed
+//   CHALLENGE_REQUEST_FAILED: a challenge could not be fetched (see
+//       element.mjs)
+// The subclasses below can also be used with instanceof.
+class BusybotError extends Error {
+    constructor(message, code = 'INVALID_ARGUMENT') {
+        super(message);
+        this.name = new.target.name;
+        this.code = code;
+    }
+}
+
+class UnknownExponentError extends BusybotError {
+    constructor(message) { super(message, 'UNKNOWN_EXPONENT'); }
+}
+
+class MalformedChallengeError extends BusybotError {
+    constructor(message) { super(message, 'MALFORMED_CHALLENGE'); }
+}
+
+class MalformedSolutionError extends BusybotError {
+    constructor(message) { super(message, 'MALFORMED_SOLUTION'); }
+}
+
+class OutOfRangeError extends BusybotError {
+    constructor(message) { super(message, 'OUT_OF_RANGE'); }
+}
+
+class MalformedTokenError extends BusybotError {
+    constructor(message) { super(message, 'MALFORMED_TOKEN'); }
+}
+
+class InvalidCheckpointError extends BusybotError {
+    constructor(message) { super(message, 'INVALID_CHECKPOINT'); }
+}
+
+class TooExpensiveError extends BusybotError {
+    constructor(message) { super(message, 'TOO_EXPENSIVE'); }
+}
+
+// recreate an error from its message and code, for errors passed from a
+// solver worker
+function errorFromCode(message, code) {
+    const ErrorClass = {
+        UNKNOWN_EXPONENT: UnknownExponentError,
+        MALFORMED_CHALLENGE: MalformedChallengeError,
+        MALFORMED_SOLUTION: MalformedSolutionError,
+        OUT_OF_RANGE: OutOfRangeError,
+        MALFORMED_TOKEN: MalformedTokenError,
+        INVALID_CHECKPOINT: InvalidCheckpointError,
+        TOO_EXPENSIVE: TooExpensiveError
+    }[code];
+    return ErrorClass ? new ErrorClass(message) : new BusybotError(message, code);
+}
+
 // from https://oeis.org/A000043
 const Known_Mersenne_Exponents = [2, 3, 5, 7, 13, 17, 19, 31, 61, 89, 107, 127,
     521, 607, 1279, 2203, 2281, 3217, 4253, 4423, 9689, 9941, 11213, 19937,
@@ -75,33 +150,197 @@ const Known_Mersenne_Exponents = [2, 3, 5, 7, 13, 17, 19, 31, 61, 89, 107, 127,
     25964951, 30402457, 32582657, 37156667, 42643801, 43112609, 57885161,
     74207281];
 
+// Pseudo-Mersenne primes 2^n - k, to fill the gaps between the Mersenne
+// exponents: for each n, the smallest k for which 2^n - k is prime and k = 1
+// (mod 4), so that like Mersenne primes they are 3 (mod 4), as found (and
+// checked) by scripts/find-pseudo-mersenne-primes.mjs. Challenges for them
+// have both the exponent n (.m) and k (.k), while Mersenne primes have no .k.
+const Pseudo_Mersenne_Primes = new Map([
+    [256, 189], [384, 317], [768, 825], [1024, 105], [1536, 3453], [1792, 1685],
+    [2560, 2745], [3584, 429], [5120, 7097], [6144, 5157], [7168, 1817],
+    [8192, 9345], [12288, 39213], [14336, 13137], [16384, 13797],
+    [28672, 59429], [34816, 14165]
+]);
+
 function isMersenneExponent(n) {
     return Known_Mersenne_Exponents.includes(Number(n));
 }
 
+function isPseudoMersenneExponent(n) {
+    return Pseudo_Mersenne_Primes.has(Number(n));
+}
+
+// Each known exponent identifies a single prime modulus: 2^m - 1 for
+// Mersenne exponents, or 2^m - k for pseudo-Mersenne primes.
+function isKnownExponent(n) {
+    return isMersenneExponent(n) || isPseudoMersenneExponent(n);
+}
+
+function modulusOffset(m) {
+    return Pseudo_Mersenne_Primes.get(Number(m)) ?? 1;
+}
+
+function modulusForExponent(m) {
+    return (1n << BigInt(m)) - BigInt(modulusOffset(m));
+}
+
+function checkMersenneExponent(m) {
+    if (!isMersenneExponent(m)) {
+        throw new UnknownExponentError(`"${m}" is not known to be a Mersenne exponent, expected one of: ${Known_Mersenne_Exponents}`);
+    }
+}
+
+function checkPseudoMersenneExponent(m) {
+    if (!isPseudoMersenneExponent(m)) {
+        throw new UnknownExponentError(`"${m}" is not the exponent of a known pseudo-Mersenne prime, expected one of: ${[...Pseudo_Mersenne_Primes.keys()]}`);
+    }
+}
+
+function checkExponent(m) {
+    if (!isKnownExponent(m)) {
+        throw new UnknownExponentError(`"${m}" is not known to be a Mersenne exponent, or the exponent of a pseudo-Mersenne prime, expected one of: ${Known_Mersenne_Exponents}, or ${[...Pseudo_Mersenne_Primes.keys()]}`);
+    }
+}
+
+// throw unless a challenge's .m and .k identify a known prime modulus (.k
+// must be absent for Mersenne primes, so that each has only one form)
+function checkModulus({m, k}) {
+    if (k === undefined) {
+        checkMersenneExponent(m);
+    } else if (Pseudo_Mersenne_Primes.get(m) !== k) {
+        throw new UnknownExponentError(`"2^${m} - ${k}" is not a known pseudo-Mersenne prime`);
+    }
+}
+
+// initMathsFunctions() for the modulus identified by a known exponent
+function mathsForExponent(m) {
+    return isPseudoMersenneExponent(m) ?
+        initMathsFunctions({forPseudoMersenneExponent: m}) :
+        initMathsFunctions({forMersenneExponent: m});
+}
+
 // The challenge works with any pattern of bits flipped between each iteration,
-// but the kCTF version flips only the lsb, and I can't see any reason to do
-// otherwise.
+// as long as some are flipped (otherwise d iterations would collapse into a
+// single exponentiation). The kCTF version flips only the lsb, as do
+// unversioned challenges, but versioned challenges can choose their own
+// pattern (.f, see checkVersionedChallenge()).
+//
+// Except that each step of a solution can be out by a factor of -1, so
+// verifying relies on flipping commuting with negation: (p - x) ^ f must be
+// p - (x ^ f). For a Mersenne prime 2^m - 1, negating flips every bit, so
+// this holds for any pattern, but for a pseudo-Mersenne prime it only holds
+// for every x when just the lsb is flipped (since p is odd). So challenges
+// with a pseudo-Mersenne modulus can only use Flip_Bits.
 const Flip_Bits = 1n;
 
+// the bits flipped between iterations of a challenge that has been checked
+// by checkChallenge()
+function flipBitsFor(challenge) {
+    return (challenge.v !== undefined && challenge.f !== undefined) ? BigInt(challenge.f) : Flip_Bits;
+}
+
+// Arithmetic backends for fastFixedExpPow(), which does all of the work of
+// solving:
+//   barrett: BigInt squaring with Barrett reduction (the reference
+//            implementation)
+//   fold:    BigInt squaring with Mersenne fold-and-add reduction
+//   limbs:   schoolbook squaring of 16-bit limbs in a Float64Array, with a
+//            fold-and-add reduction, which allocates nothing per iteration
+//
+// There is no automatic selection: fold is always the default. With V8's
+// native BigInt multiplication it is the fastest up to n=~3217, and as fast as
+// barrett above that, where the multiplication dominates. limbs is not a
+// faster path for any exponent (~3x slower at n=61, and ~14x by n=4423, since
+// BigInt uses sub-quadratic multiplication): it is only for engines where
+// allocating a BigInt per operation is the bottleneck. Run `npm run bench` to
+// compare them on other engines.
+const Maths_Backends = ['barrett', 'fold', 'limbs'];
+
+// The steps of an addition chain for raising to the fixed exponent (p+1)/4:
+// positive steps square that many times, and the others save the current
+// value, or multiply it by the saved value or by the base.
+const Step_Save = -1;
+const Step_Multiply_Saved = -2;
+const Step_Multiply_Base = -3;
+
+// For a Mersenne prime 2^n - 1, (p+1)/4 is 2^(n-2), so is just n-2
+// squarings. For a pseudo-Mersenne prime 2^n - k, (p+1)/4 = 2^(n-2) - j (where
+// j = (k-1)/4) is split into (2^a - 1)*2^t + r, for t the bit length of j and
+// r = 2^t - j. x^(2^a - 1) is computed with the usual chain for repunits
+// (x^(2^2b - 1) = (x^(2^b - 1))^(2^b) * x^(2^b - 1)), then squared t times,
+// multiplying in the bits of r. That is n-2 squarings in total, plus only
+// about 2*log2(n) + log2(k) multiplications.
+function sqrtSteps(n, k) {
+    if (k === 1) {
+        return (n > 2) ? [n - 2] : [];
+    }
+    const j = (k - 1) / 4;
+    const t = j.toString(2).length;
+    const r = 2 ** t - j;
+    const a = n - 2 - t;
+    const steps = [];
+    const square = (count) => {
+        if (steps.at(-1) > 0) {
+            steps[steps.length - 1] += count;
+        } else {
+            steps.push(count);
+        }
+    };
+    // starting from x = x^(2^1 - 1), for each bit of a after the first:
+    let b = 1;
+    for (let i = a.toString(2).length - 2; i >= 0; i--) {
+        steps.push(Step_Save);
+        square(b);
+        steps.push(Step_Multiply_Saved);
+        b *= 2;
+        if ((a >> i) & 1) {
+            square(1);
+            steps.push(Step_Multiply_Base);
+            b += 1;
+        }
+    }
+    for (let i = t - 1; i >= 0; i--) {
+        square(1);
+        if ((r >> i) & 1) {
+            steps.push(Step_Multiply_Base);
+        }
+    }
+    return steps;
+}
+
 // pre-calculate a number of constants based on the base we're working in, and
-// return various functions to do modular arithmetic in this base.
-function initMathsFunctions({forMersenneExponent}) {
-    // check that the chosen exponent is indeed a Mersenne prime:
-    if (typeof forMersenneExponent !== 'number') {
-        forMersenneExponent = Number(forMersenneExponent);
+// return various functions to do modular arithmetic in this base: either the
+// Mersenne prime 2^n - 1 for forMersenneExponent n, or the pseudo-Mersenne
+// prime 2^n - k for forPseudoMersenneExponent n (see Pseudo_Mersenne_Primes).
+function initMathsFunctions({forMersenneExponent, forPseudoMersenneExponent, backend = 'fold'}) {
+    if (forMersenneExponent !== undefined && forPseudoMersenneExponent !== undefined) {
+        throw new BusybotError('Only one of forMersenneExponent and forPseudoMersenneExponent can be specified.');
+    }
+    const isPseudo = forPseudoMersenneExponent !== undefined;
+    // check that the chosen exponent is indeed that of a known prime:
+    let forExponent = isPseudo ? forPseudoMersenneExponent : forMersenneExponent;
+    if (typeof forExponent !== 'number') {
+        forExponent = Number(forExponent);
     }
-    if (!isMersenneExponent(forMersenneExponent)) {
-        throw new Error(`"${forMersenneExponent}" is not known to be a Mersenne exponent, expected one of: ${Known_Mersenne_Exponents}`);
+    if (isPseudo) {
+        checkPseudoMersenneExponent(forExponent);
+    } else {
+        checkMersenneExponent(forExponent);
+    }
+    if (!Maths_Backends.includes(backend)) {
+        throw new BusybotError(`backend must be one of: ${Maths_Backends.join(', ')}`);
     }
 
-    // the modulus we're working in
-    const modulusLog2 = BigInt(forMersenneExponent);
-    const modulus = (1n << modulusLog2) - 1n;
+    // the modulus we're working in, 2^n - offset
+    const offset = modulusOffset(forExponent);
+    const modulusLog2 = BigInt(forExponent);
+    const lowMask = (1n << modulusLog2) - 1n;
+    const bigOffset = BigInt(offset);
+    const modulus = lowMask + 1n - bigOffset;
 
     // exponent required to calculate the square root
     const exponent = (modulus + 1n) / 4n;
-    const exponentLog2 = Number(modulusLog2) - 2;
+    const steps = sqrtSteps(forExponent, offset);
 
 
     // Calculate modulus of a * b by Barrett reduction:
@@ -110,14 +349,16 @@ function initMathsFunctions({forMersenneExponent}) {
     const barrett_n = modulusLog2;
     const barrett_R = (1n << (2n*barrett_n)) / modulus;
 
-    // this basic Barrett multiplication implementation is not used, but it is
-    // useful to understand the faster version below.
+    // this basic Barrett multiplication implementation is only used for
+    // pseudo-Mersenne primes, but it is useful to understand the faster
+    // version below. (The estimate of the quotient may be up to two less than
+    // the true value, so up to two subtractions are needed.)
     const barrettMul = function(a, b) {
         const w = a * b;
         const x2 = (w >> (barrett_n - 1n)) * barrett_R;
         const x3 = x2 >> (barrett_n + 1n);
         let x = w - (x3 * modulus);
-        if (x >= modulus) {
+        while (x >= modulus) {
             x -= modulus;
         }
         return x;
@@ -133,7 +374,7 @@ function initMathsFunctions({forMersenneExponent}) {
     // if ((1n << modulusLog2) - 1n !== modulus) {
     //     throw new Error('emath');
     // }
-    const barrettFastSquare = function(a) {
+    const mersenneBarrettSquare = function(a) {
         const w = a * a;
         const x2 = (w >> (barrett_n - 1n));
         // multiply x2 by barrett_R, taking advantage of the fact it's 1 + 2^barrett_n:
@@ -147,6 +388,8 @@ function initMathsFunctions({forMersenneExponent}) {
         return x;
     };
 
+    const barrettFastSquare = isPseudo ? (a) => barrettMul(a, a) : mersenneBarrettSquare;
+
     // fast modular power (raising base ^ constant exponent) which makes
     // assumptions to avoid unnecessary operations
     //
@@ -163,7 +406,7 @@ function initMathsFunctions({forMersenneExponent}) {
     const fastModPow = function(base) {
         // base %= modulus;
         if ((base >= modulus) || (base < 0n)) {
-            throw new Error('base must be pre-divided by modulus');
+            throw new BusybotError('base must be pre-divided by modulus');
         }
 
         let result = 1n;
@@ -182,157 +425,2975 @@ function initMathsFunctions({forMersenneExponent}) {
         return result;
     };
 
-    // given that exponent is fixed, and is an even power of 2, exponentiation
-    // by squaring can be reduced to squaring N times:
+    // given that exponent is fixed, and (for Mersenne primes) is an even power
+    // of 2, exponentiation by squaring can be reduced to squaring N times (and
+    // for pseudo-Mersenne primes, to the steps of sqrtSteps()):
     // (This is not dramatically faster than fastModPow, since the number of
     // expensive multiplications ends up being the same, but it shows directly
     // how the 'solve' operation is approximately N times more difficult than
     // the verify operation, for a base of N bits, since solving must do these
     // n squaring 'difficulty' times, whereas verifying must just square once
     // 'difficulty' times.)
-    const fastFixedExpPow = function(base) {
-        let n = exponentLog2;
-        while (n > 0) {
-            base = barrettFastSquare(base);
-            n -= 1;
+    const barrettFixedExpPow = function(base) {
+        const x = base;
+        let saved;
+        for (const step of steps) {
+            if (step > 0) {
+                let n = step;
+                while (n > 0) {
+                    base = barrettFastSquare(base);
+                    n -= 1;
+                }
+            } else if (step === Step_Save) {
+                saved = base;
+            } else {
+                base = barrettMul(base, step === Step_Multiply_Saved ? saved : x);
+            }
+        }
+        return base;
+    };
+
+    // Since 2^n = 1 (mod 2^n - 1), the high n bits of a product can simply be
+    // added to the low n bits to reduce it: w = h*2^n + l = h + l. For a
+    // product of two values less than the modulus the sum is less than twice
+    // the modulus, so at most one subtraction is needed.
+    const mersenneFoldSquare = function(a) {
+        const w = a * a;
+        let x = (w & modulus) + (w >> modulusLog2);
+        if (x >= modulus) {
+            x -= modulus;
+        }
+        return x;
+    };
+
+    // Likewise 2^n = k (mod 2^n - k), so w = h*2^n + l = k*h + l. Folding
+    // twice leaves less than 2^n + k^2, which for every known prime is
+    // less than twice the modulus, so again at most one subtraction is needed.
+    const pseudoFoldMul = function(a, b) {
+        const w = a * b;
+        let x = (w & lowMask) + bigOffset * (w >> modulusLog2);
+        x = (x & lowMask) + bigOffset * (x >> modulusLog2);
+        if (x >= modulus) {
+            x -= modulus;
+        }
+        return x;
+    };
+
+    const mersenneFoldMul = function(a, b) {
+        const w = a * b;
+        let x = (w & modulus) + (w >> modulusLog2);
+        if (x >= modulus) {
+            x -= modulus;
+        }
+        return x;
+    };
+
+    const foldMul = isPseudo ? pseudoFoldMul : mersenneFoldMul;
+
+    const foldSquare = isPseudo ? (a) => pseudoFoldMul(a, a) : mersenneFoldSquare;
+
+    const foldFixedExpPow = function(base) {
+        const x = base;
+        let saved;
+        for (const step of steps) {
+            if (step > 0) {
+                let n = step;
+                while (n > 0) {
+                    base = foldSquare(base);
+                    n -= 1;
+                }
+            } else if (step === Step_Save) {
+                saved = base;
+            } else {
+                base = foldMul(base, step === Step_Multiply_Saved ? saved : x);
+            }
         }
         return base;
     };
 
+    // The limbs backend works on the value as little-endian 16-bit limbs, so
+    // that the column sums of a product (at most 2^33 * the number of limbs)
+    // are exactly representable as doubles for every known exponent. The
+    // buffers are allocated on first use, and reused for every operation.
+    const bits = Number(modulusLog2);
+    const limbCount = Math.ceil(bits / 16);
+    // the modulus splits the product at bit topBits of limb topLimb (for
+    // pseudo-Mersenne primes n is a multiple of 16, so topBits is 0, and
+    // topLimb is limbCount)
+    const topLimb = Math.floor(bits / 16);
+    const topBits = bits % 16;
+    const topMask = (1 << topBits) - 1;
+    // limbs holds the current value, which is kept less than 2^n (so it may
+    // not be fully reduced), and baseLimbs and savedLimbs the multiplicands of
+    // the sqrtSteps() multiplications
+    let limbs, columns, baseLimbs, savedLimbs;
+
+    // the bits of limbs at or above n (clearing them), plus carry * 2^(16*limbCount)
+    const takeExcess = function(carry) {
+        if (topBits === 0) {
+            return carry;
+        }
+        const excess = (limbs[topLimb] >>> topBits) + carry * (1 << (16 - topBits));
+        limbs[topLimb] &= topMask;
+        return excess;
+    };
+
+    // reduce the product in columns into limbs
+    const reduceColumns = function() {
+        // propagate carries, so every column is a 16-bit limb
+        let carry = 0;
+        for (let k = 0; k < 2 * limbCount; k++) {
+            const c = columns[k] + carry;
+            carry = Math.floor(c / 65536);
+            columns[k] = c - carry * 65536;
+        }
+        // fold: add offset * the bits above n to the bits below n
+        carry = 0;
+        for (let k = 0; k < limbCount; k++) {
+            const low = k < topLimb ? columns[k] : (k === topLimb ? columns[k] & topMask : 0);
+            const high = ((columns[topLimb + k] >>> topBits) | (columns[topLimb + k + 1] << (16 - topBits))) & 0xffff;
+            const c = low + offset * high + carry;
+            carry = Math.floor(c / 65536);
+            limbs[k] = c - carry * 65536;
+        }
+        // the sum is less than (offset + 1) * 2^n, so fold in the bits above n
+        // again until there are none
+        let excess = takeExcess(carry);
+        while (excess !== 0) {
+            let c = offset * excess;
+            for (let k = 0; c !== 0 && k < limbCount; k++) {
+                c += limbs[k];
+                carry = Math.floor(c / 65536);
+                limbs[k] = c - carry * 65536;
+                c = carry;
+            }
+            excess = takeExcess(c);
+        }
+    };
+
+    const limbSquare = function() {
+        columns.fill(0);
+        for (let i = 0; i < limbCount; i++) {
+            const a = limbs[i];
+            if (a === 0) {
+                continue;
+            }
+            columns[2 * i] += a * a;
+            const a2 = a * 2;
+            for (let j = i + 1; j < limbCount; j++) {
+                columns[i + j] += a2 * limbs[j];
+            }
+        }
+        reduceColumns();
+    };
+
+    const limbMultiply = function(other) {
+        columns.fill(0);
+        for (let i = 0; i < limbCount; i++) {
+            const a = limbs[i];
+            if (a === 0) {
+                continue;
+            }
+            for (let j = 0; j < limbCount; j++) {
+                columns[i + j] += a * other[j];
+            }
+        }
+        reduceColumns();
+    };
+
+    const limbFixedExpPow = function(base) {
+        if (!limbs) {
+            limbs = new Float64Array(limbCount);
+            columns = new Float64Array(2 * limbCount + 1);
+            baseLimbs = new Float64Array(limbCount);
+            savedLimbs = new Float64Array(limbCount);
+        }
+        for (let k = 0; k < limbCount; k++) {
+            limbs[k] = Number(base & 0xffffn);
+            base >>= 16n;
+        }
+        baseLimbs.set(limbs);
+        for (const step of steps) {
+            if (step > 0) {
+                let i = step;
+                while (i > 0) {
+                    limbSquare();
+                    i -= 1;
+                }
+            } else if (step === Step_Save) {
+                savedLimbs.set(limbs);
+            } else {
+                limbMultiply(step === Step_Multiply_Saved ? savedLimbs : baseLimbs);
+            }
+        }
+        let result = 0n;
+        for (let k = limbCount - 1; k >= 0; k--) {
+            result = (result << 16n) | BigInt(limbs[k]);
+        }
+        // values from the modulus up to 2^n are alternative representations
+        // of 0 to 2^n - modulus - 1
+        return result >= modulus ? result - modulus : result;
+    };
+
+    const fastFixedExpPow = {
+        barrett: barrettFixedExpPow,
+        fold: foldFixedExpPow,
+        limbs: limbFixedExpPow
+    }[backend];
+
+    // squaring used to verify solutions, which must be fast for large
+    // exponents
+    const verifySquare = isPseudo ? foldSquare : barrettFastSquare;
+
 
     return {
         modulus,
         exponent,
+        backend,
 
         barrettMul,
         barrettFastSquare,
+        foldSquare,
+        foldMul,
+        verifySquare,
 
         fastModPow,
-        fastFixedExpPow
+        fastFixedExpPow,
+        barrettFixedExpPow,
+        foldFixedExpPow,
+        limbFixedExpPow
     };
 }
 
 
-let randomBytesP;
-// generate a (json-encoded) challenge. The encoding format is JSON, not the same format used by kCTF.
-async function generate({forMersenneExponent = 1279, withDifficulty}){
-    // challenge generation is only supported in a node environment
-    if (!randomBytesP) {
-        randomBytesP = (await import(/* webpackIgnore: true */ 'node:util')).promisify((await import(/* webpackIgnore: true */ 'node:crypto')).randomBytes);
+// SHA-256 (https://csrc.nist.gov/pubs/fips/180-4/upd1/final) and HMAC
+// (https://www.rfc-editor.org/rfc/rfc2104), used for signing challenges.
+//
+// These are implemented here rather than using node:crypto or WebCrypto so
+// that verify() can remain synchronous, and work in any js environment. The
+// inputs we hash are all tiny, so speed is not a concern.
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function sha256(bytes) {
+    // pad the message to a multiple of 64 bytes, with a 1 bit, zeros, and the
+    // 64-bit message length in bits:
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, (bytes.length << 3) >>> 0);
+
+    const h = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i-15], 7) ^ rotr(w[i-15], 18) ^ (w[i-15] >>> 3);
+            const s1 = rotr(w[i-2], 17) ^ rotr(w[i-2], 19) ^ (w[i-2] >>> 10);
+            w[i] = w[i-16] + s0 + w[i-7] + s1;
+        }
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) >>> 0;
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+        h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
     }
 
-    if (!isMersenneExponent(forMersenneExponent)) {
-        throw new Error(`"${forMersenneExponent}" is not known to be a Mersenne exponent, expected one of: ${Known_Mersenne_Exponents}`);
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    for (let i = 0; i < 8; i++) {
+        digestView.setUint32(i * 4, h[i]);
     }
-    if (forMersenneExponent < 61) {
-        throw new Error(`"${forMersenneExponent}" is too small of a base to produce a secure challenge.`);
+    return digest;
+}
+
+function hmacSha256(key, message) {
+    const blockSize = 64;
+    if (key.length > blockSize) {
+        key = sha256(key);
     }
+    const inner = new Uint8Array(blockSize + message.length);
+    const outer = new Uint8Array(blockSize + 32);
+    for (let i = 0; i < blockSize; i++) {
+        const k = i < key.length ? key[i] : 0;
+        inner[i] = k ^ 0x36;
+        outer[i] = k ^ 0x5c;
+    }
+    inner.set(message, blockSize);
+    outer.set(sha256(inner), blockSize);
+    return sha256(outer);
+}
 
-    if ((!Number.isSafeInteger(withDifficulty)) || withDifficulty < 0) {
-        throw new Error('Difficulty must be a positive integer.');
+const utf8Encoder = new TextEncoder();
+// (strict, so that decoding and re-encoding always reproduces the same bytes)
+const utf8Decoder = new TextDecoder('utf-8', {fatal: true, ignoreBOM: true});
+
+function toBytes(stringOrBytes) {
+    if (typeof stringOrBytes === 'string') {
+        return utf8Encoder.encode(stringOrBytes);
     }
+    return stringOrBytes;
+}
 
-    const challengeByteLength = (forMersenneExponent < 128)? Math.floor(forMersenneExponent/8) : 16;
+// compare two strings without exiting early, so that the time taken doesn't
+// leak how much of a signature was correct
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
 
-    return {
-        c: `0x${(await randomBytesP(challengeByteLength)).toString('hex')}`,
-        d: withDifficulty,
-        m: forMersenneExponent
-    };
+// base64 (https://www.rfc-editor.org/rfc/rfc4648), with padding, and
+// base64url, without padding
+const Base64_Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const Base64url_Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+function base64Encode(bytes, alphabet = Base64_Alphabet, pad = true) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const n = (bytes[i] << 16) | ((bytes[i+1] ?? 0) << 8) | (bytes[i+2] ?? 0);
+        const chars = Math.ceil((Math.min(3, bytes.length - i) * 8) / 6);
+        for (let j = 0; j < chars; j++) {
+            result += alphabet[(n >> (18 - 6 * j)) & 0x3f];
+        }
+        if (pad) {
+            result += '='.repeat(4 - chars);
+        }
+    }
+    return result;
 }
 
+function base64urlEncode(bytes) {
+    return base64Encode(bytes, Base64url_Alphabet, false);
+}
 
-// solve a challenge of the form:
-// {
-//   c: '0xabc123......', (hex-encoded BigInt random challenge value)
-//   d: 100, (integer, number of iterations of modular square root to calculate)
-//   m: 3217, (a Mersenne prime exponent, of the Mersenne prime base to use for modular arithmetic)
-// }
-// returning a solution of the form:
-// {
-//   s: '0xfe173.....' (hex-encoded BigInt, challenge value after d modular square roots, followed by bit flips)
-// }
-// Throws if challenge is invalid.
-function solve(challenge, {progressCallback}={}) {
-    if ((!challenge) ||
-        (typeof challenge) !== 'object' ||
-        (typeof challenge.c) !== 'string' ||
-        (typeof challenge.d) !== 'number' ||
-        (typeof challenge.m) !== 'number') {
-        throw new Error('Malformed challenge: must have .c, .m, and .d');
+// strictly decode base64: returns undefined for anything that isn't exactly
+// what base64Encode would have produced for some input (invalid characters,
+// incorrect padding, or non-zero unused bits)
+function base64Decode(string, alphabet = Base64_Alphabet, pad = true) {
+    let unpadded = string;
+    if (pad) {
+        if (string.length % 4 !== 0) {
+            return undefined;
+        }
+        unpadded = string.replace(/={1,2}$/, '');
     }
-    if (progressCallback && (typeof progressCallback) !== 'function') {
-        throw new Error('progressCallback must be a function');
+    if (unpadded.length % 4 === 1) {
+        return undefined;
     }
-    let solution = BigInt(challenge.c);
-    const difficulty = challenge.d;
-    const forMersenneExponent = challenge.m;
-    const { fastFixedExpPow, modulus } = initMathsFunctions({ forMersenneExponent });
+    const bytes = new Uint8Array(Math.floor(unpadded.length * 3 / 4));
+    let bits = 0;
+    let value = 0;
+    let j = 0;
+    for (let i = 0; i < unpadded.length; i++) {
+        const n = alphabet.indexOf(unpadded[i]);
+        if (n < 0) {
+            return undefined;
+        }
+        value = ((value << 6) | n) & 0xfff;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[j++] = value >> bits;
+        }
+    }
+    if (value & ((1 << bits) - 1)) {
+        return undefined;
+    }
+    return bytes;
+}
 
-    if (solution > modulus || solution < 0n) {
-        throw new Error('Malformed challenge: out of range for exponent.');
+function bytesToBigInt(bytes) {
+    let hex = '0x0';
+    for (const b of bytes) {
+        hex += b.toString(16).padStart(2, '0');
     }
+    return BigInt(hex);
+}
 
-    for (let i = 0; i < difficulty; i++) {
-        solution = fastFixedExpPow(solution);
-        solution ^= Flip_Bits;
-        if (progressCallback){
-            progressCallback((i+1) / difficulty);
+// big-endian encoding of a non-negative BigInt in exactly length bytes
+function bigIntToBytes(n, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = Number(n & 0xffn);
+        n >>= 8n;
+    }
+    return bytes;
+}
+
+function uintToBytes(n, length) {
+    return bigIntToBytes(BigInt(n), length);
+}
+
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function isSecret(secret) {
+    return ((typeof secret === 'string') || (secret instanceof Uint8Array)) && secret.length > 0;
+}
+
+// accept a single secret, or an array of them
+function toSecrets(secrets) {
+    if (!Array.isArray(secrets)) {
+        secrets = [secrets];
+    }
+    if (secrets.length === 0 || !secrets.every(isSecret)) {
+        throw new BusybotError('secrets must be a non-empty string or Uint8Array, or an array of them');
+    }
+    return secrets;
+}
+
+// JSON encoding of the fields of an object in a consistent (sorted) order
+function canonicalJSON(object, excludingFields = []) {
+    const fields = Object.keys(object).filter(k => !excludingFields.includes(k)).sort();
+    return JSON.stringify(fields.map(k => [k, object[k]]));
+}
+
+// The signature covers every field of the challenge except the signature
+// itself, so that the client can't modify any of them (or add new ones).
+function signChallenge(challenge, secret) {
+    const payload = canonicalJSON(challenge, ['h']);
+    return base64urlEncode(hmacSha256(toBytes(secret), utf8Encoder.encode(payload)));
+}
+
+// check the signature and expiry of a challenge produced by generate({secret}),
+// against any of the accepted secrets (more than one can be accepted, to allow
+// keys to be rotated without invalidating challenges that are in flight).
+// Returns null if they are valid, or else the reason to reject the challenge
+// (see verifyDetailed()).
+function checkChallengeSignature(challenge, secrets, now) {
+    secrets = toSecrets(secrets);
+    if ((typeof challenge.h) !== 'string' ||
+        !Number.isSafeInteger(challenge.t) ||
+        !Number.isSafeInteger(challenge.e)) {
+        return 'INVALID_SIGNATURE';
+    }
+    if (Math.floor(now / 1000) >= challenge.e) {
+        return 'EXPIRED';
+    }
+    let valid = false;
+    // check every secret, rather than stopping at the first match, so the
+    // time taken doesn't reveal which key was used
+    for (const secret of secrets) {
+        if (constantTimeEqual(signChallenge(challenge, secret), challenge.h)) {
+            valid = true;
         }
     }
-    return {s: `0x${solution.toString(16)}`};
+    return valid ? null : 'INVALID_SIGNATURE';
 }
 
-// verify a solution of the form:
-// {
-//   s: '0xfe173...' (hex-encoded BigInt solution to be verified)
-// }
-// against a challenge of the same form accepted by solve(), and generated by generate().
-// Returns true if the solution is correct, false otherwise. Throws for invalid arguments.
-function verify(challenge, solution) {
-    if ((!challenge) ||
-        (typeof challenge) !== 'object' ||
-        (typeof challenge.c) !== 'string' ||
-        (typeof challenge.d) !== 'number' ||
-        (typeof challenge.m) !== 'number') {
-        throw new Error('Malformed challenge: must have .c, .m, and .d');
+
+let randomBytesP;
+// resolve to length secure random bytes, using Web Crypto where it is
+// available (browsers, Deno, Bun, edge runtimes, and node >= 19), or else
+// node:crypto
+async function randomBytes(length) {
+    if ((typeof globalThis.crypto?.getRandomValues) === 'function') {
+        return globalThis.crypto.getRandomValues(new Uint8Array(length));
     }
-    if ((!solution) ||
-        (typeof solution !== 'object') ||
-        (typeof solution.s) !== 'string' ||
-        !/^0x[0-9a-fA-F]+$/.exec(solution.s)) {
-        throw new Error('Malformed solution: must have .s: hex-encoded BigInt');
+    if (!randomBytesP) {
+        randomBytesP = (await import(/* webpackIgnore: true */ 'node:util')).promisify((await import(/* webpackIgnore: true */ 'node:crypto')).randomBytes);
     }
-    let check = BigInt(solution.s);
-    const difficulty = challenge.d;
-    const forMersenneExponent = challenge.m;
-    const { barrettFastSquare, modulus } = initMathsFunctions({ forMersenneExponent });
+    return new Uint8Array(await randomBytesP(length));
+}
 
-    // a malicious client could try to supply out of range values
-    if (check >= modulus || check < 0n) {
-        return false;
+// node:crypto, only where there is no Web Crypto when this module is loaded
+// (node < 19, without --experimental-global-webcrypto), for fillRandom(),
+// which can't wait for it to be imported
+const Node_Crypto = ((typeof globalThis.crypto?.getRandomValues) === 'function') ? null :
+    await import(/* webpackIgnore: true */ 'node:crypto').catch(() => null);
+
+// synchronously fill a typed array with secure random values from the same
+// sources as randomBytes(), returning it
+function fillRandom(array) {
+    if ((typeof globalThis.crypto?.getRandomValues) === 'function') {
+        return globalThis.crypto.getRandomValues(array);
     }
+    if (Node_Crypto) {
+        return Node_Crypto.randomFillSync(array);
+    }
+    throw new BusybotError('No secure random source is available (Web Crypto or node:crypto)');
+}
 
-    for (let i = 0; i < difficulty; i++) {
-        check = barrettFastSquare(check ^ Flip_Bits);
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// A deterministic source of bytes for generate({seed}), so that tests (and
+// other implementations) can reproduce challenges exactly. The nth call
+// (counting from 0) returns the first length bytes of:
+//   SHA-256(seed || n)
+// where n is a 4-byte big-endian integer, and the seed is UTF-8 encoded if it
+// is a string. This is NOT suitable for production use.
+function createSeededRandomSource(seed) {
+    if (!isSecret(seed)) {
+        throw new BusybotError('seed must be a non-empty string or Uint8Array');
     }
+    const seedBytes = toBytes(seed);
+    let counter = 0;
+    return function(length) {
+        const block = concatBytes([seedBytes, uintToBytes(counter++, 4)]);
+        // (generate() never needs more than one hash's worth of bytes)
+        return sha256(block).slice(0, length);
+    };
+}
 
-    const decodedChallange = BigInt(challenge.c);
-    if (check === decodedChallange) {
-        return true;
-    } else if (check === (modulus - decodedChallange)){
-        return true;
+// the number of random bytes in a challenge value, which must fit within the
+// modulus
+function challengeByteLength(forMersenneExponent) {
+    return (forMersenneExponent < 128)? Math.floor(forMersenneExponent/8) : 16;
+}
+
+// A challenge can be bound to a context (for example the request it must be
+// solved for) by generate({bindTo}). Instead of being random, its value .c is
+// then derived from a random nonce .n and a digest of the context, so that
+// verify(challenge, solution, {context}) can check that it is being redeemed
+// for the same context. Contexts can be strings, Uint8Arrays, or objects of
+// JSON values, e.g. {method, path, bodyHash, clientKey}, whose fields are
+// digested in a canonical order.
+//
+// Binding is only meaningful for challenges that the client can't modify:
+// signed challenges, or those stored on the server.
+const Nonce_Byte_Length = 16;
+
+function contextDigest(context, name) {
+    let bytes;
+    if (context instanceof Uint8Array) {
+        bytes = context;
+    } else if ((typeof context) === 'string') {
+        bytes = utf8Encoder.encode(context);
+    } else if (context && (typeof context) === 'object' && !Array.isArray(context)) {
+        bytes = utf8Encoder.encode(canonicalJSON(context));
+    } else {
+        throw new BusybotError(`${name} must be a string, Uint8Array or object`);
     }
-    return false;
+    return sha256(bytes);
 }
 
+function boundChallengeValue(nonce, digest, forMersenneExponent) {
+    return `0x${bytesToHex(hmacSha256(nonce, digest).subarray(0, challengeByteLength(forMersenneExponent)))}`;
+}
 
-const api = {
-    generate,
-    solve,
-    verify,
-};
+// check that a challenge was bound to the context with this digest
+function checkBinding(challenge, digest) {
+    if ((typeof challenge.n) !== 'string' || !/^0x[0-9a-f]{32}$/.exec(challenge.n)) {
+        return false;
+    }
+    const nonce = bigIntToBytes(BigInt(challenge.n), Nonce_Byte_Length);
+    return challenge.c === boundChallengeValue(nonce, digest, challenge.m);
+}
 
-export { generate, solve, verify, initMathsFunctions };
+// generate a (json-encoded) challenge. The encoding format is JSON, not the
+// same format used by kCTF (but see encodeKctfChallenge()).
+//
+// If a secret is provided, the challenge also has an issue time (.t) and
+// expiry (.e) (in seconds since the epoch), and an HMAC signature (.h) of all
+// its fields, so that verify() can check it was issued by us and has not been
+// modified, without any server-side state.
+//
+// Instead of forMersenneExponent, a forPseudoMersenneExponent can be given, to
+// use the pseudo-Mersenne prime 2^n - k with that exponent n from
+// Pseudo_Mersenne_Primes (the challenge then has that k as .k), so that the
+// cost of each iteration can be chosen more finely.
+//
+// Instead of withDifficulty, a targetSolveMs can be given, in which case the
+// exponent (unless specified) and difficulty are chosen so that solving takes
+// that long on the device described by referenceProfile (see benchmark()),
+// while verifying takes no more than maxVerifyMs.
+//
+// The challenge value is taken from randomSource, a function returning (or
+// resolving to) a Uint8Array of the requested length of random bytes. This
+// must be cryptographically secure, and should only be replaced for testing.
+// Alternatively for testing, a seed produces the same challenge every time
+// (see createSeededRandomSource()).
+//
+// If bindTo is provided, the challenge is bound to it (see contextDigest()
+// above): the challenge value is derived from a random nonce (.n) and bindTo,
+// and verify() can require the same context.
+//
+// If a version is provided, the challenge is versioned (see
+// checkVersionedChallenge()) and has an issue time (.t) whether or not it is
+// signed. A flipMask (a BigInt or hex-encoded BigInt) chooses the bits to flip
+// between iterations (.f), and opaque is a string to carry in the challenge
+// (.o), for example a nonce or an id for state kept by the server. Either of
+// these implies version 1.
+async function generate({
+    forMersenneExponent,
+    forPseudoMersenneExponent,
+    withDifficulty,
+    targetSolveMs,
+    referenceProfile = Reference_Profile,
+    maxVerifyMs = 10,
+    randomSource,
+    seed,
+    secret,
+    ttlSeconds = 300,
+    bindTo,
+    version,
+    flipMask,
+    opaque,
+    now = Date.now()
+}){
+    const start = (Listeners.generate.length > 0) ? performance.now() : 0;
+    if (seed !== undefined) {
+        if (randomSource !== undefined) {
+            throw new BusybotError('Only one of randomSource and seed can be specified.');
+        }
+        randomSource = createSeededRandomSource(seed);
+    }
+    if (randomSource === undefined) {
+        randomSource = randomBytes;
+    }
+    if ((typeof randomSource) !== 'function') {
+        throw new BusybotError('randomSource must be a function');
+    }
+    const digest = (bindTo !== undefined) ? contextDigest(bindTo, 'bindTo') : undefined;
+    if (forMersenneExponent !== undefined && forPseudoMersenneExponent !== undefined) {
+        throw new BusybotError('Only one of forMersenneExponent and forPseudoMersenneExponent can be specified.');
+    }
+    let forExponent = forMersenneExponent ?? forPseudoMersenneExponent;
+    if (targetSolveMs !== undefined) {
+        if (withDifficulty !== undefined) {
+            throw new BusybotError('Only one of withDifficulty and targetSolveMs can be specified.');
+        }
+        ({forExponent, withDifficulty} = chooseForTarget({targetSolveMs, forExponent, profile: referenceProfile, maxVerifyMs}));
+    }
+    if (forExponent === undefined) {
+        forExponent = 1279;
+    }
+
+    if (forPseudoMersenneExponent !== undefined) {
+        checkPseudoMersenneExponent(forExponent);
+    } else if (forMersenneExponent !== undefined) {
+        checkMersenneExponent(forExponent);
+    } else {
+        checkExponent(forExponent);
+    }
+    if (forExponent < 61) {
+        throw new BusybotError(`"${forExponent}" is too small of a base to produce a secure challenge.`);
+    }
+
+    if ((!Number.isSafeInteger(withDifficulty)) || withDifficulty < 0) {
+        throw new BusybotError('Difficulty must be a positive integer.');
+    }
+
+    if (version === undefined && (flipMask !== undefined || opaque !== undefined)) {
+        version = 1;
+    }
+    if (version !== undefined && !Challenge_Versions.includes(version)) {
+        throw new BusybotError(`version must be one of: ${Challenge_Versions}`);
+    }
+    if ((typeof flipMask) === 'bigint') {
+        flipMask = `0x${flipMask.toString(16)}`;
+    }
+    if (flipMask !== undefined && !isFlipMask(flipMask, forExponent)) {
+        throw new BusybotError('flipMask must be a non-zero BigInt (or hex-encoded BigInt) less than 2^m');
+    }
+    if (flipMask !== undefined && !isFlipMaskForModulus(flipMask, forExponent)) {
+        throw new BusybotError('flipMask must be 1 for pseudo-Mersenne exponents');
+    }
+    if (opaque !== undefined && !isOpaque(opaque)) {
+        throw new BusybotError(`opaque must be a string of at most ${Max_Opaque_Byte_Length} UTF-8 bytes`);
+    }
+
+    const randomLength = digest ? Nonce_Byte_Length : challengeByteLength(forExponent);
+    const random = await randomSource(randomLength);
+    if ((!(random instanceof Uint8Array)) || random.length !== randomLength) {
+        throw new BusybotError('randomSource must return a Uint8Array of the requested length');
+    }
+
+    const challenge = {
+        ...(version !== undefined && {v: version}),
+        c: digest ? boundChallengeValue(random, digest, forExponent) : `0x${bytesToHex(random)}`,
+        d: withDifficulty,
+        m: forExponent
+    };
+    if (isPseudoMersenneExponent(forExponent)) {
+        challenge.k = modulusOffset(forExponent);
+    }
+    if (digest) {
+        challenge.n = `0x${bytesToHex(random)}`;
+    }
+    if (flipMask !== undefined) {
+        // (normalised, so that the challenge can be encoded as a token)
+        challenge.f = `0x${BigInt(flipMask).toString(16)}`;
+    }
+    if (opaque !== undefined) {
+        challenge.o = opaque;
+    }
+    if (version !== undefined) {
+        challenge.t = Math.floor(now / 1000);
+    }
+
+    if (secret !== undefined) {
+        if (!isSecret(secret)) {
+            throw new BusybotError('secret must be a non-empty string or Uint8Array');
+        }
+        if ((!Number.isSafeInteger(ttlSeconds)) || ttlSeconds <= 0) {
+            throw new BusybotError('ttlSeconds must be a positive integer.');
+        }
+        challenge.t = Math.floor(now / 1000);
+        challenge.e = challenge.t + ttlSeconds;
+        challenge.h = signChallenge(challenge, secret);
+    }
+
+    if (Listeners.generate.length > 0) {
+        emit(Listeners.generate, {
+            exponent: challenge.m,
+            difficulty: challenge.d,
+            signed: secret !== undefined,
+            bound: digest !== undefined,
+            durationMs: performance.now() - start
+        });
+    }
+    return challenge;
+}
+
+
+// throw if a challenge is not even of the right form to be considered
+function checkChallengeShape(challenge) {
+    if ((!challenge) ||
+        (typeof challenge) !== 'object' ||
+        (typeof challenge.c) !== 'string' ||
+        (typeof challenge.d) !== 'number' ||
+        (typeof challenge.m) !== 'number') {
+        throw new MalformedChallengeError('Malformed challenge: must have .c, .m, and .d');
+    }
+}
+
+function isHexBigInt(value) {
+    return (typeof value) === 'string' && /^0x[0-9a-fA-F]+$/.test(value);
+}
+
+// throw if a challenge can't be solved or verified: as well as having the
+// right form, its value must be hex-encoded, its difficulty a non-negative
+// integer, and its exponent (and .k, for pseudo-Mersenne primes) must identify
+// a known prime modulus. (Its value is checked against the modulus once that
+// has been calculated.)
+function checkChallenge(challenge) {
+    checkChallengeShape(challenge);
+    if (!isHexBigInt(challenge.c)) {
+        throw new MalformedChallengeError('Malformed challenge: .c must be a hex-encoded BigInt');
+    }
+    if ((!Number.isSafeInteger(challenge.d)) || challenge.d < 0) {
+        throw new MalformedChallengeError('Difficulty must be a positive integer.');
+    }
+    checkModulus(challenge);
+    if (challenge.v !== undefined) {
+        checkVersionedChallenge(challenge);
+    }
+}
+
+// Challenges with a version (.v) can carry optional extensions. Unversioned
+// challenges are the original {c, d, m} form (plus .k, .n and signatures),
+// and any extension fields they have are ignored. Version 1 challenges are of
+// the form:
+// {
+//   v: 1,
+//   c, d, m, (and k, n, e, h, as for unversioned challenges)
+//   f: '0x5a3...', (optional: hex-encoded BigInt bits to flip between iterations instead of Flip_Bits, non-zero and less than 2^m, and only 0x1 for pseudo-Mersenne moduli)
+//   t: 1700000000, (optional: issue time in seconds since the epoch, even if the challenge is not signed)
+//   o: 'abc...' (optional: an opaque string chosen by the server, such as a nonce or an id for server-side state, of at most 255 UTF-8 bytes)
+// }
+// Any other version is rejected, since its fields can't be understood.
+const Challenge_Versions = [1];
+const Max_Opaque_Byte_Length = 255;
+
+function isFlipMask(value, m) {
+    return isHexBigInt(value) && BigInt(value) > 0n && BigInt(value) < (1n << BigInt(m));
+}
+
+// (see Flip_Bits)
+function isFlipMaskForModulus(value, m) {
+    return (!isPseudoMersenneExponent(m)) || BigInt(value) === Flip_Bits;
+}
+
+function isOpaque(value) {
+    return (typeof value) === 'string' && utf8Encoder.encode(value).length <= Max_Opaque_Byte_Length;
+}
+
+// throw unless the version and extensions of a versioned challenge are valid
+// (after its modulus has been checked)
+function checkVersionedChallenge(challenge) {
+    if (!Challenge_Versions.includes(challenge.v)) {
+        throw new MalformedChallengeError(`Unsupported challenge version "${challenge.v}", expected one of: ${Challenge_Versions}`);
+    }
+    if (challenge.f !== undefined && !isFlipMask(challenge.f, challenge.m)) {
+        throw new MalformedChallengeError('Malformed challenge: .f must be a non-zero hex-encoded BigInt less than 2^m');
+    }
+    if (challenge.f !== undefined && !isFlipMaskForModulus(challenge.f, challenge.m)) {
+        throw new MalformedChallengeError('Malformed challenge: .f must be 0x1 for pseudo-Mersenne moduli');
+    }
+    if (challenge.t !== undefined && ((!Number.isSafeInteger(challenge.t)) || challenge.t < 0)) {
+        throw new MalformedChallengeError('Malformed challenge: .t must be a non-negative integer');
+    }
+    if (challenge.o !== undefined && !isOpaque(challenge.o)) {
+        throw new MalformedChallengeError(`Malformed challenge: .o must be a string of at most ${Max_Opaque_Byte_Length} UTF-8 bytes`);
+    }
+}
+
+// throw if a solution is not even of the right form to be considered
+function checkSolutionShape(solution) {
+    if ((!solution) ||
+        (typeof solution !== 'object') ||
+        !isHexBigInt(solution.s)) {
+        throw new MalformedSolutionError('Malformed solution: must have .s: hex-encoded BigInt');
+    }
+}
+
+// validate a challenge, and set up the maths functions needed to solve it
+function prepareSolve(challenge, maxSolveCost, segmentEvery) {
+    checkChallenge(challenge);
+    checkSolveCost(challenge, maxSolveCost);
+    const solution = BigInt(challenge.c);
+    const difficulty = challenge.d;
+    const { fastFixedExpPow, modulus } = mathsForExponent(challenge.m);
+
+    if (solution >= modulus) {
+        throw new OutOfRangeError('Malformed challenge: out of range for exponent.');
+    }
+    return { challenge, solution, start: 0, difficulty, flip: flipBitsFor(challenge), fastFixedExpPow, modulus, segmentEvery, segments: [] };
+}
+
+// A checkpoint records the state of solving a challenge after some number of
+// iterations, so that solving can be resumed later. Checkpoints are of the
+// form:
+// {
+//   challenge: {c, d, m}, (the challenge being solved)
+//   iteration: 10, (number of iterations completed)
+//   value: '0x1234....', (hex-encoded BigInt value after this many iterations)
+//   segmentEvery: 50, (only if solving with segmentEvery)
+//   segments: ['0x...', ...], (only if solving with segmentEvery: the segment values so far)
+//   check: 'aBc...' (base64url SHA-256 checksum of the other fields)
+// }
+// The checksum is not a signature, it's only to detect corruption.
+function checkpointChecksum({challenge, iteration, value, segmentEvery, segments}) {
+    const fields = [canonicalJSON(challenge), iteration, value];
+    if (segmentEvery !== undefined) {
+        fields.push(segmentEvery, segments);
+    }
+    return base64urlEncode(sha256(utf8Encoder.encode(JSON.stringify(fields))));
+}
+
+function createCheckpoint(challenge, iteration, value, segmentEvery, segments) {
+    const checkpoint = {
+        challenge: {...challenge},
+        iteration,
+        value: `0x${value.toString(16)}`
+    };
+    if (segmentEvery !== undefined) {
+        checkpoint.segmentEvery = segmentEvery;
+        checkpoint.segments = segments.slice();
+    }
+    checkpoint.check = checkpointChecksum(checkpoint);
+    return checkpoint;
+}
+
+// validate a checkpoint (and that it is for the expected challenge, if one is
+// given), and set up the maths functions needed to resume solving it
+function prepareResume(checkpoint, expectedChallenge, maxSolveCost, segmentEvery) {
+    if ((!checkpoint) ||
+        (typeof checkpoint) !== 'object' ||
+        (typeof checkpoint.iteration) !== 'number' ||
+        (typeof checkpoint.value) !== 'string' ||
+        (typeof checkpoint.check) !== 'string' ||
+        !/^0x[0-9a-fA-F]+$/.exec(checkpoint.value)) {
+        throw new InvalidCheckpointError('Invalid checkpoint: must have .challenge, .iteration, .value and .check');
+    }
+    if (checkpoint.segmentEvery !== undefined &&
+        ((!Number.isSafeInteger(checkpoint.segmentEvery)) ||
+         checkpoint.segmentEvery <= 0 ||
+         (!Array.isArray(checkpoint.segments)) ||
+         !checkpoint.segments.every(isHexBigInt))) {
+        throw new InvalidCheckpointError('Invalid checkpoint: .segments must be an array of hex-encoded BigInts, and .segmentEvery a positive integer');
+    }
+    // (the values of earlier segments can't be recovered when resuming)
+    if (segmentEvery !== undefined && segmentEvery !== checkpoint.segmentEvery) {
+        throw new BusybotError('segmentEvery must match the checkpoint');
+    }
+    const prepared = prepareSolve(checkpoint.challenge, maxSolveCost);
+    if (!constantTimeEqual(checkpointChecksum(checkpoint), checkpoint.check)) {
+        throw new InvalidCheckpointError('Invalid checkpoint: checksum does not match');
+    }
+    if (expectedChallenge !== undefined && canonicalJSON(checkpoint.challenge) !== canonicalJSON(expectedChallenge)) {
+        throw new InvalidCheckpointError('Invalid checkpoint: not for this challenge');
+    }
+    const value = BigInt(checkpoint.value);
+    if ((!Number.isSafeInteger(checkpoint.iteration)) ||
+        checkpoint.iteration < 0 ||
+        checkpoint.iteration > prepared.difficulty ||
+        value >= prepared.modulus) {
+        throw new InvalidCheckpointError('Invalid checkpoint: out of range');
+    }
+    const segments = checkpoint.segments ?? [];
+    if (checkpoint.segmentEvery !== undefined &&
+        (segments.length !== segmentValueCount(Math.min(checkpoint.iteration, prepared.difficulty - 1), checkpoint.segmentEvery) ||
+         segments.some(v => BigInt(v) >= prepared.modulus))) {
+        throw new InvalidCheckpointError('Invalid checkpoint: out of range');
+    }
+    return {...prepared, solution: value, start: checkpoint.iteration, segmentEvery: checkpoint.segmentEvery, segments: segments.slice()};
+}
+
+// A segmented solution (from solving with segmentEvery) also records the
+// value after every segmentEvery iterations, so that the segments between
+// them can be verified independently (see verifySegments()):
+// {
+//   s: '0xfe173...', (the solution)
+//   segmentEvery: 50,
+//   segments: ['0x...', ...] (values after k, 2k, ... iterations, before the
+//                             last, where k is segmentEvery)
+// }
+// (named as in checkpoints, and not with single letters, which could be
+// confused with challenge fields). For difficulty d, there are
+// max(1, ceil(d/k)) segments, and segmentValueCount(d - 1, k) values.
+function checkSegmentEvery(segmentEvery) {
+    if (segmentEvery !== undefined && ((!Number.isSafeInteger(segmentEvery)) || segmentEvery <= 0)) {
+        throw new BusybotError('segmentEvery must be a positive integer.');
+    }
+}
+
+// the number of segment values recorded in the first `iterations` iterations
+function segmentValueCount(iterations, segmentEvery) {
+    return Math.max(0, Math.floor(iterations / segmentEvery));
+}
+
+function segmentCount(difficulty, segmentEvery) {
+    return Math.max(1, Math.ceil(difficulty / segmentEvery));
+}
+
+function toSolution(value, segmentEvery, segments) {
+    const solution = {s: `0x${value.toString(16)}`};
+    if (segmentEvery !== undefined) {
+        solution.segmentEvery = segmentEvery;
+        solution.segments = segments;
+    }
+    return solution;
+}
+
+// The estimated cost of solving or verifying a challenge, in milliseconds on
+// the reference profile (see estimateSolveMs()). Exponents too large to have
+// been profiled are assumed to be too expensive.
+function referenceCost(timings, {m, d}) {
+    return (timings[m] === undefined) ? Infinity : d * timings[m];
+}
+
+function checkMaxCost(maxCost, name) {
+    if (maxCost !== undefined && ((typeof maxCost) !== 'number' || !(maxCost > 0))) {
+        throw new BusybotError(`${name} must be a positive number`);
+    }
+}
+
+// protect clients from challenges that would take too long to solve, before
+// doing any arithmetic (even initMathsFunctions() is slow for very large
+// exponents)
+function checkSolveCost(challenge, maxSolveCost) {
+    if (maxSolveCost !== undefined && !(referenceCost(Reference_Profile.solveIterationMs, challenge) <= maxSolveCost)) {
+        throw new TooExpensiveError('Challenge is too expensive to solve: exceeds maxSolveCost');
+    }
+}
+
+function checkCheckpointOptions({onCheckpoint, checkpointEvery}) {
+    if (onCheckpoint && (typeof onCheckpoint) !== 'function') {
+        throw new BusybotError('onCheckpoint must be a function');
+    }
+    if ((!Number.isSafeInteger(checkpointEvery)) || checkpointEvery <= 0) {
+        throw new BusybotError('checkpointEvery must be a positive integer.');
+    }
+}
+
+// Progress is reported to onProgress callbacks with objects of the form:
+// {
+//   iteration: 10, (number of iterations completed)
+//   total: 100, (total number of iterations, i.e. the difficulty)
+//   fraction: 0.1, (iteration / total)
+//   elapsedMs: 250, (time since solving, or resuming, started)
+//   iterationsPerSecond: 40, (average rate since then)
+//   etaMs: 2250 (estimated time remaining at that rate)
+// }
+// at most once every progressEveryIterations iterations and progressEveryMs
+// milliseconds (by default, after every iteration), and always after the
+// final iteration.
+function checkProgressOptions({onProgress, progressEveryMs, progressEveryIterations}) {
+    if (onProgress && (typeof onProgress) !== 'function') {
+        throw new BusybotError('onProgress must be a function');
+    }
+    if ((typeof progressEveryMs) !== 'number' || !(progressEveryMs >= 0)) {
+        throw new BusybotError('progressEveryMs must be a non-negative number');
+    }
+    if ((!Number.isSafeInteger(progressEveryIterations)) || progressEveryIterations <= 0) {
+        throw new BusybotError('progressEveryIterations must be a positive integer.');
+    }
+}
+
+// return a function to call with the iteration count after each iteration,
+// which reports progress to onProgress when it is due
+function createProgressReporter({onProgress, progressEveryMs, progressEveryIterations}, start, total) {
+    if (!onProgress) {
+        return () => {};
+    }
+    const startTime = performance.now();
+    let lastIteration = start;
+    let lastTime = startTime;
+    return function(iteration) {
+        const time = performance.now();
+        if (iteration < total &&
+            (iteration - lastIteration < progressEveryIterations || time - lastTime < progressEveryMs)) {
+            return;
+        }
+        lastIteration = iteration;
+        lastTime = time;
+        const elapsedMs = time - startTime;
+        // (the rate can't be measured if no time has passed)
+        const iterationsPerSecond = (elapsedMs > 0) ? (iteration - start) * 1000 / elapsedMs : null;
+        onProgress({
+            iteration,
+            total,
+            fraction: iteration / total,
+            elapsedMs,
+            iterationsPerSecond,
+            etaMs: iterationsPerSecond ? (total - iteration) * 1000 / iterationsPerSecond : null
+        });
+    };
+}
+
+// solve a challenge of the form:
+// {
+//   c: '0xabc123......', (hex-encoded BigInt random challenge value)
+//   d: 100, (integer, number of iterations of modular square root to calculate)
+//   m: 3217, (a Mersenne prime exponent, of the Mersenne prime base to use for modular arithmetic)
+// }
+// returning a solution of the form:
+// {
+//   s: '0xfe173.....' (hex-encoded BigInt, challenge value after d modular square roots, followed by bit flips)
+// }
+// Throws if challenge is invalid. Versioned challenges (see
+// checkVersionedChallenge()) flip the bits of their .f, if they have one.
+//
+// If progressCallback is provided, it is called after every iteration with
+// the fraction completed, and if onProgress is provided, it is called with
+// progress objects as described above.
+//
+// If onCheckpoint is provided, it is called every checkpointEvery iterations
+// with a checkpoint (see createCheckpoint() above) that can be passed to
+// resume() to continue solving from that point.
+//
+// If maxSolveCost is provided, throws without doing any work if the challenge
+// is estimated to take longer than maxSolveCost milliseconds to solve on the
+// reference profile.
+//
+// If segmentEvery is provided, returns a segmented solution (see
+// toSolution() above), which also includes the value after every
+// segmentEvery iterations, so that verifySegments() can verify it in
+// parts. This costs nothing extra to calculate.
+function solve(challenge, options={}) {
+    return solveFrom((maxSolveCost, segmentEvery) => prepareSolve(challenge, maxSolveCost, segmentEvery), options);
+}
+
+// continue solving a challenge from a checkpoint, returning the same solution
+// as solve() would have done for the checkpoint's challenge. Accepts the same
+// options as solve().
+//
+// If challenge is provided, throws if the checkpoint is not for that
+// challenge. Throws if the checkpoint is invalid. Checkpoints from solving
+// with segmentEvery continue to record segments, and segmentEvery (if
+// provided) must be the same.
+function resume(checkpoint, {challenge, ...options}={}) {
+    return solveFrom((maxSolveCost, segmentEvery) => prepareResume(checkpoint, challenge, maxSolveCost, segmentEvery), options);
+}
+
+function solveFrom(prepare, {
+    progressCallback,
+    onProgress,
+    progressEveryMs = 0,
+    progressEveryIterations = 1,
+    onCheckpoint,
+    checkpointEvery = 1,
+    maxSolveCost,
+    segmentEvery
+}) {
+    if (progressCallback && (typeof progressCallback) !== 'function') {
+        throw new BusybotError('progressCallback must be a function');
+    }
+    checkProgressOptions({onProgress, progressEveryMs, progressEveryIterations});
+    checkCheckpointOptions({onCheckpoint, checkpointEvery});
+    checkMaxCost(maxSolveCost, 'maxSolveCost');
+    checkSegmentEvery(segmentEvery);
+    // (when resuming, segmentEvery comes from the checkpoint)
+    let { challenge, solution, start, difficulty, flip, fastFixedExpPow, segmentEvery: segmentInterval, segments } = prepare(maxSolveCost, segmentEvery);
+    const reportProgress = createProgressReporter({onProgress, progressEveryMs, progressEveryIterations}, start, difficulty);
+
+    for (let i = start; i < difficulty; i++) {
+        solution = fastFixedExpPow(solution);
+        solution ^= flip;
+        if (segmentInterval && ((i+1) % segmentInterval) === 0 && (i+1) < difficulty) {
+            segments.push(`0x${solution.toString(16)}`);
+        }
+        if (progressCallback){
+            progressCallback((i+1) / difficulty);
+        }
+        reportProgress(i+1);
+        if (onCheckpoint && ((i+1) % checkpointEvery) === 0 && (i+1) < difficulty) {
+            onCheckpoint(createCheckpoint(challenge, i+1, solution, segmentInterval, segments));
+        }
+    }
+    return toSolution(solution, segmentInterval, segments);
+}
+
+// let any other pending work run, as soon as possible
+function yieldToEventLoop() {
+    return new Promise((resolve) => {
+        if (globalThis.setImmediate) {
+            globalThis.setImmediate(resolve);
+        } else {
+            setTimeout(resolve, 0);
+        }
+    });
+}
+
+function abortError(signal) {
+    return signal.reason ?? new DOMException('This operation was aborted', 'AbortError');
+}
+
+// solve a challenge, accepting the same form as solve(), without blocking the
+// event loop: the iterations are calculated in slices lasting about
+// yieldEveryMs, yielding to the event loop between each.
+//
+// If signal (an AbortSignal) is aborted, the returned promise is rejected
+// with an AbortError (or the signal's reason) at the end of the current
+// slice.
+//
+// Progress is reported to onProgress, checkpoints are provided to
+// onCheckpoint, and segmentEvery produces segmented solutions in the same way
+// as solve().
+async function solveAsync(challenge, options={}) {
+    return solveFromAsync((maxSolveCost, segmentEvery) => prepareSolve(challenge, maxSolveCost, segmentEvery), options);
+}
+
+// continue solving a challenge from a checkpoint without blocking the event
+// loop: the equivalent of resume() for solveAsync(), accepting the same
+// options as solveAsync().
+async function resumeAsync(checkpoint, {challenge, ...options}={}) {
+    return solveFromAsync((maxSolveCost, segmentEvery) => prepareResume(checkpoint, challenge, maxSolveCost, segmentEvery), options);
+}
+
+async function solveFromAsync(prepare, {
+    signal,
+    yieldEveryMs = 10,
+    onProgress,
+    progressEveryMs = 0,
+    progressEveryIterations = 1,
+    onCheckpoint,
+    checkpointEvery = 1,
+    maxSolveCost,
+    segmentEvery
+}) {
+    checkProgressOptions({onProgress, progressEveryMs, progressEveryIterations});
+    if ((typeof yieldEveryMs) !== 'number' || !(yieldEveryMs >= 0)) {
+        throw new BusybotError('yieldEveryMs must be a non-negative number');
+    }
+    checkCheckpointOptions({onCheckpoint, checkpointEvery});
+    checkMaxCost(maxSolveCost, 'maxSolveCost');
+    checkSegmentEvery(segmentEvery);
+    let { challenge, solution, start, difficulty, flip, fastFixedExpPow, segmentEvery: segmentInterval, segments } = prepare(maxSolveCost, segmentEvery);
+
+    if (signal?.aborted) {
+        throw abortError(signal);
+    }
+    const reportProgress = createProgressReporter({onProgress, progressEveryMs, progressEveryIterations}, start, difficulty);
+    let sliceStart = Date.now();
+    for (let i = start; i < difficulty; i++) {
+        solution = fastFixedExpPow(solution);
+        solution ^= flip;
+        if (segmentInterval && ((i+1) % segmentInterval) === 0 && (i+1) < difficulty) {
+            segments.push(`0x${solution.toString(16)}`);
+        }
+        reportProgress(i+1);
+        if (onCheckpoint && ((i+1) % checkpointEvery) === 0 && (i+1) < difficulty) {
+            onCheckpoint(createCheckpoint(challenge, i+1, solution, segmentInterval, segments));
+        }
+        if (Date.now() - sliceStart >= yieldEveryMs) {
+            await yieldToEventLoop();
+            if (signal?.aborted) {
+                throw abortError(signal);
+            }
+            sliceStart = Date.now();
+        }
+    }
+    return toSolution(solution, segmentInterval, segments);
+}
+
+// start a worker running worker.mjs: a Web Worker where they're supported
+// (browsers, Deno, Bun), or a node:worker_threads Worker, wrapped in a common
+// interface.
+async function spawnSolverWorker() {
+    const url = new URL('./worker.mjs', import.meta.url);
+    if ((typeof globalThis.Worker) === 'function') {
+        const worker = new globalThis.Worker(url, {type: 'module'});
+        return {
+            post: (message) => worker.postMessage(message),
+            listen(onMessage, onError) {
+                worker.onmessage = (event) => onMessage(event.data);
+                worker.onerror = (event) => onError(new BusybotError(`Solver worker failed: ${event.message}`, 'WORKER_FAILED'));
+            },
+            terminate: () => worker.terminate()
+        };
+    }
+    const { Worker } = await import(/* webpackIgnore: true */ 'node:worker_threads');
+    const worker = new Worker(url);
+    return {
+        post: (message) => worker.postMessage(message),
+        listen(onMessage, onError) {
+            worker.removeAllListeners();
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.on('exit', () => onError(new BusybotError('Solver worker exited unexpectedly', 'WORKER_FAILED')));
+        },
+        terminate: () => worker.terminate()
+    };
+}
+
+// Create a pool of up to size workers, which each solve challenges one at a
+// time from a shared queue. Workers are started when needed, and kept for
+// re-use until the pool is closed.
+function createSolverPool({size = 1}={}) {
+    if ((!Number.isSafeInteger(size)) || size <= 0) {
+        throw new BusybotError('size must be a positive integer.');
+    }
+    const queue = [];
+    const idle = [];
+    const running = new Set();
+    let busy = 0;
+    let closed = false;
+
+    // solve a job on a worker, rejecting (leaving the worker in an unknown
+    // state) if it fails or is aborted
+    const solveOnWorker = function(worker, {challenge, onProgress, progressEveryMs, progressEveryIterations, segmentEvery, signal}) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => cancel(abortError(signal));
+            const settle = function(fn, value) {
+                running.delete(cancel);
+                signal?.removeEventListener('abort', onAbort);
+                fn(value);
+            };
+            const cancel = (error) => settle(reject, error);
+            running.add(cancel);
+            // (the signal may have been aborted while the worker was starting)
+            if (signal?.aborted) {
+                return onAbort();
+            }
+            signal?.addEventListener('abort', onAbort);
+
+            worker.listen((message) => {
+                if (message.progress !== undefined) {
+                    onProgress(message.progress);
+                } else if (message.error) {
+                    settle(reject, errorFromCode(message.error.message, message.error.code));
+                } else {
+                    settle(resolve, message.solution);
+                }
+            }, cancel);
+            worker.post({challenge, progress: onProgress ? {progressEveryMs, progressEveryIterations} : null, segmentEvery});
+        });
+    };
+
+    const run = async function(job) {
+        busy += 1;
+        let worker;
+        try {
+            worker = idle.pop() ?? await spawnSolverWorker();
+            if (closed) {
+                throw new BusybotError('Solver pool was closed', 'POOL_CLOSED');
+            }
+            const solution = await solveOnWorker(worker, job);
+            if (closed) {
+                worker.terminate();
+            } else {
+                idle.push(worker);
+            }
+            job.resolve(solution);
+        } catch (e) {
+            worker?.terminate();
+            job.reject(e);
+        } finally {
+            busy -= 1;
+            runNext();
+        }
+    };
+
+    const runNext = function() {
+        while (queue.length && busy < size) {
+            const job = queue.shift();
+            job.signal?.removeEventListener('abort', job.onQueuedAbort);
+            run(job);
+        }
+    };
+
+    return {
+        // solve a challenge on the next free worker, resolving to the same
+        // solution as solve()
+        async solve(challenge, {onProgress, progressEveryMs = 0, progressEveryIterations = 1, signal, maxSolveCost, segmentEvery}={}) {
+            checkChallenge(challenge);
+            checkProgressOptions({onProgress, progressEveryMs, progressEveryIterations});
+            checkMaxCost(maxSolveCost, 'maxSolveCost');
+            checkSegmentEvery(segmentEvery);
+            checkSolveCost(challenge, maxSolveCost);
+            if (closed) {
+                throw new BusybotError('Solver pool was closed', 'POOL_CLOSED');
+            }
+            if (signal?.aborted) {
+                throw abortError(signal);
+            }
+            return new Promise((resolve, reject) => {
+                const job = {challenge, onProgress, progressEveryMs, progressEveryIterations, segmentEvery, signal, resolve, reject};
+                // if aborted while still waiting for a worker, just remove
+                // the job from the queue:
+                job.onQueuedAbort = () => {
+                    queue.splice(queue.indexOf(job), 1);
+                    reject(abortError(signal));
+                };
+                signal?.addEventListener('abort', job.onQueuedAbort);
+                queue.push(job);
+                runNext();
+            });
+        },
+        // terminate all workers, rejecting any queued or running solve()s
+        close() {
+            closed = true;
+            for (const job of queue.splice(0)) {
+                job.signal?.removeEventListener('abort', job.onQueuedAbort);
+                job.reject(new BusybotError('Solver pool was closed', 'POOL_CLOSED'));
+            }
+            for (const cancel of running) {
+                cancel(new BusybotError('Solver pool was closed', 'POOL_CLOSED'));
+            }
+            for (const worker of idle.splice(0)) {
+                worker.terminate();
+            }
+        }
+    };
+}
+
+// solve a challenge in a newly started worker thread (a Web Worker in
+// browsers, or a node:worker_threads Worker in node), resolving to the same
+// solution as solve().
+//
+// Progress is reported to onProgress in the same form as solveAsync(), and if
+// signal is aborted the worker is terminated immediately. maxSolveCost is
+// checked before starting the worker, and segmentEvery produces segmented
+// solutions, in the same way as solve().
+async function solveInWorker(challenge, options={}) {
+    const pool = createSolverPool({size: 1});
+    try {
+        return await pool.solve(challenge, options);
+    } finally {
+        pool.close();
+    }
+}
+
+const Default_Solution_Header = 'busybot-solution';
+const Default_Challenge_Header = 'busybot-challenge';
+const Fetch_Solvers = {async: solveAsync, worker: solveInWorker};
+
+// the challenge a response demands a solution to, or undefined if it isn't a
+// challenge response (leaving its body unread)
+async function readDemandedChallenge(response, challengeStatuses, challengeHeader) {
+    if (!challengeStatuses.includes(response.status)) {
+        return undefined;
+    }
+    let challenge;
+    try {
+        const value = response.headers.get(challengeHeader);
+        if (value !== null) {
+            challenge = value.trim().startsWith('{') ? JSON.parse(value) : decodeChallenge(value.trim());
+        } else if (/\bjson\b/i.test(response.headers.get('content-type') ?? '')) {
+            const body = await response.clone().json();
+            challenge = body?.challenge ?? body;
+        }
+        checkChallengeShape(challenge);
+    } catch (ignored_e) {
+        return undefined;
+    }
+    return challenge;
+}
+
+// JSON with every non-ASCII character escaped as \uXXXX, so that it can be
+// sent in a header (header values must be Latin-1, but challenges can contain
+// any string, for example in .o), and still be parsed by JSON.parse()
+function toHeaderJSON(value) {
+    return JSON.stringify(value).replace(/[\u0080-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// fetch(input, init), and if the response demands a challenge be solved,
+// solve it and retry the request with the solution, resolving to the first
+// response which isn't a challenge (or to the last response, after
+// maxAttempts requests).
+//
+// A response demands a challenge if its status is one of challengeStatuses,
+// and it has a challengeHeader containing the challenge (as JSON or a compact
+// token), or a JSON body which is the challenge or {challenge} (as sent by the
+// middleware). The solution is sent as JSON {challenge, solution} in header
+// (with any non-ASCII characters escaped), as the middleware expects, so the request body must be re-usable (not a
+// stream).
+//
+// Challenges are solved by solveAsync() (solver = 'async'), solveInWorker()
+// ('worker'), or a function of the same form (e.g. a pool's solve()), with
+// solveOptions and init.signal. Throws TooExpensiveError instead of solving a
+// challenge which would make the estimated cost of all of those solved exceed
+// maxSolveCost milliseconds (see solve({maxSolveCost})), so that a server
+// can't make the client do unbounded work. (maxSolveCost = Infinity solves
+// any challenge.)
+async function busyFetch(input, init={}, {
+    fetch = globalThis.fetch,
+    challengeStatuses = [401, 429],
+    challengeHeader = Default_Challenge_Header,
+    header = Default_Solution_Header,
+    solver = 'async',
+    solveOptions = {},
+    maxAttempts = 3,
+    maxSolveCost = 30000
+}={}) {
+    if ((typeof fetch) !== 'function') {
+        throw new BusybotError('fetch must be a function');
+    }
+    if ((!Array.isArray(challengeStatuses)) || !challengeStatuses.every(status => Number.isSafeInteger(status) && status >= 400 && status <= 599)) {
+        throw new BusybotError('challengeStatuses must be an array of HTTP error statuses');
+    }
+    if ((typeof challengeHeader) !== 'string' || challengeHeader.length === 0) {
+        throw new BusybotError('challengeHeader must be a non-empty string');
+    }
+    if ((typeof header) !== 'string' || header.length === 0) {
+        throw new BusybotError('header must be a non-empty string');
+    }
+    const solveChallenge = ((typeof solver) === 'function') ? solver : Object.hasOwn(Fetch_Solvers, solver) ? Fetch_Solvers[solver] : null;
+    if (!solveChallenge) {
+        throw new BusybotError('solver must be \'async\', \'worker\' or a function');
+    }
+    if ((!Number.isSafeInteger(maxAttempts)) || maxAttempts <= 0) {
+        throw new BusybotError('maxAttempts must be a positive integer.');
+    }
+    checkMaxCost(maxSolveCost, 'maxSolveCost');
+
+    // (like fetch(), headers in init replace those of a Request)
+    const headers = new Headers(init.headers ?? input?.headers);
+    let spentCost = 0;
+    for (let attempt = 1; ; attempt++) {
+        // (a Request's body can only be read once, so send a copy each time)
+        const request = ((typeof input?.clone) === 'function') ? input.clone() : input;
+        const response = await fetch(request, {...init, headers});
+        const challenge = (attempt < maxAttempts) ? await readDemandedChallenge(response, challengeStatuses, challengeHeader) : undefined;
+        if (!challenge) {
+            return response;
+        }
+        checkChallenge(challenge);
+        checkSolveCost(challenge, maxSolveCost - spentCost);
+        spentCost += referenceCost(Reference_Profile.solveIterationMs, challenge);
+        await response.body?.cancel();
+        const solution = await solveChallenge(challenge, {...solveOptions, ...(init.signal && {signal: init.signal})});
+        headers.set(header, toHeaderJSON({challenge, solution}));
+    }
+}
+
+// verify a solution of the form:
+// {
+//   s: '0xfe173...' (hex-encoded BigInt solution to be verified)
+// }
+// against a challenge of the same form accepted by solve(), and generated by generate().
+// Returns true if the solution is correct, false otherwise. Throws for invalid arguments.
+//
+// If secrets are provided, the challenge must also have been signed with one
+// of them by generate({secret}), and not have expired, otherwise false is
+// returned. If context is provided, the challenge must have been bound to the
+// same context by generate({bindTo}). If maxAgeSeconds is provided, the
+// challenge must have an issue time (.t) less than maxAgeSeconds before now,
+// otherwise false is returned (for unsigned challenges, this is only
+// meaningful if they are stored on the server). These checks are cheap, so
+// are done before any arithmetic.
+//
+// Versioned challenges (see checkVersionedChallenge()) are verified with the
+// bits of their .f flipped, if they have one.
+function verify(challenge, solution, options={}) {
+    return instrumentedCheck(challenge, () => checkSolution(challenge, solution, options)) === null;
+}
+
+// verify a solution in the same way as verify(), but return {ok: true}
+// if it is correct, or else {ok: false, reason}, where reason is one of:
+//   INVALID_SIGNATURE: the challenge was not signed with one of secrets
+//   EXPIRED: the challenge has expired, or was issued maxAgeSeconds ago or more
+//   CONTEXT_MISMATCH: the challenge was not bound to context
+//   OUT_OF_RANGE: the challenge or solution value is outside the modulus
+//   INCORRECT: the solution is not correct
+// or the code of the error verify() would throw for a malformed challenge or
+// solution (MALFORMED_CHALLENGE, MALFORMED_SOLUTION or UNKNOWN_EXPONENT),
+// since these may come from the client. Other errors, for invalid options,
+// are still thrown.
+function verifyDetailed(challenge, solution, options={}) {
+    try {
+        return detailedResult(instrumentedCheck(challenge, () => checkSolution(challenge, solution, options)));
+    } catch (e) {
+        return rejectedResult(e);
+    }
+}
+
+// error codes for challenges and solutions that are rejected by
+// verifyDetailed(), rather than thrown
+const Rejected_Error_Codes = ['MALFORMED_CHALLENGE', 'MALFORMED_SOLUTION', 'UNKNOWN_EXPONENT', 'OUT_OF_RANGE'];
+
+function detailedResult(reason) {
+    return (reason === null) ? {ok: true} : {ok: false, reason};
+}
+
+function rejectedResult(error) {
+    if (!Rejected_Error_Codes.includes(error?.code)) {
+        throw error;
+    }
+    return {ok: false, reason: error.code};
+}
+
+// check the signature, age and binding of a challenge, if required,
+// returning null if they are valid, or else the reason to reject it
+function checkAuthenticity(challenge, {secrets, context, now, maxAgeSeconds}) {
+    const digest = (context !== undefined) ? contextDigest(context, 'context') : undefined;
+    if (maxAgeSeconds !== undefined && ((typeof maxAgeSeconds) !== 'number' || !(maxAgeSeconds > 0))) {
+        throw new BusybotError('maxAgeSeconds must be a positive number');
+    }
+    const signatureProblem = (secrets !== undefined) ? checkChallengeSignature(challenge, secrets, now) : null;
+    if (signatureProblem !== null) {
+        return signatureProblem;
+    }
+    if (maxAgeSeconds !== undefined &&
+        !(Number.isSafeInteger(challenge.t) && (now / 1000) - challenge.t < maxAgeSeconds)) {
+        return 'EXPIRED';
+    }
+    if (digest && !checkBinding(challenge, digest)) {
+        return 'CONTEXT_MISMATCH';
+    }
+    return null;
+}
+
+// check a solution, returning null if it is correct, or else the reason it
+// is not (see verifyDetailed()), and throwing for invalid arguments
+function checkSolution(challenge, solution, {secrets, context, now = Date.now(), maxAgeSeconds}) {
+    checkChallenge(challenge);
+    checkSolutionShape(solution);
+    const problem = checkAuthenticity(challenge, {secrets, context, now, maxAgeSeconds});
+    if (problem !== null) {
+        return problem;
+    }
+    let check = BigInt(solution.s);
+    const difficulty = challenge.d;
+    const { verifySquare, modulus } = mathsForExponent(challenge.m);
+    const decodedChallange = BigInt(challenge.c);
+    const flip = flipBitsFor(challenge);
+
+    // a malicious client could try to supply out of range values
+    if (check >= modulus || decodedChallange >= modulus) {
+        return 'OUT_OF_RANGE';
+    }
+
+    for (let i = 0; i < difficulty; i++) {
+        check = verifySquare(check ^ flip);
+    }
+
+    if (check === decodedChallange) {
+        return null;
+    } else if (check === (modulus - decodedChallange)){
+        return null;
+    }
+    return 'INCORRECT';
+}
+
+// choose count distinct random indices from 0 to n-1 (by a partial
+// Fisher-Yates shuffle)
+function sampleIndices(n, count) {
+    const indices = Array.from({length: n}, (_, i) => i);
+    count = Math.min(count, n);
+    // (securely random, so that a forger can't predict which segments will be
+    // checked)
+    const random = fillRandom(new Uint32Array(count));
+    for (let i = 0; i < count; i++) {
+        const j = i + (random[i] % (n - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, count);
+}
+
+// verify some or all of the segments of a segmented solution (from solving
+// with segmentEvery, see toSolution()) against a challenge, returning true if
+// all of the checked segments are correct, false otherwise. Throws for
+// invalid arguments.
+//
+// Segment i (from 0 to max(1, ceil(d/k)) - 1, where k is .segmentEvery) is
+// checked by squaring back from the value after min((i+1)*k, d) iterations to
+// the value after i*k iterations, independently of the others, so segments can
+// be checked in parallel (for example by calling this in several worker
+// threads with different segments), and a solution is correct if and only if
+// all its segments are.
+//
+// segments is either an array of the indices of the segments to check, or
+// the number of segments to choose at random. Checking a random sample is
+// only a pre-filter against accidental or lazy errors, NOT a defence against
+// forgery: a forger can pick any solution and square backwards to make every
+// segment but one consistent, and so is caught with probability of only
+// about segments/count. A sampled check must always be followed by a full
+// check (all segments, or verify()) before a solution is accepted. By default
+// all segments are checked.
+//
+// secrets, context and maxAgeSeconds are checked in the same way as verify().
+function verifySegments(challenge, solution, {segments, secrets, context, now = Date.now(), maxAgeSeconds}={}) {
+    checkChallenge(challenge);
+    checkSolutionShape(solution);
+    const {segmentEvery: k, segments: v} = solution;
+    if ((!Number.isSafeInteger(k)) || k <= 0 ||
+        (!Array.isArray(v)) ||
+        !v.every(isHexBigInt)) {
+        throw new MalformedSolutionError('Malformed solution: must have .segmentEvery: positive integer, and .segments: array of hex-encoded BigInts');
+    }
+    const count = segmentCount(challenge.d, k);
+    if (v.length !== count - 1) {
+        throw new MalformedSolutionError(`Malformed solution: .segments must have ${count - 1} values for .segmentEvery=${k}`);
+    }
+    if (segments === undefined) {
+        segments = Array.from({length: count}, (_, i) => i);
+    } else if (Number.isSafeInteger(segments) && segments >= 0) {
+        segments = sampleIndices(count, segments);
+    } else if ((!Array.isArray(segments)) || !segments.every(i => Number.isSafeInteger(i) && i >= 0 && i < count)) {
+        throw new BusybotError(`segments must be a non-negative integer, or an array of segment indices less than ${count}`);
+    }
+    if (checkAuthenticity(challenge, {secrets, context, now, maxAgeSeconds}) !== null) {
+        return false;
+    }
+    const { verifySquare, modulus } = mathsForExponent(challenge.m);
+    const flip = flipBitsFor(challenge);
+    // the value after i*k iterations, for i from 0 to count
+    const values = [challenge.c, ...v, solution.s].map(BigInt);
+
+    // a malicious client could try to supply out of range values
+    if (values.some(value => value >= modulus)) {
+        return false;
+    }
+
+    for (const i of segments) {
+        let check = values[i + 1];
+        const iterations = Math.min((i + 1) * k, challenge.d) - (i * k);
+        for (let j = 0; j < iterations; j++) {
+            check = verifySquare(check ^ flip);
+        }
+        // as for verify(), each segment can be out by a factor of -1, which
+        // does not affect the next
+        if (check !== values[i] && check !== (modulus - values[i])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+
+// Exponents that are large enough to produce a secure challenge, and small
+// enough that a single iteration can be solved in seconds (up to ~7s on the
+// reference profile):
+const Challenge_Exponents = [...Known_Mersenne_Exponents, ...Pseudo_Mersenne_Primes.keys()]
+    .filter(m => m >= 61 && m <= 34816)
+    .sort((a, b) => a - b);
+
+// The exponents benchmark() times by default: timing the larger ones takes
+// several seconds each even for one iteration, so they must be asked for.
+const Benchmark_Exponents = Challenge_Exponents.filter(m => m <= 23209);
+
+// Timings from benchmark() (in milliseconds per iteration), measured for all
+// of Challenge_Exponents in a single run, with minDurationMs = 3000, with
+// node 20 on a single core of a 2026 cloud server. Browsers, and especially
+// mobile devices, may be several times slower.
+const Reference_Profile = {
+    solveIterationMs: {
+        61: 0.00801, 89: 0.0126, 107: 0.0228, 127: 0.0263, 256: 0.12, 384: 0.217,
+        521: 0.192, 607: 0.224, 768: 0.491, 1024: 0.917, 1279: 1.52, 1536: 4.33,
+        1792: 4.06, 2203: 5.9, 2281: 7.23, 2560: 9.41, 3217: 18.4, 3584: 26.4,
+        4253: 30.2, 4423: 36.7, 5120: 52.3, 6144: 90.6, 7168: 126, 8192: 211,
+        9689: 355, 9941: 327, 11213: 413, 12288: 569, 14336: 758, 16384: 1050,
+        19937: 2340, 21701: 2580, 23209: 2680, 28672: 5410, 34816: 7180
+    },
+    verifyIterationMs: {
+        61: 0.00039, 89: 0.000365, 107: 0.000366, 127: 0.000421, 256: 0.00045, 384: 0.000559,
+        521: 0.000551, 607: 0.000563, 768: 0.000697, 1024: 0.000835, 1279: 0.00172, 1536: 0.00193,
+        1792: 0.00218, 2203: 0.00334, 2281: 0.00388, 2560: 0.0041, 3217: 0.00729, 3584: 0.00619,
+        4253: 0.00834, 4423: 0.00927, 5120: 0.01, 6144: 0.0153, 7168: 0.0196, 8192: 0.0251,
+        9689: 0.0348, 9941: 0.0306, 11213: 0.0431, 12288: 0.0428, 14336: 0.0521, 16384: 0.0697,
+        19937: 0.13, 21701: 0.112, 23209: 0.132, 28672: 0.144, 34816: 0.207
+    }
+};
+
+// Measure how long each iteration of solving and verifying takes for each
+// exponent on this device, returning a profile of the form:
+// {
+//   solveIterationMs: {61: 0.0245, ..., 1279: 3.34, ...},
+//   verifyIterationMs: {61: 0.0005, ..., 1279: 0.0027, ...}
+// }
+// which can be saved as JSON, and passed to estimateSolveMs(),
+// estimateVerifyMs(), and generate().
+//
+// Each exponent is timed for at least minDurationMs, and at least one
+// iteration, so with the default exponents (those up to 23209) this blocks for
+// 10s of seconds.
+function benchmark({exponents = Benchmark_Exponents, minDurationMs = 100}={}) {
+    if ((!Array.isArray(exponents)) || exponents.length === 0) {
+        throw new BusybotError('exponents must be a non-empty array');
+    }
+    exponents.forEach(checkExponent);
+    if ((typeof minDurationMs) !== 'number' || !(minDurationMs >= 0)) {
+        throw new BusybotError('minDurationMs must be a non-negative number');
+    }
+
+    const solveIterationMs = {};
+    const verifyIterationMs = {};
+    for (const m of exponents) {
+        const { fastFixedExpPow, verifySquare, modulus } = mathsForExponent(m);
+        // an arbitrary starting value, with bits set throughout
+        let value = modulus / 3n;
+
+        let iterations = 0;
+        let elapsed;
+        let start = performance.now();
+        do {
+            value = fastFixedExpPow(value ^ Flip_Bits);
+            iterations++;
+            elapsed = performance.now() - start;
+        } while (elapsed < minDurationMs);
+        solveIterationMs[m] = elapsed / iterations;
+
+        // verifying iterations are too fast to time individually, so time
+        // them in batches:
+        iterations = 0;
+        start = performance.now();
+        do {
+            for (let i = 0; i < 100; i++) {
+                value = verifySquare(value ^ Flip_Bits);
+            }
+            iterations += 100;
+            elapsed = performance.now() - start;
+        } while (elapsed < minDurationMs);
+        verifyIterationMs[m] = elapsed / iterations;
+    }
+    return { solveIterationMs, verifyIterationMs };
+}
+
+function iterationMs(timings, m) {
+    const ms = timings?.[m];
+    if ((typeof ms) !== 'number' || !(ms >= 0)) {
+        throw new BusybotError(`profile has no timing for exponent ${m}`);
+    }
+    return ms;
+}
+
+// Estimate how long solving a challenge takes on the device described by
+// profile (the reference profile by default), in milliseconds. Solving time
+// is proportional to the difficulty.
+function estimateSolveMs({m, d}, profile = Reference_Profile) {
+    return d * iterationMs(profile?.solveIterationMs, m);
+}
+
+// Estimate how long verifying a solution takes on the device described by
+// profile, in milliseconds.
+function estimateVerifyMs({m, d}, profile = Reference_Profile) {
+    return d * iterationMs(profile?.verifyIterationMs, m);
+}
+
+// Choose the exponent and difficulty for generate({targetSolveMs}).
+//
+// Larger exponents are more secure, and make verifying cheaper relative to
+// solving, but each iteration is longer, so the solve time can be controlled
+// less finely (and progress is reported less often). So this picks the
+// largest exponent in the profile that needs at least Min_Target_Iterations
+// iterations to reach the target, and whose solution can be verified within
+// maxVerifyMs. If no exponent needs that many iterations (for very short
+// targets), the smallest that can be verified in time is used instead. The
+// difficulty is always at least 1, so that there is some work to do.
+const Min_Target_Iterations = 20;
+
+function chooseForTarget({targetSolveMs, forExponent, profile, maxVerifyMs}) {
+    if ((typeof targetSolveMs) !== 'number' || !(targetSolveMs > 0) || !Number.isFinite(targetSolveMs)) {
+        throw new BusybotError('targetSolveMs must be a positive number');
+    }
+    if ((typeof maxVerifyMs) !== 'number' || !(maxVerifyMs > 0)) {
+        throw new BusybotError('maxVerifyMs must be a positive number');
+    }
+    const candidates = (forExponent !== undefined) ? [forExponent] :
+        Object.keys(profile?.solveIterationMs ?? {}).map(Number)
+            .filter(m => isKnownExponent(m) && m >= 61)
+            .sort((a, b) => b - a);
+    const choices = candidates
+        .map(m => ({forExponent: m, withDifficulty: Math.max(1, Math.round(targetSolveMs / iterationMs(profile?.solveIterationMs, m)))}))
+        .filter(({forExponent: m, withDifficulty: d}) => estimateVerifyMs({m, d}, profile) <= maxVerifyMs);
+    const choice = choices.find(({withDifficulty}) => withDifficulty >= Min_Target_Iterations) ?? choices.at(-1);
+    if (choice === undefined) {
+        throw new BusybotError(`No exponent in the profile can be solved in ${targetSolveMs}ms and verified within ${maxVerifyMs}ms`);
+    }
+    return choice;
+}
+
+// kCTF's pow.py encodes challenges and solutions as strings of the form
+// 's.<base64 number>.<base64 number>...', where 's' is a version identifier,
+// and each number is encoded big-endian in a multiple of 3 bytes. Challenges
+// are 's.<difficulty>.<challenge value>', and solutions are 's.<solution
+// value>'. kCTF always uses the Mersenne prime 2^1279 - 1.
+const Kctf_Mersenne_Exponent = 1279;
+
+function encodeKctfNumber(n) {
+    // (equivalent to pow.py's encode_number, including the extra 3 bytes
+    // when n.bit_length() is a multiple of 24)
+    const bitLength = (n === 0n)? 0 : n.toString(2).length;
+    return base64Encode(bigIntToBytes(n, Math.floor(bitLength / 24) * 3 + 3));
+}
+
+function decodeKctf(encoded, count, what) {
+    const parts = (typeof encoded === 'string')? encoded.split('.') : [];
+    if (parts.length !== count + 1 || parts[0] !== 's') {
+        throw new MalformedTokenError(`Malformed kCTF ${what}: expected 's.' followed by ${count} base64 number${count > 1 ? 's' : ''}`);
+    }
+    return parts.slice(1).map((part) => {
+        const bytes = base64Decode(part);
+        if (!bytes || bytes.length === 0) {
+            throw new MalformedTokenError(`Malformed kCTF ${what}: invalid base64`);
+        }
+        return bytesToBigInt(bytes);
+    });
+}
+
+// encode a challenge in the format used by kCTF's pow.py. The challenge must
+// use exponent 1279, and be unversioned.
+function encodeKctfChallenge(challenge) {
+    checkChallengeShape(challenge);
+    if (challenge.m !== Kctf_Mersenne_Exponent) {
+        throw new BusybotError(`kCTF challenges must use exponent ${Kctf_Mersenne_Exponent}`);
+    }
+    if (challenge.v !== undefined) {
+        throw new BusybotError('kCTF challenges can\'t be versioned');
+    }
+    checkChallenge(challenge);
+    return `s.${encodeKctfNumber(BigInt(challenge.d))}.${encodeKctfNumber(BigInt(challenge.c))}`;
+}
+
+// decode a challenge issued by kCTF's pow.py ('s.<difficulty>.<value>') into
+// the {c, d, m} form accepted by solve() and verify()
+function decodeKctfChallenge(encoded) {
+    const [d, c] = decodeKctf(encoded, 2, 'challenge');
+    if (d > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new MalformedTokenError('Malformed kCTF challenge: difficulty too large');
+    }
+    return {
+        c: `0x${c.toString(16)}`,
+        d: Number(d),
+        m: Kctf_Mersenne_Exponent
+    };
+}
+
+// encode a solution in the format expected by kCTF's pow.py
+function encodeKctfSolution(solution) {
+    checkSolutionShape(solution);
+    return `s.${encodeKctfNumber(BigInt(solution.s))}`;
+}
+
+// decode a solution produced by kCTF's pow.py ('s.<value>') into the {s}
+// form accepted by verify()
+function decodeKctfSolution(encoded) {
+    const [s] = decodeKctf(encoded, 1, 'solution');
+    return {s: `0x${s.toString(16)}`};
+}
+
+
+// Compact tokens: challenges and solutions packed into bytes, and encoded as
+// unpadded base64url, so they can be put in headers, cookies or urls. All
+// integers are big-endian.
+//
+// Challenge tokens are:
+//   version (1 byte, currently 1)
+//   kind (1 byte, 'C')
+//   flags (1 byte, bit 0 set if the challenge is signed, bit 1 if it is bound,
+//          bit 2 if it has .k, bit 3 if it is versioned)
+//   m (4 bytes)
+//   if it has .k: k (4 bytes)
+//   d (8 bytes)
+//   length of c (1 byte), followed by the bytes of c
+//   if bound: n (16 bytes)
+//   if versioned:
+//     v (1 byte)
+//     extensions (1 byte, bit 0 set if it has .f, bit 1 if it has .o, bit 2
+//                 if it has .t but is not signed)
+//     if it has .f: length of f (4 bytes), followed by the bytes of f
+//     if it has .o: length of o (1 byte), followed by its UTF-8 bytes
+//     if it has .t but is not signed: t (8 bytes)
+//   if signed: t (8 bytes), e (8 bytes), h (32 bytes)
+//
+// Solution tokens are:
+//   version (1 byte, currently 1)
+//   kind (1 byte, 'S')
+//   m (4 bytes)
+//   s (the number of bytes needed for a value less than 2^m - k) (k is not
+//      encoded, since the exponent identifies the modulus)
+//
+// Decoding is strict, and rejects anything that encoding could not have
+// produced, so that malformed tokens never reach verify().
+const Token_Version = 1;
+const Challenge_Token_Kind = 0x43; // 'C'
+const Solution_Token_Kind = 0x53; // 'S'
+const Token_Flag_Signed = 0x01;
+const Token_Flag_Bound = 0x02;
+const Token_Flag_Offset = 0x04;
+const Token_Flag_Versioned = 0x08;
+const Token_Extension_Flip = 0x01;
+const Token_Extension_Opaque = 0x02;
+const Token_Extension_Issued = 0x04;
+const Challenge_Fields = ['c', 'd', 'm', 'k', 'n', 't', 'e', 'h'];
+const Versioned_Challenge_Fields = [...Challenge_Fields, 'v', 'f', 'o'];
+
+function modulusByteLength(m) {
+    return Math.ceil(m / 8);
+}
+
+// read a token's bytes in order, throwing for anything malformed
+function createTokenReader(token, what, kind) {
+    const bytes = ((typeof token) === 'string') ? base64Decode(token, Base64url_Alphabet, false) : undefined;
+    const fail = (reason) => {
+        throw new MalformedTokenError(`Malformed ${what} token: ${reason}`);
+    };
+    if (!bytes) {
+        fail('invalid base64url');
+    }
+    let offset = 0;
+    const read = (length) => {
+        if (offset + length > bytes.length) {
+            fail('too short');
+        }
+        offset += length;
+        return bytes.subarray(offset - length, offset);
+    };
+    const readUint = (length) => {
+        const n = bytesToBigInt(read(length));
+        if (n > BigInt(Number.MAX_SAFE_INTEGER)) {
+            fail('integer too large');
+        }
+        return Number(n);
+    };
+    const readExponent = () => {
+        const m = readUint(4);
+        if (!isKnownExponent(m)) {
+            fail(`"${m}" is not a known Mersenne or pseudo-Mersenne exponent`);
+        }
+        return m;
+    };
+    const [version, tokenKind] = read(2);
+    if (version !== Token_Version) {
+        fail(`unsupported version ${version}`);
+    }
+    if (tokenKind !== kind) {
+        fail(`not a ${what} token`);
+    }
+    return {
+        read,
+        readUint,
+        readExponent,
+        fail,
+        bytesRead: () => bytes.subarray(0, offset),
+        end() {
+            if (offset !== bytes.length) {
+                fail('unexpected trailing data');
+            }
+        }
+    };
+}
+
+// encode a challenge as a compact base64url token. Challenges can only be
+// encoded if decoding the token produces exactly the same challenge (so that
+// signatures remain valid)
+function encodeChallenge(challenge) {
+    checkChallengeShape(challenge);
+    const versioned = challenge.v !== undefined;
+    for (const field of Object.keys(challenge)) {
+        if (!(versioned ? Versioned_Challenge_Fields : Challenge_Fields).includes(field)) {
+            throw new MalformedChallengeError(`Challenge field "${field}" cannot be encoded`);
+        }
+    }
+    checkModulus(challenge);
+    if (versioned) {
+        checkVersionedChallenge(challenge);
+    }
+    if ((!Number.isSafeInteger(challenge.d)) || challenge.d < 0) {
+        throw new MalformedChallengeError('Difficulty must be a positive integer.');
+    }
+    // c must be exactly reproducible from its bytes:
+    if (!/^0x([0-9a-f]{2}){1,255}$/.exec(challenge.c)) {
+        throw new MalformedChallengeError('Challenge .c must be lowercase hex with an even number of digits to be encoded');
+    }
+    const c = BigInt(challenge.c);
+    if (c >= modulusForExponent(challenge.m)) {
+        throw new OutOfRangeError('Malformed challenge: out of range for exponent.');
+    }
+    const cLength = (challenge.c.length - 2) / 2;
+
+    // (versioned challenges can have an issue time without being signed)
+    const signed = (versioned ? ['e', 'h'] : ['t', 'e', 'h']).some(field => challenge[field] !== undefined);
+    const bound = challenge.n !== undefined;
+    const hasOffset = challenge.k !== undefined;
+    const flags = (signed ? Token_Flag_Signed : 0) | (bound ? Token_Flag_Bound : 0) | (hasOffset ? Token_Flag_Offset : 0) | (versioned ? Token_Flag_Versioned : 0);
+    const parts = [
+        Uint8Array.of(Token_Version, Challenge_Token_Kind, flags),
+        uintToBytes(challenge.m, 4),
+        ...(hasOffset ? [uintToBytes(challenge.k, 4)] : []),
+        uintToBytes(challenge.d, 8),
+        Uint8Array.of(cLength),
+        bigIntToBytes(c, cLength)
+    ];
+    if (bound) {
+        if ((typeof challenge.n) !== 'string' || !/^0x[0-9a-f]{32}$/.exec(challenge.n)) {
+            throw new MalformedChallengeError('Malformed challenge: bound challenges must have .n: 16 bytes of lowercase hex');
+        }
+        parts.push(bigIntToBytes(BigInt(challenge.n), Nonce_Byte_Length));
+    }
+    if (versioned) {
+        parts.push(...encodeExtensions(challenge, signed));
+    }
+    if (signed) {
+        const h = ((typeof challenge.h) === 'string') ? base64Decode(challenge.h, Base64url_Alphabet, false) : undefined;
+        if ((!Number.isSafeInteger(challenge.t)) || challenge.t < 0 ||
+            (!Number.isSafeInteger(challenge.e)) || challenge.e < 0 ||
+            h?.length !== 32) {
+            throw new MalformedChallengeError('Malformed challenge: signed challenges must have .t, .e, and .h');
+        }
+        parts.push(uintToBytes(challenge.t, 8), uintToBytes(challenge.e, 8), h);
+    }
+    return base64urlEncode(concatBytes(parts));
+}
+
+// the token parts for the version and extensions of a (checked) versioned
+// challenge
+function encodeExtensions(challenge, signed) {
+    const issued = (!signed) && challenge.t !== undefined;
+    const parts = [Uint8Array.of(
+        challenge.v,
+        (challenge.f !== undefined ? Token_Extension_Flip : 0) | (challenge.o !== undefined ? Token_Extension_Opaque : 0) | (issued ? Token_Extension_Issued : 0)
+    )];
+    if (challenge.f !== undefined) {
+        // f must be exactly reproducible from its bytes:
+        if (!/^0x[1-9a-f][0-9a-f]*$/.exec(challenge.f)) {
+            throw new MalformedChallengeError('Challenge .f must be lowercase hex without leading zeros to be encoded');
+        }
+        const fLength = Math.ceil((challenge.f.length - 2) / 2);
+        parts.push(uintToBytes(fLength, 4), bigIntToBytes(BigInt(challenge.f), fLength));
+    }
+    if (challenge.o !== undefined) {
+        const o = utf8Encoder.encode(challenge.o);
+        parts.push(Uint8Array.of(o.length), o);
+    }
+    if (issued) {
+        parts.push(uintToBytes(challenge.t, 8));
+    }
+    return parts;
+}
+
+// read the version and extensions of a versioned challenge token into
+// challenge
+function decodeExtensions(reader, challenge, signed) {
+    const [v, extensions] = reader.read(2);
+    if (!Challenge_Versions.includes(v)) {
+        reader.fail(`unsupported challenge version ${v}`);
+    }
+    if ((extensions & ~(Token_Extension_Flip | Token_Extension_Opaque | Token_Extension_Issued)) ||
+        (signed && (extensions & Token_Extension_Issued))) {
+        reader.fail('unknown extensions');
+    }
+    challenge.v = v;
+    if (extensions & Token_Extension_Flip) {
+        const f = reader.read(reader.readUint(4));
+        if (f.length === 0 || f[0] === 0) {
+            reader.fail('flip mask must not have leading zeros');
+        }
+        if (bytesToBigInt(f) >= (1n << BigInt(challenge.m))) {
+            reader.fail('flip mask out of range');
+        }
+        if (!isFlipMaskForModulus(bytesToBigInt(f), challenge.m)) {
+            reader.fail('flip mask must be 1 for pseudo-Mersenne moduli');
+        }
+        challenge.f = `0x${bytesToBigInt(f).toString(16)}`;
+    }
+    if (extensions & Token_Extension_Opaque) {
+        const [oLength] = reader.read(1);
+        try {
+            challenge.o = utf8Decoder.decode(reader.read(oLength));
+        } catch (ignored_e) {
+            reader.fail('opaque value is not valid UTF-8');
+        }
+    }
+    if (extensions & Token_Extension_Issued) {
+        challenge.t = reader.readUint(8);
+    }
+}
+
+// decode a token produced by encodeChallenge()
+function decodeChallenge(token) {
+    const reader = createTokenReader(token, 'challenge', Challenge_Token_Kind);
+    const [flags] = reader.read(1);
+    if (flags & ~(Token_Flag_Signed | Token_Flag_Bound | Token_Flag_Offset | Token_Flag_Versioned)) {
+        reader.fail('unknown flags');
+    }
+    const m = reader.readExponent();
+    const k = (flags & Token_Flag_Offset) ? reader.readUint(4) : undefined;
+    if (k !== (isPseudoMersenneExponent(m) ? modulusOffset(m) : undefined)) {
+        reader.fail(`k does not match the modulus for exponent ${m}`);
+    }
+    const d = reader.readUint(8);
+    const [cLength] = reader.read(1);
+    if (cLength === 0) {
+        reader.fail('missing challenge value');
+    }
+    const c = reader.read(cLength);
+    if (bytesToBigInt(c) >= modulusForExponent(m)) {
+        reader.fail('challenge value out of range');
+    }
+    const challenge = {
+        c: `0x${bytesToHex(c)}`,
+        d,
+        m
+    };
+    if (k !== undefined) {
+        challenge.k = k;
+    }
+    if (flags & Token_Flag_Bound) {
+        challenge.n = `0x${bytesToHex(reader.read(Nonce_Byte_Length))}`;
+    }
+    if (flags & Token_Flag_Versioned) {
+        decodeExtensions(reader, challenge, flags & Token_Flag_Signed);
+    }
+    if (flags & Token_Flag_Signed) {
+        challenge.t = reader.readUint(8);
+        challenge.e = reader.readUint(8);
+        challenge.h = base64urlEncode(reader.read(32));
+    }
+    reader.end();
+    return challenge;
+}
+
+// encode a solution to challenge as a compact base64url token. Segmented
+// solutions can't be encoded (their segments would make the token as large as
+// the JSON anyway), rather than silently losing their segments.
+function encodeSolution(solution, challenge) {
+    checkChallengeShape(challenge);
+    checkModulus(challenge);
+    checkSolutionShape(solution);
+    if (solution.segmentEvery !== undefined || solution.segments !== undefined) {
+        throw new BusybotError('Segmented solutions can not be encoded as tokens');
+    }
+    const s = BigInt(solution.s);
+    if (s >= modulusForExponent(challenge.m)) {
+        throw new OutOfRangeError('Malformed solution: out of range for exponent.');
+    }
+    return base64urlEncode(concatBytes([
+        Uint8Array.of(Token_Version, Solution_Token_Kind),
+        uintToBytes(challenge.m, 4),
+        bigIntToBytes(s, modulusByteLength(challenge.m))
+    ]));
+}
+
+// decode a token produced by encodeSolution()
+function decodeSolution(token) {
+    const reader = createTokenReader(token, 'solution', Solution_Token_Kind);
+    const m = reader.readExponent();
+    const s = bytesToBigInt(reader.read(modulusByteLength(m)));
+    if (s >= modulusForExponent(m)) {
+        reader.fail('solution value out of range');
+    }
+    reader.end();
+    return {s: `0x${s.toString(16)}`};
+}
+
+
+// A simple in-memory key-value store, used to record spent challenges for
+// createVerifier(), and client state for createDifficultyPolicy(). Each key is
+// remembered until it expires, or until maxEntries more recently used keys
+// have been added.
+//
+// Note that if more than maxEntries challenges are redeemed within their
+// lifetime, the oldest are forgotten and could be replayed, so maxEntries
+// should be sized for the expected rate of requests.
+function createMemoryStore({maxEntries = 100000, now = () => Date.now()}={}) {
+    if ((!Number.isSafeInteger(maxEntries)) || maxEntries <= 0) {
+        throw new BusybotError('maxEntries must be a positive integer.');
+    }
+    // Map iterates in insertion order, so re-inserting entries when they are
+    // used keeps the least recently used at the start:
+    const entries = new Map();
+
+    // return the entry for key if it has not expired, marking it as used
+    const getLive = function(key) {
+        const entry = entries.get(key);
+        if (entry === undefined) {
+            return undefined;
+        }
+        entries.delete(key);
+        if (entry.expiry <= now()) {
+            return undefined;
+        }
+        entries.set(key, entry);
+        return entry;
+    };
+
+    const put = function(key, value, ttlMs) {
+        entries.delete(key);
+        entries.set(key, {value, expiry: now() + ttlMs});
+        // evict expired entries from the start, and if still over the
+        // limit, the least recently used ones:
+        for (const [oldKey, {expiry}] of entries) {
+            if (expiry > now() && entries.size <= maxEntries) {
+                break;
+            }
+            entries.delete(oldKey);
+        }
+    };
+
+    return {
+        async has(key) {
+            return getLive(key) !== undefined;
+        },
+        // add key if it is not already present, returning true if it was
+        // added, and false if it was already present
+        async add(key, ttlMs) {
+            if (getLive(key) !== undefined) {
+                return false;
+            }
+            put(key, true, ttlMs);
+            return true;
+        },
+        async get(key) {
+            return getLive(key)?.value;
+        },
+        async set(key, value, ttlMs) {
+            put(key, value, ttlMs);
+        },
+        // replace the value of key with update(value), atomically, returning
+        // the new value
+        async update(key, update, ttlMs) {
+            const value = update(getLive(key)?.value);
+            put(key, value, ttlMs);
+            return value;
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// Create a verifier that, in addition to checking solutions as verify() does,
+// records each successfully redeemed challenge in a store, and rejects any
+// attempt to redeem the same challenge again.
+//
+// The store can be any object with async methods:
+//   has(key): resolves to true if key is present and has not expired
+//   add(key, ttlMs): atomically add key if it is not already present, with a
+//     lifetime of ttlMs, resolving to true if it was added, false if it
+//     was already present.
+// (e.g. with redis, add can be implemented as SET key 1 NX PX ttlMs)
+//
+// Challenges are remembered until their expiry if they are signed, or
+// otherwise for ttlSeconds.
+//
+// So that verifying can't be used to make the server do unbounded work (for
+// example if any part of the challenge comes from the client), challenges are
+// rejected before any arithmetic unless they use one of allowedExponents, and
+// are no more difficult than maxDifficulty, and than maxVerifyCost (estimated
+// milliseconds to verify on the reference profile, see estimateVerifyMs()).
+function createVerifier({
+    store = createMemoryStore(),
+    secrets,
+    ttlSeconds = 300,
+    allowedExponents = Challenge_Exponents,
+    maxDifficulty,
+    maxVerifyCost,
+    now = () => Date.now()
+}={}) {
+    if ((!store) ||
+        (typeof store.has) !== 'function' ||
+        (typeof store.add) !== 'function') {
+        throw new BusybotError('store must have .has() and .add() methods');
+    }
+    if ((!Number.isSafeInteger(ttlSeconds)) || ttlSeconds <= 0) {
+        throw new BusybotError('ttlSeconds must be a positive integer.');
+    }
+    if ((!Array.isArray(allowedExponents)) || allowedExponents.length === 0 ||
+        !allowedExponents.every(m => (typeof m) === 'number' && isKnownExponent(m))) {
+        throw new BusybotError('allowedExponents must be a non-empty array of Mersenne or pseudo-Mersenne exponents');
+    }
+    if (maxDifficulty !== undefined && ((!Number.isSafeInteger(maxDifficulty)) || maxDifficulty < 0)) {
+        throw new BusybotError('maxDifficulty must be a positive integer.');
+    }
+    checkMaxCost(maxVerifyCost, 'maxVerifyCost');
+
+    const withinLimits = function({m, d}) {
+        return allowedExponents.includes(m) &&
+            Number.isSafeInteger(d) && d >= 0 &&
+            (maxDifficulty === undefined || d <= maxDifficulty) &&
+            (maxVerifyCost === undefined || referenceCost(Reference_Profile.verifyIterationMs, {m, d}) <= maxVerifyCost);
+    };
+
+    // resolve to null if the solution is correct and the challenge has not
+    // been used before, or else to the reason to reject it
+    const check = async function(challenge, solution, {context}={}) {
+        checkChallengeShape(challenge);
+        if (!withinLimits(challenge)) {
+            return 'LIMIT_EXCEEDED';
+        }
+        const time = now();
+        // check for a spent challenge before doing any expensive work:
+        if (await store.has(challenge.c)) {
+            return 'ALREADY_USED';
+        }
+        const problem = checkSolution(challenge, solution, {secrets, context, now: time});
+        if (problem !== null) {
+            return problem;
+        }
+        const ttlMs = (secrets !== undefined) ? (challenge.e * 1000) - time : ttlSeconds * 1000;
+        // only one of several concurrent redemptions can add the
+        // challenge, the others must fail:
+        return (await store.add(challenge.c, ttlMs)) ? null : 'ALREADY_USED';
+    };
+
+    return {
+        async verify(challenge, solution, options) {
+            return (await instrumentedCheckAsync(challenge, () => check(challenge, solution, options))) === null;
+        },
+        // as for verifyDetailed(), with the additional reasons LIMIT_EXCEEDED
+        // (for challenges outside the limits), and ALREADY_USED
+        async verifyDetailed(challenge, solution, options) {
+            try {
+                return detailedResult(await instrumentedCheckAsync(challenge, () => check(challenge, solution, options)));
+            } catch (e) {
+                return rejectedResult(e);
+            }
+        }
+    };
+}
+
+
+// Create an issuer of passes, which let a client that has proven its work
+// skip challenges for a while: issue() verifies a solution, and exchanges its
+// challenge for a signed pass token, which check() can then validate cheaply
+// (without any arithmetic) on subsequent requests. Returns:
+//   issue(challenge, solution, {clientKey, context}): verify the solution as
+//     createVerifier() does, and resolve to {token, expires, uses}, or to null
+//     if it is rejected
+//   check(token, {clientKey}): resolve to true if the pass is valid for
+//     clientKey and has not expired or been used up, and false otherwise
+//
+// Challenges must be signed with one of secrets (see generate({secret})), so
+// that a client can't choose the difficulty or exponent that its pass lifetime
+// is based on, and each can only be exchanged once, recorded in the store.
+// allowedExponents, maxDifficulty and maxVerifyCost limit them as for
+// createVerifier().
+//
+// The lifetime of a pass is proportional to the work that was proven: the
+// estimated time to solve its challenge on the reference profile (see
+// estimateSolveMs()), multiplied by secondsPerWorkSecond, and clamped to
+// between minTtlSeconds and maxTtlSeconds. (Exponents that are not in the
+// reference profile earn minTtlSeconds.) If maxUses is given, each pass can
+// be used at most that many times, counted in the store, otherwise as many
+// times as needed until it expires.
+//
+// Passes are signed with the first of secrets, and any of them are accepted.
+function createPassIssuer({
+    secrets,
+    store = createMemoryStore(),
+    secondsPerWorkSecond = 60,
+    minTtlSeconds = 10,
+    maxTtlSeconds = 3600,
+    maxUses,
+    allowedExponents,
+    maxDifficulty,
+    maxVerifyCost,
+    now = () => Date.now()
+}={}) {
+    secrets = toSecrets(secrets);
+    if ((!store) ||
+        (typeof store.has) !== 'function' ||
+        (typeof store.add) !== 'function') {
+        throw new BusybotError('store must have .has() and .add() methods');
+    }
+    checkMaxCost(secondsPerWorkSecond, 'secondsPerWorkSecond');
+    if ((!Number.isSafeInteger(minTtlSeconds)) || minTtlSeconds <= 0) {
+        throw new BusybotError('minTtlSeconds must be a positive integer.');
+    }
+    if ((!Number.isSafeInteger(maxTtlSeconds)) || maxTtlSeconds < minTtlSeconds) {
+        throw new BusybotError('maxTtlSeconds must be an integer, at least minTtlSeconds.');
+    }
+    if (maxUses !== undefined && ((!Number.isSafeInteger(maxUses)) || maxUses <= 0 || maxUses > Max_Pass_Uses)) {
+        throw new BusybotError(`maxUses must be a positive integer, at most ${Max_Pass_Uses}.`);
+    }
+    const verifier = createVerifier({store, secrets, allowedExponents, maxDifficulty, maxVerifyCost, now});
+
+    // passes take one use by adding the first free key of the form
+    // pass:id:n to the store. Keys are added in order, and all expire with
+    // the pass, so the first free one can be found by a binary search.
+    const takeUse = async function(id, uses, ttlMs) {
+        let low = 0;
+        let high = uses;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await store.has(`pass:${id}:${middle}`)) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        // (other requests using the same pass concurrently may take the
+        // same key first)
+        for (let n = low; n < uses; n++) {
+            if (await store.add(`pass:${id}:${n}`, ttlMs)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    return {
+        async issue(challenge, solution, {clientKey, context}={}) {
+            const digest = contextDigest(clientKey, 'clientKey');
+            if (!await verifier.verify(challenge, solution, {context})) {
+                return null;
+            }
+            const workSeconds = referenceCost(Reference_Profile.solveIterationMs, challenge) / 1000;
+            const ttlSeconds = Number.isFinite(workSeconds) ?
+                Math.min(maxTtlSeconds, Math.max(minTtlSeconds, Math.round(workSeconds * secondsPerWorkSecond))) :
+                minTtlSeconds;
+            const expires = Math.floor(now() / 1000) + ttlSeconds;
+            const uses = maxUses ?? 0;
+            const body = concatBytes([
+                Uint8Array.of(Token_Version, Pass_Token_Kind),
+                uintToBytes(expires, 8),
+                uintToBytes(uses, 4),
+                await randomBytes(Pass_Id_Byte_Length)
+            ]);
+            const token = base64urlEncode(concatBytes([body, signPass(body, digest, secrets[0])]));
+            return {token, expires, uses: maxUses ?? null};
+        },
+        async check(token, {clientKey}={}) {
+            const digest = contextDigest(clientKey, 'clientKey');
+            let pass;
+            try {
+                pass = decodePass(token);
+            } catch (e) {
+                // (tokens come from the client, so malformed ones are just
+                // invalid)
+                if (e.code === 'MALFORMED_TOKEN') {
+                    return false;
+                }
+                throw e;
+            }
+            const {body, expires, uses, id, signature} = pass;
+            let valid = false;
+            // as for challenge signatures, check every secret
+            for (const secret of secrets) {
+                if (constantTimeEqual(base64urlEncode(signPass(body, digest, secret)), base64urlEncode(signature))) {
+                    valid = true;
+                }
+            }
+            const time = now();
+            if ((!valid) || Math.floor(time / 1000) >= expires) {
+                return false;
+            }
+            return (uses === 0) || await takeUse(bytesToHex(id), uses, (expires * 1000) - time);
+        }
+    };
+}
+
+// A pass token is base64url of:
+//   version (1 byte), kind ('P'), expiry (8 bytes, seconds since the epoch),
+//   uses (4 bytes, or 0 for unlimited), id (16 random bytes),
+//   signature (32 bytes)
+// where the signature is an HMAC-SHA256 of the preceding bytes and a digest
+// of the client key (see contextDigest()), so that passes can't be modified,
+// or used by other clients. The client key itself is not included.
+const Pass_Token_Kind = 0x50; // 'P'
+const Pass_Id_Byte_Length = 16;
+const Max_Pass_Uses = 0xffffffff;
+
+function signPass(body, clientDigest, secret) {
+    return hmacSha256(toBytes(secret), concatBytes([body, clientDigest]));
+}
+
+function decodePass(token) {
+    const reader = createTokenReader(token, 'pass', Pass_Token_Kind);
+    const expires = reader.readUint(8);
+    const uses = reader.readUint(4);
+    const id = reader.read(Pass_Id_Byte_Length);
+    const body = reader.bytesRead();
+    const signature = reader.read(32);
+    reader.end();
+    return {body, expires, uses, id, signature};
+}
+
+
+// default levels for createDifficultyPolicy(): from no challenge for quiet
+// clients, up to challenges taking 10s of seconds
+const Default_Policy_Levels = [
+    {above: 10, forMersenneExponent: 1279, withDifficulty: 10},
+    {above: 20, forMersenneExponent: 1279, withDifficulty: 100},
+    {above: 40, forMersenneExponent: 2203, withDifficulty: 100},
+    {above: 80, forMersenneExponent: 4253, withDifficulty: 100},
+    {above: 160, forMersenneExponent: 9689, withDifficulty: 50}
+];
+
+// Decide whether, and how hard, to challenge requests from each client.
+//
+// Each client (identified by any string key, such as an ip address) has a
+// score, which increases by 1 for each request, and by failureWeight for each
+// failed verification, and decays exponentially with a half-life of
+// halfLifeMs. The score is therefore approximately the number of requests
+// made in the last halfLifeMs / ln(2) ms.
+//
+// The score is compared to levels, an array sorted by .above, of the form:
+// [
+//   {above: 10, forMersenneExponent: 1279, withDifficulty: 10},
+//   {above: 20, forMersenneExponent: 1279, withDifficulty: 100},
+//   ...
+// ]
+// (levels can have forPseudoMersenneExponent instead of forMersenneExponent)
+// and the options for generate() from the highest level that the score is
+// above are returned. If the score is not above any level, null is returned,
+// and no challenge is needed. The last level is the ceiling.
+//
+// Client state is kept in store, which can be any object with async methods
+// get(key) and set(key, value, ttlMs) (such as createMemoryStore()), and now
+// can be replaced to make the policy deterministic for testing. Updating a
+// score with get() then set() is not atomic, so concurrent requests from the
+// same client can overwrite each other's increments. To prevent that, the
+// store can also have an async method update(key, fn, ttlMs), which atomically
+// replaces the value of key (or undefined) with fn(value), and resolves to the
+// new value (createMemoryStore() has one; with redis, for example, it could be
+// implemented with WATCH and MULTI).
+function createDifficultyPolicy({
+    levels = Default_Policy_Levels,
+    halfLifeMs = 60000,
+    failureWeight = 5,
+    now = () => Date.now(),
+    store = createMemoryStore({now})
+}={}) {
+    if ((!Array.isArray(levels)) || levels.length === 0) {
+        throw new BusybotError('levels must be a non-empty array');
+    }
+    levels.forEach(({above, forMersenneExponent, forPseudoMersenneExponent, withDifficulty}, i) => {
+        if ((typeof above) !== 'number' || !Number.isFinite(above) || (i > 0 && above <= levels[i-1].above)) {
+            throw new BusybotError('levels must be sorted by increasing .above');
+        }
+        const valid = (forPseudoMersenneExponent === undefined) ? isMersenneExponent(forMersenneExponent) :
+            (forMersenneExponent === undefined && isPseudoMersenneExponent(forPseudoMersenneExponent));
+        const exponent = forMersenneExponent ?? forPseudoMersenneExponent;
+        if ((!valid) || exponent < 61) {
+            throw new BusybotError(`"${exponent}" is not a valid exponent for a challenge`);
+        }
+        if ((!Number.isSafeInteger(withDifficulty)) || withDifficulty < 0) {
+            throw new BusybotError('Difficulty must be a positive integer.');
+        }
+    });
+    if ((typeof halfLifeMs) !== 'number' || !(halfLifeMs > 0)) {
+        throw new BusybotError('halfLifeMs must be a positive number');
+    }
+    if ((typeof failureWeight) !== 'number' || !(failureWeight >= 0)) {
+        throw new BusybotError('failureWeight must be a non-negative number');
+    }
+    if ((!store) ||
+        (typeof store.get) !== 'function' ||
+        (typeof store.set) !== 'function') {
+        throw new BusybotError('store must have .get() and .set() methods');
+    }
+    // forget clients once their score has decayed to less than 1/1000th
+    const ttlMs = Math.ceil(halfLifeMs * 10);
+
+    const decayedScore = function(state, time) {
+        if (!state) {
+            return 0;
+        }
+        return state.score * Math.pow(2, -Math.max(0, time - state.updated) / halfLifeMs);
+    };
+
+    const currentScore = async function(clientKey, time) {
+        return decayedScore(await store.get(clientKey), time);
+    };
+
+    const addToScore = async function(clientKey, weight) {
+        const time = now();
+        if ((typeof store.update) === 'function') {
+            const state = await store.update(clientKey, (state) => ({score: decayedScore(state, time) + weight, updated: time}), ttlMs);
+            return state.score;
+        }
+        const score = await currentScore(clientKey, time) + weight;
+        await store.set(clientKey, {score, updated: time}, ttlMs);
+        return score;
+    };
+
+    const levelFor = function(score) {
+        let result = null;
+        for (const {above, forMersenneExponent, forPseudoMersenneExponent, withDifficulty} of levels) {
+            if (score > above) {
+                result = (forPseudoMersenneExponent === undefined) ?
+                    {forMersenneExponent, withDifficulty} :
+                    {forPseudoMersenneExponent, withDifficulty};
+            }
+        }
+        return result;
+    };
+
+    return {
+        // record a request from a client, and return the options to pass to
+        // generate() for the challenge it must solve, or null if it doesn't
+        // need to solve one
+        async recordRequest(clientKey) {
+            return levelFor(await addToScore(clientKey, 1));
+        },
+        // record a failed verification (e.g. an incorrect or replayed
+        // solution) from a client
+        async recordFailure(clientKey) {
+            await addToScore(clientKey, failureWeight);
+        },
+        // return the challenge options for a client, without recording a request
+        async difficultyFor(clientKey) {
+            return levelFor(await currentScore(clientKey, now()));
+        },
+        // return the current score of a client
+        async score(clientKey) {
+            return currentScore(clientKey, now());
+        }
+    };
+}
+
+
+// Instrumentation: instrument() adds listeners for events from generate() and
+// from verifying solutions (with verify(), verifyDetailed(), or a verifier
+// from createVerifier()). When there are no listeners, nothing is measured.
+const Listeners = {generate: [], verify: []};
+
+// call listeners with an event. Instrumentation must not break the code
+// being observed, so errors from listeners are ignored.
+function emit(listeners, event) {
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (ignored_e) {
+            // ignored
+        }
+    }
+}
+
+// Add instrumentation listeners, returning a function that removes them:
+//   onGenerate({exponent, difficulty, signed, bound, durationMs}): called for
+//     each challenge generated
+//   onVerify({outcome, reason, exponent, difficulty, durationMs}): called for
+//     each solution verified, where outcome is:
+//       'passed': the solution is correct (and reason is null)
+//       'failed': the solution was rejected for reason (see verifyDetailed())
+//       'malformed': the challenge or solution was malformed, and reason is
+//         the error code (see verifyDetailed())
+//       'error': verifying threw any other error, with its code as reason
+//     exponent and difficulty are the challenge's .m and .d (which may be
+//     anything for malformed challenges).
+function instrument({onGenerate, onVerify}={}) {
+    if (onGenerate !== undefined && (typeof onGenerate) !== 'function') {
+        throw new BusybotError('onGenerate must be a function');
+    }
+    if (onVerify !== undefined && (typeof onVerify) !== 'function') {
+        throw new BusybotError('onVerify must be a function');
+    }
+    const added = [[Listeners.generate, onGenerate], [Listeners.verify, onVerify]].filter(([, listener]) => listener);
+    for (const [listeners, listener] of added) {
+        listeners.push(listener);
+    }
+    return function() {
+        for (const [listeners, listener] of added) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    };
+}
+
+function emitVerify(challenge, start, outcome, reason) {
+    emit(Listeners.verify, {
+        outcome,
+        reason,
+        exponent: challenge?.m,
+        difficulty: challenge?.d,
+        durationMs: performance.now() - start
+    });
+}
+
+function emitVerifyError(challenge, start, error) {
+    emitVerify(challenge, start, Rejected_Error_Codes.includes(error?.code) ? 'malformed' : 'error', error?.code ?? null);
+}
+
+// run check, which returns null or the reason to reject a solution, reporting
+// its outcome to any onVerify listeners
+function instrumentedCheck(challenge, check) {
+    if (Listeners.verify.length === 0) {
+        return check();
+    }
+    const start = performance.now();
+    let reason;
+    try {
+        reason = check();
+    } catch (e) {
+        emitVerifyError(challenge, start, e);
+        throw e;
+    }
+    emitVerify(challenge, start, (reason === null) ? 'passed' : 'failed', reason);
+    return reason;
+}
+
+async function instrumentedCheckAsync(challenge, check) {
+    if (Listeners.verify.length === 0) {
+        return check();
+    }
+    const start = performance.now();
+    let reason;
+    try {
+        reason = await check();
+    } catch (e) {
+        emitVerifyError(challenge, start, e);
+        throw e;
+    }
+    emitVerify(challenge, start, (reason === null) ? 'passed' : 'failed', reason);
+    return reason;
+}
+
+
+// A minimal registry of Prometheus counters and histograms, which can be
+// rendered in the Prometheus text exposition format. Returns:
+//   counter(name, help): a counter, with inc(labels = {}, value = 1)
+//   histogram(name, help, buckets): a histogram with the given (increasing)
+//     bucket upper bounds, with observe(labels = {}, value)
+//   render(): the text exposition of every metric
+// Each distinct set of labels is a separate series, so label values must come
+// from a small set.
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    const register = function(name, help, type, extra) {
+        if ((typeof name) !== 'string' || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new BusybotError('metric names must match [a-zA-Z_:][a-zA-Z0-9_:]*');
+        }
+        if (metrics.has(name)) {
+            throw new BusybotError(`metric "${name}" is already registered`);
+        }
+        const metric = {name, help: String(help), type, series: new Map(), ...extra};
+        metrics.set(name, metric);
+        return metric;
+    };
+
+    // the series for a set of labels, created with initial() if it is new
+    const seriesFor = function(metric, labels, initial) {
+        const key = renderLabels(labels);
+        let series = metric.series.get(key);
+        if (series === undefined) {
+            series = initial();
+            metric.series.set(key, series);
+        }
+        return series;
+    };
+
+    return {
+        counter(name, help) {
+            const metric = register(name, help, 'counter');
+            return {
+                inc(labels = {}, value = 1) {
+                    if ((typeof value) !== 'number' || !(value >= 0)) {
+                        throw new BusybotError('counters can only be increased');
+                    }
+                    seriesFor(metric, labels, () => ({value: 0})).value += value;
+                }
+            };
+        },
+        histogram(name, help, buckets) {
+            if ((!Array.isArray(buckets)) || buckets.length === 0 ||
+                !buckets.every((bound, i) => Number.isFinite(bound) && (i === 0 || bound > buckets[i - 1]))) {
+                throw new BusybotError('buckets must be a non-empty array of increasing numbers');
+            }
+            const metric = register(name, help, 'histogram', {buckets: buckets.slice()});
+            return {
+                observe(labels = {}, value) {
+                    const series = seriesFor(metric, labels, () => ({counts: buckets.map(() => 0), sum: 0, count: 0}));
+                    buckets.forEach((bound, i) => {
+                        if (value <= bound) {
+                            series.counts[i]++;
+                        }
+                    });
+                    series.sum += value;
+                    series.count++;
+                }
+            };
+        },
+        render() {
+            const lines = [];
+            for (const {name, help, type, series, buckets} of metrics.values()) {
+                lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`);
+                for (const [labels, values] of series) {
+                    if (type === 'counter') {
+                        lines.push(`${name}${labels} ${values.value}`);
+                        continue;
+                    }
+                    // (bucket counts are cumulative, since each observation
+                    // is counted in every bucket it is within)
+                    buckets.forEach((bound, i) => {
+                        lines.push(`${name}_bucket${withLabel(labels, 'le', String(bound))} ${values.counts[i]}`);
+                    });
+                    lines.push(`${name}_bucket${withLabel(labels, 'le', '+Inf')} ${values.count}`);
+                    lines.push(`${name}_sum${labels} ${values.sum}`, `${name}_count${labels} ${values.count}`);
+                }
+            }
+            return lines.length ? `${lines.join('\n')}\n` : '';
+        }
+    };
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// render labels as {name="value",...} in a consistent (sorted) order, or as
+// nothing if there are none
+function renderLabels(labels) {
+    const names = Object.keys(labels).sort();
+    if (names.some(name => !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name))) {
+        throw new BusybotError('label names must match [a-zA-Z_][a-zA-Z0-9_]*');
+    }
+    return names.length ? `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}` : '';
+}
+
+function withLabel(labels, name, value) {
+    const label = `${name}="${escapeLabelValue(value)}"`;
+    return labels ? `${labels.slice(0, -1)},${label}}` : `{${label}}`;
+}
+
+// Default buckets for verification durations, in seconds
+const Default_Duration_Buckets = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+// Create listeners for instrument() that record the standard busybot metrics
+// in a registry (by default a new createMetricsRegistry()):
+//   busybot_challenges_generated_total{exponent}
+//   busybot_verifications_total{outcome, reason, exponent}
+//   busybot_verify_duration_seconds{outcome}: a histogram with
+//     durationBuckets
+// Exponents which are not known Mersenne or pseudo-Mersenne exponents (for
+// example from malformed challenges) are recorded as "other", so that clients
+// can't create arbitrary series. Returns {onGenerate, onVerify, registry, render()}.
+function createMetrics({registry = createMetricsRegistry(), durationBuckets = Default_Duration_Buckets}={}) {
+    const generated = registry.counter('busybot_challenges_generated_total', 'Challenges generated by busybot');
+    const verifications = registry.counter('busybot_verifications_total', 'Solutions verified by busybot, by outcome');
+    const durations = registry.histogram('busybot_verify_duration_seconds', 'Time taken to verify solutions', durationBuckets);
+    const exponentLabel = (m) => ((typeof m) === 'number' && isKnownExponent(m)) ? String(m) : 'other';
+
+    return {
+        registry,
+        onGenerate({exponent}) {
+            generated.inc({exponent: exponentLabel(exponent)});
+        },
+        onVerify({outcome, reason, exponent, durationMs}) {
+            verifications.inc({outcome, reason: reason ?? '', exponent: exponentLabel(exponent)});
+            durations.observe({outcome}, durationMs / 1000);
+        },
+        render() {
+            return registry.render();
+        }
+    };
+}
+
+
+const api = {
+    generate,
+    solve,
+    solveAsync,
+    resume,
+    resumeAsync,
+    solveInWorker,
+    createSolverPool,
+    busyFetch,
+    verify,
+    verifyDetailed,
+    verifySegments,
+    createVerifier,
+    createPassIssuer,
+    createMemoryStore,
+    createDifficultyPolicy,
+    instrument,
+    createMetrics,
+    createMetricsRegistry,
+    benchmark,
+    estimateSolveMs,
+    estimateVerifyMs,
+    encodeChallenge,
+    decodeChallenge,
+    encodeSolution,
+    decodeSolution,
+    encodeKctfChallenge,
+    decodeKctfChallenge,
+    encodeKctfSolution,
+    decodeKctfSolution,
+    BusybotError,
+    UnknownExponentError,
+    MalformedChallengeError,
+    MalformedSolutionError,
+    OutOfRangeError,
+    MalformedTokenError,
+    InvalidCheckpointError,
+    TooExpensiveError,
+};
+
+export {
+    generate, solve, solveAsync, resume, resumeAsync, solveInWorker, createSolverPool, busyFetch, verify, verifyDetailed, verifySegments,
+    initMathsFunctions, createVerifier, createPassIssuer, createMemoryStore, createDifficultyPolicy,
+    instrument, createMetrics, createMetricsRegistry,
+    benchmark, estimateSolveMs, estimateVerifyMs,
+    encodeChallenge, decodeChallenge, encodeSolution, decodeSolution,
+    encodeKctfChallenge, decodeKctfChallenge, encodeKctfSolution, decodeKctfSolution,
+    BusybotError, UnknownExponentError, MalformedChallengeError, MalformedSolutionError, OutOfRangeError,
+    MalformedTokenError, InvalidCheckpointError, TooExpensiveError
+};
 
 export default api;
@@ -0,0 +1,93 @@
+/**
+ * TypeScript definitions for busybot middleware
+ */
+
+import type { Challenge, Solution, GenerateOptions, Secret, SpentChallengeStore, DifficultyPolicy, BindingContext } from './index.js';
+
+/**
+ * Options for createMiddleware, expressMiddleware and fastifyMiddleware
+ */
+export interface MiddlewareOptions<Request = any> {
+    /** Secret(s) for signing challenges: the first signs new challenges, all are accepted */
+    secrets: Secret | Secret[];
+    /** Options passed to generate() for new challenges (default: {withDifficulty: 100}) */
+    challengeOptions?: Omit<GenerateOptions, 'secret' | 'ttlSeconds' | 'bindTo' | 'now'>;
+    /** Lifetime of challenges, in seconds (default: 300) */
+    ttlSeconds?: number;
+    /** Store of spent challenges (default: createMemoryStore()) */
+    store?: SpentChallengeStore;
+    /** If provided, decides which clients need to solve a challenge, and how hard */
+    policy?: DifficultyPolicy;
+    /** Identify the client for the policy (default: req.ip, or the connection's remote address) */
+    clientKey?: (req: Request) => string;
+    /** If provided, bind challenges to this context of the request, and only accept solutions for requests with the same context */
+    bindTo?: (req: Request) => BindingContext | Promise<BindingContext>;
+    /** Header containing the JSON {challenge, solution} (default: 'busybot-solution') */
+    header?: string;
+    /** Field of a parsed body containing {challenge, solution} (default: 'busybot') */
+    bodyField?: string;
+    /** Status for requests without a solution (default: 429) */
+    missingStatus?: number;
+    /** Status for requests with an invalid, expired or replayed solution (default: 401) */
+    invalidStatus?: number;
+}
+
+/**
+ * JSON body of rejected requests
+ */
+export interface RejectionBody {
+    error: 'Solution required' | 'Invalid solution';
+    /** A fresh challenge to solve before retrying */
+    challenge: Challenge;
+}
+
+/**
+ * A submitted solution, with the challenge it solves
+ */
+export interface Submission {
+    challenge: Challenge;
+    solution: Solution;
+}
+
+type Next = (err?: unknown) => void;
+
+/**
+ * node:http and Express/connect middleware
+ */
+export interface Middleware {
+    /** Respond with a fresh challenge */
+    handleChallenge(req: any, res: any, next: Next): Promise<void>;
+    /** Call next() if the request has a valid solution, or else respond with a RejectionBody */
+    protect(req: any, res: any, next: Next): Promise<void>;
+}
+
+/**
+ * Fastify route handler and preHandler hook
+ */
+export interface FastifyMiddleware {
+    /** Route handler resolving to a fresh challenge */
+    handleChallenge(request: any, reply: any): Promise<Challenge>;
+    /** preHandler hook that replies with a RejectionBody unless the request has a valid solution */
+    protect(request: any, reply: any): Promise<unknown>;
+}
+
+/**
+ * Create node:http (and Express/connect) middleware
+ * 
+ * @throws {BusybotError} If any option is invalid
+ */
+export function createMiddleware(options: MiddlewareOptions): Middleware;
+
+/**
+ * Create Express middleware (the same as createMiddleware)
+ * 
+ * @throws {BusybotError} If any option is invalid
+ */
+export function expressMiddleware(options: MiddlewareOptions): Middleware;
+
+/**
+ * Create Fastify handlers
+ * 
+ * @throws {BusybotError} If any option is invalid
+ */
+export function fastifyMiddleware(options: MiddlewareOptions): FastifyMiddleware;
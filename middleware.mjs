@@ -0,0 +1,264 @@
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+// Server middleware that issues challenges, and protects endpoints by
+// requiring a solution to one of them.
+//
+// Challenges are signed (see generate({secret})), so no session is needed:
+// the client sends back the challenge along with its solution, either as JSON
+// in a header:
+//   busybot-solution: {"challenge": {...}, "solution": {"s": "0x..."}}
+// or in a field of an already-parsed request body:
+//   {"busybot": {"challenge": {...}, "solution": {"s": "0x..."}}, ...}
+// (or as a JSON string in that field, for example from a form)
+// Each challenge can only be redeemed once (see createVerifier()).
+//
+// Requests without a solution are rejected with missingStatus (429 by
+// default), and requests with an incorrect, expired or already-used solution
+// with invalidStatus (401 by default). Both responses have a JSON body of the
+// form {error, challenge}, with a fresh challenge to solve before retrying.
+//
+// createMiddleware() (or expressMiddleware()) returns handlers for node:http
+// and Express/connect, and fastifyMiddleware() the equivalent Fastify route
+// handler and preHandler hook. If a policy (see createDifficultyPolicy()) is
+// given, it decides which clients need to solve a challenge, and how hard.
+//
+// If bindTo(req) is given, challenges are bound to the context it returns
+// (see generate({bindTo})), and solutions are only accepted for requests with
+// the same context. Challenges issued in response to a rejected request are
+// bound to that request's context, and those from handleChallenge() to the
+// context of the challenge request itself.
+import { generate, createVerifier, BusybotError } from './index.mjs';
+
+const Default_Header = 'busybot-solution';
+const Default_Body_Field = 'busybot';
+
+// (the same check as index.mjs makes of secrets)
+function isSecret(secret) {
+    return ((typeof secret === 'string') || (secret instanceof Uint8Array)) && secret.length > 0;
+}
+
+function checkBindTo(bindTo) {
+    if (bindTo !== undefined && (typeof bindTo) !== 'function') {
+        throw new BusybotError('bindTo must be a function');
+    }
+}
+
+// return a function resolving to the context bindTo returns for req. bindTo
+// is only called when the context is needed (and at most once), so that if it
+// isn't, a rejection from an async bindTo can't go unhandled.
+function lazyContext(bindTo, req) {
+    let context;
+    return function() {
+        if (context === undefined) {
+            context = Promise.resolve().then(() => bindTo?.(req));
+        }
+        return context;
+    };
+}
+
+function isErrorStatus(status) {
+    return Number.isSafeInteger(status) && status >= 400 && status <= 599;
+}
+
+// read the submitted {challenge, solution} from a request, returning
+// undefined if there isn't one
+function readSubmission({headers, body}, header, bodyField) {
+    let submission = body?.[bodyField];
+    const value = headers?.[header];
+    // (a form field, for example from <busybot-gate>, is JSON like the header)
+    const json = ((typeof submission) === 'string') ? submission :
+        (submission === undefined && (typeof value) === 'string') ? value : undefined;
+    if (json !== undefined) {
+        try {
+            submission = JSON.parse(json);
+        } catch (ignored_e) {
+            return undefined;
+        }
+    }
+    if ((!submission) || (typeof submission) !== 'object' ||
+        (!submission.challenge) || (!submission.solution)) {
+        return undefined;
+    }
+    return submission;
+}
+
+// The framework-independent part of the middleware, working on requests of
+// the form {headers, body, clientKey, context}, where context() resolves to
+// undefined, or else to the context to bind challenges to (see
+// lazyContext()).
+function createGuard({
+    secrets,
+    challengeOptions = {withDifficulty: 100},
+    ttlSeconds = 300,
+    store,
+    policy,
+    header = Default_Header,
+    bodyField = Default_Body_Field,
+    missingStatus = 429,
+    invalidStatus = 401
+}={}) {
+    const allSecrets = Array.isArray(secrets) ? secrets : [secrets];
+    if (allSecrets.length === 0 || !allSecrets.every(isSecret)) {
+        throw new BusybotError('secrets must be a non-empty string or Uint8Array, or an array of them');
+    }
+    if ((!challengeOptions) || (typeof challengeOptions) !== 'object') {
+        throw new BusybotError('challengeOptions must be an object');
+    }
+    if (policy !== undefined &&
+        ((!policy) ||
+         (typeof policy.recordRequest) !== 'function' ||
+         (typeof policy.recordFailure) !== 'function' ||
+         (typeof policy.difficultyFor) !== 'function')) {
+        throw new BusybotError('policy must have .recordRequest(), .recordFailure() and .difficultyFor() methods');
+    }
+    if ((typeof header) !== 'string' || header.length === 0) {
+        throw new BusybotError('header must be a non-empty string');
+    }
+    if (!isErrorStatus(missingStatus)) {
+        throw new BusybotError('missingStatus must be an HTTP error status');
+    }
+    if (!isErrorStatus(invalidStatus)) {
+        throw new BusybotError('invalidStatus must be an HTTP error status');
+    }
+    // new challenges are signed with the first secret, the others are
+    // accepted to allow rotation:
+    const secret = allSecrets[0];
+    const verifier = createVerifier({secrets: allSecrets, ttlSeconds, ...(store !== undefined && {store})});
+    // node lower-cases incoming header names
+    header = header.toLowerCase();
+
+    const issueChallenge = async function({clientKey, context}) {
+        const fromPolicy = policy ? await policy.difficultyFor(clientKey) : null;
+        const bindTo = await context();
+        return generate({...(fromPolicy ?? challengeOptions), secret, ttlSeconds, ...(bindTo !== undefined && {bindTo})});
+    };
+
+    const reject = async function(request, status, error) {
+        return {status, body: {error, challenge: await issueChallenge(request)}};
+    };
+
+    return {
+        issueChallenge,
+
+        // resolve to null if the request may proceed, or else to the
+        // {status, body} of the response to reject it with
+        async check(request) {
+            if (policy && (await policy.recordRequest(request.clientKey)) === null) {
+                return null;
+            }
+            const submission = readSubmission(request, header, bodyField);
+            if (!submission) {
+                return reject(request, missingStatus, 'Solution required');
+            }
+            // (malformed submissions are just invalid, but other errors, for
+            // example from the store, are not)
+            const context = await request.context();
+            if (!(await verifier.verifyDetailed(submission.challenge, submission.solution, {context})).ok) {
+                if (policy) {
+                    await policy.recordFailure(request.clientKey);
+                }
+                return reject(request, invalidStatus, 'Invalid solution');
+            }
+            return null;
+        }
+    };
+}
+
+function sendJSON(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('content-type', 'application/json');
+    // challenges must never be re-used from a cache
+    res.setHeader('cache-control', 'no-store');
+    res.end(JSON.stringify(body));
+}
+
+// Create node:http (and Express/connect) middleware. Returns:
+//   handleChallenge(req, res, next): respond with a fresh challenge
+//   protect(req, res, next): call next() if the request has a valid
+//     solution, or else respond with an error and a fresh challenge
+// Any unexpected error (for example from the store) is passed to next(err).
+//
+// Clients are identified for the policy by clientKey(req), by default the
+// Express req.ip, or the remote address of the connection.
+function createMiddleware({clientKey = (req) => req.ip ?? req.socket?.remoteAddress, bindTo, ...options}={}) {
+    if ((typeof clientKey) !== 'function') {
+        throw new BusybotError('clientKey must be a function');
+    }
+    checkBindTo(bindTo);
+    const guard = createGuard(options);
+    const toRequest = (req) => ({headers: req.headers, body: req.body, clientKey: clientKey(req), context: lazyContext(bindTo, req)});
+
+    return {
+        async handleChallenge(req, res, next) {
+            let challenge;
+            try {
+                challenge = await guard.issueChallenge(toRequest(req));
+            } catch (err) {
+                return next(err);
+            }
+            sendJSON(res, 200, challenge);
+        },
+        async protect(req, res, next) {
+            let rejection;
+            try {
+                rejection = await guard.check(toRequest(req));
+            } catch (err) {
+                return next(err);
+            }
+            if (rejection) {
+                return sendJSON(res, rejection.status, rejection.body);
+            }
+            return next();
+        }
+    };
+}
+
+// Express middleware has the same signature as node:http/connect middleware,
+// so needs no adapting:
+const expressMiddleware = createMiddleware;
+
+// Create Fastify handlers. Returns:
+//   handleChallenge(request, reply): a route handler resolving to a fresh
+//     challenge
+//   protect(request, reply): a preHandler hook which replies with an error
+//     and a fresh challenge unless the request has a valid solution
+//
+// Clients are identified for the policy by clientKey(request), by default
+// request.ip.
+function fastifyMiddleware({clientKey = (request) => request.ip, bindTo, ...options}={}) {
+    if ((typeof clientKey) !== 'function') {
+        throw new BusybotError('clientKey must be a function');
+    }
+    checkBindTo(bindTo);
+    const guard = createGuard(options);
+    const toRequest = (request) => ({headers: request.headers, body: request.body, clientKey: clientKey(request), context: lazyContext(bindTo, request)});
+
+    return {
+        async handleChallenge(request, reply) {
+            reply.header('cache-control', 'no-store');
+            return guard.issueChallenge(toRequest(request));
+        },
+        async protect(request, reply) {
+            const rejection = await guard.check(toRequest(request));
+            if (rejection) {
+                reply.code(rejection.status);
+                reply.header('cache-control', 'no-store');
+                return reply.send(rejection.body);
+            }
+        }
+    };
+}
+
+export { createMiddleware, expressMiddleware, fastifyMiddleware };
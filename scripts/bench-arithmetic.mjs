@@ -0,0 +1,52 @@
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+// Compare the arithmetic backends of initMathsFunctions(), by timing one
+// solve iteration (fastFixedExpPow) with each of them, for each exponent:
+//
+//   npm run bench [-- exponent ...]
+//
+// Exponents default to 61 up to 4423 (larger exponents take many seconds
+// with the limbs backend).
+/* global console, process, performance */
+import { initMathsFunctions } from '../index.mjs';
+
+const Backends = ['barrett', 'fold', 'limbs'];
+const Min_Duration_Ms = 200;
+
+const exponents = process.argv.length > 2 ?
+    process.argv.slice(2).map(Number) :
+    [61, 89, 107, 127, 521, 607, 1279, 2203, 2281, 3217, 4253, 4423];
+
+function time(fn, value) {
+    let iterations = 0;
+    let elapsed;
+    const start = performance.now();
+    do {
+        value = fn(value ^ 1n);
+        iterations++;
+        elapsed = performance.now() - start;
+    } while (elapsed < Min_Duration_Ms);
+    return elapsed / iterations;
+}
+
+console.log(['exponent', ...Backends.map(b => `${b} (ms)`), 'fastest'].join('\t'));
+for (const forMersenneExponent of exponents) {
+    const timings = Backends.map(backend => {
+        const { fastFixedExpPow, modulus } = initMathsFunctions({forMersenneExponent, backend});
+        return time(fastFixedExpPow, modulus / 3n);
+    });
+    const fastest = Backends[timings.indexOf(Math.min(...timings))];
+    console.log([forMersenneExponent, ...timings.map(t => t.toPrecision(3)), fastest].join('\t'));
+}
@@ -0,0 +1,112 @@
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+// Find the pseudo-Mersenne primes used by initMathsFunctions(): for each
+// exponent n, the smallest k such that 2^n - k is prime and k = 1 (mod 4), so
+// that the prime is 3 (mod 4):
+//
+//   node scripts/find-pseudo-mersenne-primes.mjs n ...
+//
+// Candidates are sieved by every prime below Sieve_Limit, and the rest tested
+// with a Miller-Rabin test to base 2, so every smaller k is proven composite
+// along the way. (n must be large enough that 2^n - k is greater than every
+// sieving prime.) The prime found is then confirmed with Miller-Rabin tests to
+// the bases in Confirm_Bases. (Large exponents take hours.)
+/* global console, process, performance */
+
+const Sieve_Limit = 1 << 26;
+const Window = 1 << 16;
+const Confirm_Bases = [3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+
+function smallPrimes(limit) {
+    const composite = new Uint8Array(limit);
+    const primes = [];
+    for (let i = 3; i < limit; i += 2) {
+        if (!composite[i]) {
+            primes.push(i);
+            for (let j = i * i; j < limit; j += 2 * i) {
+                composite[j] = 1;
+            }
+        }
+    }
+    return primes;
+}
+
+// 2^n mod q, for q < 2^26 (so that products are exact)
+function powerOfTwoMod(n, q) {
+    let result = 1;
+    let base = 2 % q;
+    for (let e = n; e > 0; e = Math.floor(e / 2)) {
+        if (e % 2) {
+            result = (result * base) % q;
+        }
+        base = (base * base) % q;
+    }
+    return result;
+}
+
+// Miller-Rabin test of p = 2^n - k, for k = 1 (mod 4), so p - 1 = 2 * odd
+function millerRabin(n, k, base) {
+    const bigN = BigInt(n);
+    const mask = (1n << bigN) - 1n;
+    const p = mask + 1n - BigInt(k);
+    const bigK = BigInt(k);
+    const reduce = (w) => {
+        while (w > mask) {
+            w = (w & mask) + bigK * (w >> bigN);
+        }
+        return (w >= p) ? w - p : w;
+    };
+    const e = (p - 1n) / 2n;
+    let x = 1n;
+    for (let i = e.toString(2).length - 1; i >= 0; i--) {
+        x = reduce(x * x);
+        if ((e >> BigInt(i)) & 1n) {
+            x = reduce(x * base);
+        }
+    }
+    return x === 1n || x === p - 1n;
+}
+
+function findK(n, primes) {
+    // the offsets r of each small prime q, so that q divides 2^n - k when k = r (mod q)
+    const offsets = primes.map(q => powerOfTwoMod(n, q));
+    for (let start = 1; ; start += 4 * Window) {
+        // candidate i of this window is k = start + 4i
+        const sieved = new Uint8Array(Window);
+        for (let j = 0; j < primes.length; j++) {
+            const q = primes[j];
+            // solve start + 4i = r (mod q) for i
+            const inverse4 = (q % 4 === 1) ? (3 * q + 1) / 4 : (q + 1) / 4;
+            let i = (((offsets[j] - start) % q + q) % q) * inverse4 % q;
+            for (; i < Window; i += q) {
+                sieved[i] = 1;
+            }
+        }
+        for (let i = 0; i < Window; i++) {
+            const k = start + 4 * i;
+            if ((!sieved[i]) && k > 1 && millerRabin(n, k, 2n)) {
+                return k;
+            }
+        }
+    }
+}
+
+const primes = smallPrimes(Sieve_Limit);
+for (const n of process.argv.slice(2).map(Number)) {
+    const started = performance.now();
+    const k = findK(n, primes);
+    const confirmed = Confirm_Bases.every(base => millerRabin(n, k, base));
+    console.log(`${n}: ${k}${confirmed ? '' : ' (NOT CONFIRMED)'} (${((performance.now() - started) / 1000).toFixed(0)}s)`);
+}
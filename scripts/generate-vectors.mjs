@@ -0,0 +1,61 @@
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+// Write the published test vectors, vectors.json: seeded challenges (see
+// generate({seed})) for several exponents, with their solutions and tokens.
+//
+//   npm run vectors
+//
+// The vectors are a compatibility promise to other implementations, so
+// existing vectors must never change: test/vectors.mjs checks them against
+// this implementation. Only add new ones (or withdraw invalid ones, without
+// re-using their seeds).
+/* global URL */
+import { writeFile } from 'node:fs/promises';
+import { generate, solve, encodeChallenge, encodeSolution } from '../index.mjs';
+
+const Signing = {secret: 'busybot test vector secret', now: 1700000000000, ttlSeconds: 300};
+
+const Vectors = [
+    {seed: 'busybot test vector 1', generate: {forMersenneExponent: 61, withDifficulty: 100}},
+    {seed: 'busybot test vector 2', generate: {forMersenneExponent: 127, withDifficulty: 100}},
+    {seed: 'busybot test vector 3', generate: {forMersenneExponent: 521, withDifficulty: 50}},
+    {seed: 'busybot test vector 4', generate: {forMersenneExponent: 607, withDifficulty: 50}},
+    {seed: 'busybot test vector 5', generate: {forMersenneExponent: 1279, withDifficulty: 10}},
+    {seed: 'busybot test vector 6', generate: {forMersenneExponent: 2203, withDifficulty: 5}},
+    {seed: 'busybot test vector 7', generate: {forMersenneExponent: 4253, withDifficulty: 2}},
+    {seed: 'busybot test vector 8', generate: {forMersenneExponent: 1279, withDifficulty: 10, ...Signing}},
+    {seed: 'busybot test vector 9', generate: {forMersenneExponent: 521, withDifficulty: 10, ...Signing, bindTo: {method: 'POST', path: '/expensive'}}},
+    {seed: 'busybot test vector 10', generate: {forPseudoMersenneExponent: 1024, withDifficulty: 20}},
+    {seed: 'busybot test vector 11', generate: {forPseudoMersenneExponent: 768, withDifficulty: 10, ...Signing}},
+    {seed: 'busybot test vector 12', generate: {forMersenneExponent: 521, withDifficulty: 20, version: 1, flipMask: '0x5a5a5a5a5a5a5a5a', opaque: 'busybot opaque value', now: Signing.now}},
+    // (vector 13, with flipMask '0x3' for exponent 1024, was withdrawn: a
+    // pseudo-Mersenne modulus can only flip the lsb, so it can't be verified)
+    {seed: 'busybot test vector 14', generate: {forPseudoMersenneExponent: 1024, withDifficulty: 10, ...Signing, flipMask: '0x1', opaque: 'session 42'}}
+];
+
+const vectors = [];
+for (const {seed, generate: options} of Vectors) {
+    const challenge = await generate({...options, seed});
+    const solution = solve(challenge);
+    vectors.push({
+        seed,
+        generate: options,
+        challenge,
+        solution,
+        challengeToken: encodeChallenge(challenge),
+        solutionToken: encodeSolution(solution, challenge)
+    });
+}
+await writeFile(new URL('../vectors.json', import.meta.url), `${JSON.stringify(vectors, null, 2)}\n`);
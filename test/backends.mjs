@@ -0,0 +1,74 @@
+import t from 'tap';
+import { initMathsFunctions } from '../index.mjs';
+
+const Backends = ['barrett', 'fold', 'limbs'];
+
+t.test('exhaustive, n=13', t => {
+    const { modulus, exponent, barrettFastSquare, foldSquare, barrettFixedExpPow, foldFixedExpPow, limbFixedExpPow } = initMathsFunctions({forMersenneExponent: 13});
+
+    // only produce real tests for failures, as in maths.mjs
+    for (let i = 0n; i < modulus; i++) {
+        if (foldSquare(i) !== barrettFastSquare(i)) {
+            t.fail(`foldSquare(${i})`);
+        }
+        const expected = (i ** exponent) % modulus;
+        if (barrettFixedExpPow(i) !== expected) {
+            t.fail(`barrettFixedExpPow(${i})`);
+        }
+        if (foldFixedExpPow(i) !== expected) {
+            t.fail(`foldFixedExpPow(${i})`);
+        }
+        if (limbFixedExpPow(i) !== expected) {
+            t.fail(`limbFixedExpPow(${i})`);
+        }
+    }
+    t.pass('all backends should match the naive implementation');
+    t.end();
+});
+
+t.test('backends agree with barrettMul and fastModPow', t => {
+    for (const forMersenneExponent of [2, 3, 5, 7, 17, 19, 31, 61, 89, 107, 127, 521, 607, 1279, 2203]) {
+        const { modulus, barrettMul, foldSquare, fastModPow, barrettFixedExpPow, foldFixedExpPow, limbFixedExpPow } = initMathsFunctions({forMersenneExponent});
+        const values = [0n, 1n, 2n, modulus - 1n, modulus - 2n, modulus / 3n, 1n << BigInt(forMersenneExponent - 1), (modulus * 5n) / 7n];
+        let ok = true;
+        for (const v of values) {
+            const expected = fastModPow(v);
+            ok = ok &&
+                foldSquare(v) === barrettMul(v, v) &&
+                barrettFixedExpPow(v) === expected &&
+                foldFixedExpPow(v) === expected &&
+                limbFixedExpPow(v) === expected;
+        }
+        t.ok(ok, `backends should agree for n=${forMersenneExponent}`);
+    }
+    t.end();
+});
+
+t.test('repeated solve iterations', t => {
+    // a chain of iterations exercises the limbs backend's reused buffers
+    const maths = Backends.map(backend => initMathsFunctions({forMersenneExponent: 521, backend}));
+    let values = maths.map(({modulus}) => modulus / 3n);
+    for (let i = 0; i < 20; i++) {
+        values = maths.map(({fastFixedExpPow}, j) => fastFixedExpPow(values[j] ^ 1n));
+    }
+    t.equal(values[1], values[0], 'fold should match barrett');
+    t.equal(values[2], values[0], 'limbs should match barrett');
+
+    const large = initMathsFunctions({forMersenneExponent: 4253});
+    const value = large.modulus / 5n;
+    t.equal(large.limbFixedExpPow(value), large.barrettFixedExpPow(value), 'limbs should match barrett for large exponents');
+    t.end();
+});
+
+t.test('backend selection', t => {
+    for (const backend of Backends) {
+        const maths = initMathsFunctions({forMersenneExponent: 127, backend});
+        t.equal(maths.backend, backend, `should select ${backend}`);
+        t.equal(maths.fastFixedExpPow, maths[`${backend === 'limbs' ? 'limb' : backend}FixedExpPow`], `fastFixedExpPow should use ${backend}`);
+    }
+    t.equal(initMathsFunctions({forMersenneExponent: 1279}).backend, 'fold', 'should use fold by default');
+    t.equal(initMathsFunctions({forPseudoMersenneExponent: 1024}).backend, 'fold', 'should use fold by default for pseudo-Mersenne primes');
+    t.throws(() => initMathsFunctions({forMersenneExponent: 127, backend: 'gpu'}), {message: 'backend must be one of: barrett, fold, limbs'}, 'should throw for unknown backends');
+    t.throws(() => initMathsFunctions({forMersenneExponent: 127, backend: 'auto'}), {message: 'backend must be one of: barrett, fold, limbs'}, 'should throw for auto');
+    t.end();
+});
@@ -0,0 +1,87 @@
+import t from 'tap';
+import { createHash, createHmac } from 'node:crypto';
+import { generate, solve, verify, verifySegments, createVerifier, encodeChallenge, decodeChallenge } from '../index.mjs';
+
+const context = {method: 'POST', path: '/expensive', bodyHash: 'abc123', clientKey: '1.2.3.4'};
+const secret = 'binding secret';
+
+t.test('binds challenges to a context', async t => {
+    const nonce = new Uint8Array(16).fill(7);
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context, randomSource: () => nonce});
+    const digest = createHash('sha256').update(JSON.stringify(Object.keys(context).sort().map(k => [k, context[k]]))).digest();
+    const c = createHmac('sha256', nonce).update(digest).digest().subarray(0, 16);
+    t.same(challenge, {c: `0x${c.toString('hex')}`, d: 10, m: 521, n: `0x${'07'.repeat(16)}`}, 'c should be HMAC-SHA256(n, digest of context)');
+
+    const small = await generate({forMersenneExponent: 61, withDifficulty: 10, bindTo: 'a string'});
+    t.match(small, {c: /^0x[0-9a-f]{14}$/, n: /^0x[0-9a-f]{32}$/}, 'c should fit within small exponents');
+    t.ok(verify(small, solve(small), {context: 'a string'}), 'should verify small exponents');
+
+    const bytes = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: Uint8Array.of(1, 2, 3)});
+    t.ok(verify(bytes, solve(bytes), {context: Uint8Array.of(1, 2, 3)}), 'should bind to bytes');
+
+    const first = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context});
+    const second = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context});
+    t.not(first.c, second.c, 'challenges for the same context should differ');
+    t.end();
+});
+
+t.test('verifies the context', async t => {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context, secret});
+    const solution = solve(challenge);
+    t.ok(verify(challenge, solution, {secrets: secret, context}), 'should verify with the same context');
+    t.ok(verify(challenge, solution, {secrets: secret, context: {...context}}), 'should verify with an equal context');
+    t.ok(verify(challenge, solution, {secrets: secret, context: Object.fromEntries(Object.entries(context).reverse())}), 'should not depend on field order');
+    t.ok(verify(challenge, solution, {secrets: secret}), 'the context is not checked unless given');
+
+    t.notOk(verify(challenge, solution, {secrets: secret, context: {...context, path: '/other'}}), 'should not verify for a different path');
+    t.notOk(verify(challenge, solution, {secrets: secret, context: {...context, bodyHash: 'def456'}}), 'should not verify for a different body');
+    t.notOk(verify(challenge, solution, {secrets: secret, context: {...context, extra: 1}}), 'should not verify with extra fields');
+    t.notOk(verify(challenge, solution, {secrets: secret, context: JSON.stringify(context)}), 'should not verify for a different context');
+
+    const unbound = await generate({forMersenneExponent: 521, withDifficulty: 10, secret});
+    t.notOk(verify(unbound, solve(unbound), {secrets: secret, context}), 'should not verify unbound challenges with a context');
+
+    // a client can't re-bind a signed challenge
+    const other = {...context, path: '/other'};
+    const rebound = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: other});
+    const forged = {...challenge, c: rebound.c, n: rebound.n};
+    t.notOk(verify(forged, solve(forged), {secrets: secret, context: other}), 'should not verify re-bound challenges');
+    t.notOk(verify({...challenge, n: 'nonsense'}, solution, {context}), 'should not verify malformed nonces');
+
+    const segmented = solve(challenge, {segmentEvery: 5});
+    t.ok(verifySegments(challenge, segmented, {secrets: secret, context}), 'verifySegments should check the context');
+    t.notOk(verifySegments(challenge, segmented, {secrets: secret, context: other}), 'verifySegments should check the context');
+    t.end();
+});
+
+t.test('createVerifier checks the context', async t => {
+    const verifier = createVerifier({secrets: secret});
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context, secret});
+    const solution = solve(challenge);
+    t.equal(await verifier.verify(challenge, solution, {context: 'other'}), false, 'should reject a different context');
+    t.equal(await verifier.verify(challenge, solution, {context}), true, 'should not have spent the challenge');
+    t.equal(await verifier.verify(challenge, solution, {context}), false, 'should still prevent replay');
+    t.end();
+});
+
+t.test('encodes bound challenges as tokens', async t => {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context, secret});
+    const decoded = decodeChallenge(encodeChallenge(challenge));
+    t.same(decoded, challenge, 'should round-trip');
+    t.ok(verify(decoded, solve(decoded), {secrets: secret, context}), 'should still verify');
+
+    const unsigned = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context});
+    t.same(decodeChallenge(encodeChallenge(unsigned)), unsigned, 'should round-trip unsigned challenges');
+    t.throws(() => encodeChallenge({...unsigned, n: '0x1234'}), {message: 'Malformed challenge: bound challenges must have .n: 16 bytes of lowercase hex'}, 'should throw for invalid nonces');
+    t.end();
+});
+
+t.test('invalid contexts', async t => {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, bindTo: context});
+    for (const invalid of [null, 42, ['a'], true]) {
+        await t.rejects(generate({withDifficulty: 10, bindTo: invalid}), {message: 'bindTo must be a string, Uint8Array or object'}, `should reject bindTo: ${JSON.stringify(invalid)}`);
+        t.throws(() => verify(challenge, {s: '0x1'}, {context: invalid}), {message: 'context must be a string, Uint8Array or object'}, `should throw for context: ${JSON.stringify(invalid)}`);
+    }
+    await t.rejects(generate({withDifficulty: 10, bindTo: context, randomSource: (n) => new Uint8Array(n - 1)}), {message: 'randomSource must return a Uint8Array of the requested length'}, 'should check the nonce length');
+    t.end();
+});
@@ -0,0 +1,190 @@
+/* global fetch, Request, AbortController */
+import t from 'tap';
+import { createServer } from 'node:http';
+import { generate, solve, solveAsync, verify, busyFetch, encodeChallenge, estimateSolveMs, createSolverPool } from '../index.mjs';
+import { createMiddleware } from '../middleware.mjs';
+
+const secret = 'fetch secret';
+const challengeOptions = {forMersenneExponent: 521, withDifficulty: 10};
+
+// serve from handler(req, res, body), recording the requests made
+async function listen(t, handler) {
+    const requests = [];
+    const server = createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+        requests.push({method: req.method, url: req.url, headers: req.headers, body});
+        handler(req, res, body);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.teardown(() => server.close());
+    return {url: `http://127.0.0.1:${server.address().port}`, requests};
+}
+
+// a server protected by the middleware, echoing the request body
+function listenWithMiddleware(t, options) {
+    const middleware = createMiddleware({secrets: secret, challengeOptions, ...options});
+    return listen(t, (req, res, body) => middleware.protect(req, res, () => res.end(`expensive result: ${body}`)));
+}
+
+t.test('solves challenges from the middleware', async t => {
+    const {url, requests} = await listenWithMiddleware(t);
+    const response = await busyFetch(`${url}/expensive`);
+    t.equal(response.status, 200, 'should succeed');
+    t.equal(await response.text(), 'expensive result: ', 'should resolve to the final response');
+    t.equal(requests.length, 2, 'should retry once');
+    t.equal(requests[0].headers['busybot-solution'], undefined, 'should not send a solution at first');
+    const {challenge, solution} = JSON.parse(requests[1].headers['busybot-solution']);
+    t.match(challenge, {d: 10, m: 521, h: String}, 'should send the challenge');
+    t.same(solution, solve(challenge), 'should send the solution');
+
+    const posted = await busyFetch(`${url}/expensive`, {method: 'POST', body: 'hello', headers: {'x-other': 'kept'}});
+    t.equal(await posted.text(), 'expensive result: hello', 'should resend the body');
+    t.match(requests.slice(2), [{method: 'POST', headers: {'x-other': 'kept'}, body: 'hello'}, {method: 'POST', headers: {'x-other': 'kept'}, body: 'hello'}], 'should resend the request');
+
+    const request = new Request(`${url}/expensive`, {method: 'PUT', body: 'from request', headers: {'x-other': 'request'}});
+    t.equal(await (await busyFetch(request)).text(), 'expensive result: from request', 'should resend Requests');
+    t.match(requests.slice(4), [{method: 'PUT', headers: {'x-other': 'request'}}, {method: 'PUT', headers: {'x-other': 'request'}}], 'should keep the Request headers');
+    t.notOk(request.bodyUsed, 'should not use the Request body');
+    t.end();
+});
+
+t.test('sends challenges with non-ASCII characters', async t => {
+    const {url, requests} = await listenWithMiddleware(t, {challengeOptions: {...challengeOptions, opaque: 'séance ☃ 🦀'}});
+    const response = await busyFetch(`${url}/expensive`);
+    t.equal(response.status, 200, 'the middleware should accept the solution');
+    const sent = requests[1].headers['busybot-solution'];
+    t.match(sent, /^[\x20-\x7e]+$/, 'should only send ASCII in the header');
+    t.equal(JSON.parse(sent).challenge.o, 'séance ☃ 🦀', 'should send the challenge unchanged');
+    t.end();
+});
+
+t.test('returns other responses', async t => {
+    const responses = [
+        [200, 'text/plain', 'ok'],
+        [500, 'application/json', JSON.stringify({challenge: {c: '0x1', d: 1, m: 61}})],
+        [429, 'text/plain', 'slow down'],
+        [429, 'application/json', JSON.stringify({error: 'slow down'})],
+        [429, 'application/json', '{not json']
+    ];
+    let next = 0;
+    const {url, requests} = await listen(t, (req, res) => {
+        const [status, type, body] = responses[next++];
+        res.statusCode = status;
+        res.setHeader('content-type', type);
+        res.end(body);
+    });
+    for (const [status, ignored_type, body] of responses) {
+        const response = await busyFetch(url);
+        t.equal(response.status, status, `should return ${status} responses`);
+        t.equal(await response.text(), body, 'should leave the body unread');
+    }
+    t.equal(requests.length, responses.length, 'should not retry');
+    t.end();
+});
+
+t.test('configurable challenge responses', async t => {
+    const {url, requests} = await listen(t, async (req, res) => {
+        const proof = req.headers['x-proof'];
+        if (proof) {
+            const {challenge, solution} = JSON.parse(proof);
+            res.statusCode = verify(challenge, solution, {secrets: secret}) ? 200 : 400;
+            return res.end();
+        }
+        const challenge = await generate({...challengeOptions, secret});
+        res.statusCode = 403;
+        res.setHeader('x-challenge', req.url === '/token' ? encodeChallenge(challenge) : JSON.stringify(challenge));
+        res.end('solve the challenge');
+    });
+    const options = {challengeStatuses: [403], challengeHeader: 'x-challenge', header: 'x-proof'};
+    t.equal((await busyFetch(`${url}/json`, {}, options)).status, 200, 'should solve JSON challenges from the header');
+    t.equal((await busyFetch(`${url}/token`, {}, options)).status, 200, 'should solve challenge tokens from the header');
+    t.equal(requests.length, 4, 'should retry once each');
+    t.equal((await busyFetch(`${url}/json`)).status, 403, 'should only recognise the configured statuses');
+    t.end();
+});
+
+t.test('limits attempts and cost', async t => {
+    const {url, requests} = await listen(t, async (req, res) => {
+        res.statusCode = 429;
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({error: 'Solution required', challenge: await generate(challengeOptions)}));
+    });
+    const response = await busyFetch(url);
+    t.equal(response.status, 429, 'should resolve to the last response');
+    t.match(await response.json(), {challenge: {d: 10}}, 'should leave its body unread');
+    t.equal(requests.length, 3, 'should make maxAttempts requests');
+    t.equal((await busyFetch(url, {}, {maxAttempts: 1})).status, 429, 'should use maxAttempts');
+    t.equal(requests.length, 4, 'should not retry');
+
+    const cost = estimateSolveMs({m: 521, d: 10});
+    await t.rejects(busyFetch(url, {}, {maxSolveCost: cost / 2}), {code: 'TOO_EXPENSIVE'}, 'should not solve challenges exceeding maxSolveCost');
+    t.equal(requests.length, 5, 'should stop at the first challenge');
+    await t.rejects(busyFetch(url, {}, {maxSolveCost: cost * 1.5}), {code: 'TOO_EXPENSIVE'}, 'should limit the total cost');
+    t.equal(requests.length, 7, 'should stop at the second challenge');
+    t.equal((await busyFetch(url, {}, {maxSolveCost: cost * 2.5})).status, 429, 'should solve challenges within maxSolveCost');
+
+    const expensive = await listen(t, async (req, res) => {
+        res.statusCode = 429;
+        res.setHeader('busybot-challenge', JSON.stringify(await generate({forMersenneExponent: 23209, withDifficulty: 1000})));
+        res.end();
+    });
+    const solver = async () => ({s: '0x1'});
+    await t.rejects(busyFetch(expensive.url, {}, {solver}), {code: 'TOO_EXPENSIVE'}, 'should limit the cost by default');
+    t.equal(expensive.requests.length, 1, 'should not solve expensive challenges by default');
+    t.equal((await busyFetch(expensive.url, {}, {solver, maxSolveCost: Infinity})).status, 429, 'should solve any challenge with maxSolveCost Infinity');
+    t.equal(expensive.requests.length, 4, 'should retry with solutions');
+
+    const malformed = await listen(t, (req, res) => {
+        res.statusCode = 429;
+        res.setHeader('busybot-challenge', JSON.stringify({c: 'abc', d: 10, m: 521}));
+        res.end();
+    });
+    await t.rejects(busyFetch(malformed.url), {code: 'MALFORMED_CHALLENGE'}, 'should reject malformed challenges');
+    t.end();
+});
+
+t.test('solvers', async t => {
+    const {url} = await listenWithMiddleware(t);
+    t.equal((await busyFetch(`${url}/expensive`, {}, {solver: 'worker'})).status, 200, 'should solve in a worker');
+
+    const pool = createSolverPool();
+    t.teardown(() => pool.close());
+    t.equal((await busyFetch(`${url}/expensive`, {}, {solver: pool.solve})).status, 200, 'should solve with a function');
+
+    const progress = [];
+    await busyFetch(`${url}/expensive`, {}, {solveOptions: {onProgress: (p) => progress.push(p), progressEveryIterations: 5}});
+    t.same(progress.map(p => p.iteration), [5, 10], 'should pass solveOptions');
+
+    const controller = new AbortController();
+    const aborting = (challenge, options) => {
+        controller.abort();
+        return solveAsync(challenge, options);
+    };
+    await t.rejects(busyFetch(`${url}/expensive`, {signal: controller.signal}, {solver: aborting}), {name: 'AbortError'}, 'should pass the signal');
+
+    const fetched = [];
+    const response = await busyFetch(`${url}/expensive`, {}, {fetch: (input, init) => {
+        fetched.push(input);
+        return fetch(input, init);
+    }});
+    t.equal(response.status, 200, 'should use fetch');
+    t.same(fetched, [`${url}/expensive`, `${url}/expensive`], 'should call fetch for each attempt');
+    t.end();
+});
+
+t.test('invalid busyFetch arguments', async t => {
+    const rejects = (options, message) => t.rejects(busyFetch('http://127.0.0.1:1/', {}, options), {message, code: 'INVALID_ARGUMENT'}, `should reject: ${message}`);
+    await rejects({fetch: null}, 'fetch must be a function');
+    await rejects({challengeStatuses: 429}, 'challengeStatuses must be an array of HTTP error statuses');
+    await rejects({challengeStatuses: [200]}, 'challengeStatuses must be an array of HTTP error statuses');
+    await rejects({challengeHeader: ''}, 'challengeHeader must be a non-empty string');
+    await rejects({header: null}, 'header must be a non-empty string');
+    await rejects({solver: 'sync'}, 'solver must be \'async\', \'worker\' or a function');
+    await rejects({solver: 'toString'}, 'solver must be \'async\', \'worker\' or a function');
+    await rejects({maxAttempts: 0}, 'maxAttempts must be a positive integer.');
+    await rejects({maxSolveCost: -1}, 'maxSolveCost must be a positive number');
+    t.end();
+});
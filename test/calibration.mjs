@@ -0,0 +1,83 @@
+import t from 'tap';
+import { generate, solve, verify, benchmark, estimateSolveMs, estimateVerifyMs } from '../index.mjs';
+
+// a made-up profile, to make choices predictable
+const profile = {
+    solveIterationMs: {61: 0.01, 521: 0.5, 1279: 2, 4253: 50},
+    verifyIterationMs: {61: 0.001, 521: 0.01, 1279: 0.004, 4253: 0.2}
+};
+
+t.test('benchmark', t => {
+    const measured = benchmark({exponents: [61, 521], minDurationMs: 5});
+    t.same(Object.keys(measured.solveIterationMs), ['61', '521'], 'should time solving each exponent');
+    t.same(Object.keys(measured.verifyIterationMs), ['61', '521'], 'should time verifying each exponent');
+    for (const m of [61, 521]) {
+        t.ok(measured.solveIterationMs[m] > 0, 'solve timings should be positive');
+        t.ok(measured.verifyIterationMs[m] > 0, 'verify timings should be positive');
+        t.ok(measured.solveIterationMs[m] > measured.verifyIterationMs[m], 'solving should be slower than verifying');
+    }
+    t.ok(measured.solveIterationMs[521] > measured.solveIterationMs[61], 'larger exponents should be slower');
+    t.same(JSON.parse(JSON.stringify(measured)), measured, 'profile should be serialisable');
+
+    const challenge = {m: 521, d: 1000};
+    const estimate = estimateSolveMs(challenge, benchmark({exponents: [521], minDurationMs: 0}));
+    t.ok(estimate > 0, 'should estimate with a single iteration');
+
+    const defaults = Object.keys(benchmark({minDurationMs: 0}).solveIterationMs).map(Number);
+    t.equal(Math.max(...defaults), 23209, 'should time exponents up to 23209 by default');
+    t.ok(defaults.includes(61) && defaults.includes(16384), 'should time Mersenne and pseudo-Mersenne exponents by default');
+    t.end();
+});
+
+t.test('cost estimates', t => {
+    t.equal(estimateSolveMs({m: 1279, d: 100}, profile), 200, 'solve estimate should scale with difficulty');
+    t.equal(estimateVerifyMs({m: 1279, d: 100}, profile), 0.4, 'verify estimate should scale with difficulty');
+    t.equal(estimateSolveMs({c: '0x1234', m: 1279, d: 0}, profile), 0, 'should accept challenges');
+    t.ok(estimateSolveMs({m: 1279, d: 100}) > 0, 'should use the reference profile by default');
+    t.ok(estimateSolveMs({m: 11213, d: 100}) > 100 * estimateSolveMs({m: 1279, d: 100}), 'reference profile should cover large exponents');
+    t.ok(estimateVerifyMs({m: 1279, d: 100}) < estimateSolveMs({m: 1279, d: 100}) / 100, 'reference verify estimates should be much less than solving');
+
+    t.throws(() => estimateSolveMs({m: 2203, d: 100}, profile), {message: 'profile has no timing for exponent 2203'}, 'should throw for missing exponent');
+    t.throws(() => estimateVerifyMs({m: 1279, d: 100}, {}), {message: 'profile has no timing for exponent 1279'}, 'should throw for invalid profile');
+    t.throws(() => estimateSolveMs({m: 1279, d: 100}, null), {message: 'profile has no timing for exponent 1279'}, 'should throw for null profile');
+    t.end();
+});
+
+t.test('generates challenges for a target solve time', async t => {
+    t.match(await generate({targetSolveMs: 1000, referenceProfile: profile}), {d: 20, m: 4253}, 'should use the largest exponent that can be verified in time');
+    t.match(await generate({targetSolveMs: 1000, referenceProfile: profile, maxVerifyMs: 3}), {d: 500, m: 1279}, 'should respect maxVerifyMs');
+    t.match(await generate({targetSolveMs: 100, referenceProfile: profile}), {d: 50, m: 1279}, 'should need at least 20 iterations');
+    t.match(await generate({targetSolveMs: 10, referenceProfile: profile}), {d: 20, m: 521}, 'should use smaller exponents for shorter targets');
+    t.match(await generate({targetSolveMs: 0.1, referenceProfile: profile}), {d: 10, m: 61}, 'should use the smallest exponent for very short targets');
+    t.match(await generate({targetSolveMs: 0.001, referenceProfile: profile}), {d: 1, m: 61}, 'should need at least one iteration');
+    t.match(await generate({targetSolveMs: 1001, referenceProfile: profile, maxVerifyMs: 3}), {d: 501, m: 1279}, 'should round difficulty');
+    t.match(await generate({targetSolveMs: 10, referenceProfile: profile, forMersenneExponent: 4253}), {d: 1, m: 4253}, 'should use specified exponent');
+
+    const signed = await generate({targetSolveMs: 1000, referenceProfile: profile, secret: 'secret', now: 1700000000000});
+    t.match(signed, {d: 20, m: 4253, t: 1700000000, e: 1700000300, h: String}, 'should sign challenges');
+
+    for (const targetSolveMs of [1000, 10000]) {
+        const {m, d} = await generate({targetSolveMs});
+        t.ok(m > 1279 && d >= 20, `should use a large exponent with the reference profile for ${targetSolveMs}ms`);
+    }
+    const challenge = await generate({targetSolveMs: 2});
+    t.ok(estimateSolveMs(challenge) > 1 && estimateSolveMs(challenge) < 3, 'should use the reference profile by default');
+    t.ok(verify(challenge, solve(challenge)), 'challenge should be solvable');
+
+    t.end();
+});
+
+t.test('invalid calibration arguments', async t => {
+    t.throws(() => benchmark({exponents: []}), {message: 'exponents must be a non-empty array'}, 'should throw for empty exponents');
+    t.throws(() => benchmark({exponents: [1000]}), {message: /^"1000" is not known to be a Mersenne exponent/}, 'should throw for invalid exponents');
+    t.throws(() => benchmark({minDurationMs: -1}), {message: 'minDurationMs must be a non-negative number'}, 'should throw for invalid duration');
+
+    await t.rejects(generate({targetSolveMs: 100, withDifficulty: 10}), {message: 'Only one of withDifficulty and targetSolveMs can be specified.'}, 'should reject both difficulty and target');
+    await t.rejects(generate({targetSolveMs: 0}), {message: 'targetSolveMs must be a positive number'}, 'should reject invalid target');
+    await t.rejects(generate({targetSolveMs: Infinity}), {message: 'targetSolveMs must be a positive number'}, 'should reject infinite target');
+    await t.rejects(generate({targetSolveMs: 100, maxVerifyMs: 0}), {message: 'maxVerifyMs must be a positive number'}, 'should reject invalid maxVerifyMs');
+    await t.rejects(generate({targetSolveMs: 100000, referenceProfile: profile}), {message: 'No exponent in the profile can be solved in 100000ms and verified within 10ms'}, 'should reject targets that cannot be verified quickly');
+    await t.rejects(generate({targetSolveMs: 100, referenceProfile: {}}), {message: 'No exponent in the profile can be solved in 100ms and verified within 10ms'}, 'should reject empty profiles');
+    await t.rejects(generate({targetSolveMs: 100, referenceProfile: profile, forMersenneExponent: 2203}), {message: 'profile has no timing for exponent 2203'}, 'should reject exponents missing from the profile');
+    t.end();
+});
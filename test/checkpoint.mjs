@@ -0,0 +1,106 @@
+import t from 'tap';
+import { createHash } from 'node:crypto';
+import { solve, solveAsync, resume, resumeAsync } from '../index.mjs';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+
+// the checksum is SHA-256 over the other fields
+function withChecksum({challenge, iteration, value}) {
+    const fields = JSON.stringify(Object.keys(challenge).sort().map(k => [k, challenge[k]]));
+    const check = createHash('sha256').update(JSON.stringify([fields, iteration, value])).digest('base64url');
+    return {challenge, iteration, value, check};
+}
+
+t.test('emits checkpoints', t => {
+    const checkpoints = [];
+    const solved = solve(challenge, {onCheckpoint: (c) => checkpoints.push(c), checkpointEvery: 50});
+
+    t.same(solved, solution, 'expected correct solution');
+    t.same(checkpoints.map(c => c.iteration), [50, 100, 150], 'expected checkpoints every 50 iterations');
+    t.match(checkpoints[0], {
+        challenge,
+        iteration: 50,
+        value: /^0x[0-9a-f]+$/,
+        check: /^[A-Za-z0-9_-]{43}$/
+    }, 'expected checkpoint properties');
+    t.same(solve({...challenge, d: 50}), {s: checkpoints[0].value}, 'checkpoint value should be the intermediate solution');
+    t.same(checkpoints[0], withChecksum(checkpoints[0]), 'checksum should be SHA-256 of the other fields');
+
+    const every = [];
+    solve({...challenge, d: 5}, {onCheckpoint: (c) => every.push(c.iteration)});
+    t.same(every, [1, 2, 3, 4], 'should checkpoint every iteration by default');
+
+    t.end();
+});
+
+t.test('resumes from serialised checkpoints', async t => {
+    const checkpoints = [];
+    await solveAsync(challenge, {onCheckpoint: (c) => checkpoints.push(JSON.stringify(c)), checkpointEvery: 40});
+    t.equal(checkpoints.length, 4, 'expected checkpoints from solveAsync');
+
+    for (const saved of checkpoints) {
+        const checkpoint = JSON.parse(saved);
+        t.same(resume(checkpoint), solution, `should resume from iteration ${checkpoint.iteration}`);
+        t.same(await resumeAsync(checkpoint), solution, `should resume asynchronously from iteration ${checkpoint.iteration}`);
+    }
+
+    const resumed = [];
+    const progress = [];
+    t.same(resume(JSON.parse(checkpoints[3]), {
+        challenge,
+        progressCallback: (p) => progress.push(p),
+        onCheckpoint: (c) => resumed.push(c.iteration),
+        checkpointEvery: 15
+    }), solution, 'should resume with options');
+    t.same(resumed, [165, 180, 195], 'should continue checkpointing after resuming');
+    t.equal(progress.length, 40, 'should report progress for the remaining iterations');
+    t.equal(progress[0], 161/200, 'should report progress from the checkpoint');
+
+    t.end();
+});
+
+t.test('resumes from the start and end', t => {
+    t.same(resume(withChecksum({challenge, iteration: 0, value: challenge.c})), solution, 'should resume from iteration 0');
+    t.same(resume(withChecksum({challenge, iteration: 200, value: solution.s})), solution, 'should resume from the final iteration');
+    t.end();
+});
+
+t.test('rejects invalid checkpoints', t => {
+    let checkpoint;
+    solve(challenge, {onCheckpoint: (c) => { checkpoint = checkpoint ?? c; }, checkpointEvery: 100});
+
+    let message = 'Invalid checkpoint: must have .challenge, .iteration, .value and .check';
+    t.throws(() => resume(null), {message}, 'should reject missing checkpoint');
+    t.throws(() => resume({}), {message}, 'should reject empty checkpoint');
+    t.throws(() => resume({...checkpoint, value: 1234}), {message}, 'should reject non-string value');
+    t.throws(() => resume({...checkpoint, value: 'abcd'}), {message}, 'should reject non-hex value');
+    t.throws(() => resume({...checkpoint, iteration: '100'}), {message}, 'should reject non-number iteration');
+    t.throws(() => resume({...checkpoint, check: undefined}), {message}, 'should reject missing checksum');
+    t.throws(() => resume({...checkpoint, challenge: null}), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should reject missing challenge');
+
+    message = 'Invalid checkpoint: checksum does not match';
+    t.throws(() => resume({...checkpoint, value: checkpoint.value.slice(0, -1)}), {message}, 'should reject truncated value');
+    t.throws(() => resume({...checkpoint, iteration: 101}), {message}, 'should reject modified iteration');
+    t.throws(() => resume({...checkpoint, challenge: {...challenge, d: 201}}), {message}, 'should reject modified challenge');
+    t.throws(() => resume({...checkpoint, check: checkpoint.check.replace(/^./, c => c === 'A' ? 'B' : 'A')}), {message}, 'should reject modified checksum');
+
+    message = 'Invalid checkpoint: out of range';
+    t.throws(() => resume(withChecksum({challenge, iteration: 201, value: solution.s})), {message}, 'should reject iteration beyond difficulty');
+    t.throws(() => resume(withChecksum({challenge, iteration: -1, value: solution.s})), {message}, 'should reject negative iteration');
+    t.throws(() => resume(withChecksum({challenge, iteration: 1.5, value: solution.s})), {message}, 'should reject fractional iteration');
+    t.throws(() => resume(withChecksum({challenge, iteration: 100, value: `0x${(2n**521n).toString(16)}`})), {message}, 'should reject out of range value');
+    t.throws(() => resume(withChecksum({challenge, iteration: 100, value: `0x${(2n**521n - 1n).toString(16)}`})), {message}, 'should reject a value equal to the modulus');
+
+    t.throws(() => resume(checkpoint, {challenge: {...challenge, c: '0x1234'}}), {message: 'Invalid checkpoint: not for this challenge'}, 'should reject checkpoints for a different challenge');
+    t.same(resume(checkpoint, {challenge: {m: 521, d: 200, c: challenge.c}}), solution, 'should accept checkpoints for the same challenge');
+
+    t.end();
+});
+
+t.test('invalid checkpoint options', async t => {
+    t.throws(() => solve(challenge, {onCheckpoint: 'yes'}), {message: 'onCheckpoint must be a function'}, 'should throw for invalid onCheckpoint');
+    t.throws(() => solve(challenge, {onCheckpoint: () => {}, checkpointEvery: 0}), {message: 'checkpointEvery must be a positive integer.'}, 'should throw for invalid checkpointEvery');
+    await t.rejects(solveAsync(challenge, {checkpointEvery: 1.5}), {message: 'checkpointEvery must be a positive integer.'}, 'should reject for invalid checkpointEvery');
+    t.end();
+});
@@ -0,0 +1,141 @@
+/* global process, URL */
+import t from 'tap';
+import { spawn } from 'node:child_process';
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { generate, solve, verify } from '../index.mjs';
+
+const cli = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+
+// run the cli, resolving to its exit status and output
+function run(args, {input = '', env = {}}={}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [cli, ...args], {env: {...process.env, BUSYBOT_SECRET: '', ...env}});
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (data) => { stdout += data; });
+        child.stderr.on('data', (data) => { stderr += data; });
+        child.on('error', reject);
+        child.on('close', (code) => resolve({code, stdout, stderr}));
+        child.stdin.end(input);
+    });
+}
+
+// write JSON files to a fresh directory, returning their paths
+async function tempFiles(t, values) {
+    const dir = t.testdir();
+    return Promise.all(Object.entries(values).map(async ([name, value]) => {
+        const file = `${dir}/${name}.json`;
+        await writeFile(file, JSON.stringify(value));
+        return file;
+    }));
+}
+
+t.test('generate', async t => {
+    const {code, stdout} = await run(['generate', '--exponent', '607', '--difficulty', '10']);
+    t.equal(code, 0, 'should succeed');
+    const generated = JSON.parse(stdout);
+    t.match(generated, {c: /^0x[0-9a-f]+$/, d: 10, m: 607}, 'should print a challenge');
+    t.notOk('h' in generated, 'should not be signed by default');
+
+    t.match(JSON.parse((await run(['generate', '-m', '521', '-d', '5'])).stdout), {d: 5, m: 521}, 'should accept short flags');
+    t.match(JSON.parse((await run(['generate', '-d', '5'])).stdout), {m: 1279}, 'should default the exponent');
+    t.match(JSON.parse((await run(['generate', '--pseudo-exponent', '768', '-d', '5'])).stdout), {d: 5, m: 768, k: 825}, 'should accept pseudo-Mersenne exponents');
+    t.match(JSON.parse((await run(['generate', '--target-ms', '100'])).stdout), {c: String, d: Number, m: Number}, 'should accept a target time');
+
+    const signed = JSON.parse((await run(['generate', '-d', '5', '--secret', 'cli secret', '--ttl', '60'])).stdout);
+    t.equal(signed.e - signed.t, 60, 'should use ttl');
+    t.ok(verify(signed, solve(signed), {secrets: 'cli secret'}), 'should sign with secret');
+    const fromEnv = JSON.parse((await run(['generate', '-d', '5'], {env: {BUSYBOT_SECRET: 'env secret'}})).stdout);
+    t.ok(verify(fromEnv, solve(fromEnv), {secrets: 'env secret'}), 'should sign with BUSYBOT_SECRET');
+
+    const seeded = JSON.parse((await run(['generate', '-d', '5', '--seed', 'cli seed'])).stdout);
+    t.same(seeded, await generate({withDifficulty: 5, seed: 'cli seed'}), 'should derive the challenge from seed');
+    t.end();
+});
+
+t.test('solve', async t => {
+    let result = await run(['solve'], {input: JSON.stringify(challenge)});
+    t.equal(result.code, 0, 'should succeed');
+    t.same(JSON.parse(result.stdout), solution, 'should solve a challenge from stdin');
+    t.match(result.stderr, /100\.0% \(200\/200\)/, 'should report progress on stderr');
+
+    const [file] = await tempFiles(t, {challenge});
+    result = await run(['solve', file, '--quiet']);
+    t.same(JSON.parse(result.stdout), solution, 'should solve a challenge from a file');
+    t.equal(result.stderr, '', 'should not report progress with --quiet');
+    t.same(JSON.parse((await run(['solve', '-', '-q'], {input: JSON.stringify(challenge)})).stdout), solution, 'should read - from stdin');
+
+    result = await run(['solve', '--max-cost', '1'], {input: JSON.stringify(challenge)});
+    t.equal(result.code, 2, 'should fail for expensive challenges');
+    t.equal(result.stderr, 'busybot: Challenge is too expensive to solve: exceeds maxSolveCost\n', 'should print the error');
+    t.end();
+});
+
+t.test('verify', async t => {
+    const signed = JSON.parse((await run(['generate', '-m', '521', '-d', '5', '--secret', 'cli secret'])).stdout);
+    const [challengeFile, solutionFile, signedFile] = await tempFiles(t, {challenge, solution, signed});
+    t.equal((await run(['verify', challengeFile], {input: JSON.stringify(solution)})).code, 0, 'should exit 0 for correct solutions from stdin');
+    t.equal((await run(['verify', challengeFile, solutionFile])).code, 0, 'should exit 0 for correct solutions from a file');
+    t.equal((await run(['verify', '-', solutionFile], {input: JSON.stringify(challenge)})).code, 0, 'should read the challenge from stdin');
+
+    const wrong = await run(['verify', challengeFile], {input: '{"s": "0x1234"}'});
+    t.equal(wrong.code, 1, 'should exit 1 for incorrect solutions');
+    t.equal(wrong.stderr, 'Invalid solution\n', 'should explain');
+
+    const signedSolution = JSON.stringify(solve(signed));
+    t.equal((await run(['verify', signedFile, '--secret', 'old', '--secret', 'cli secret'], {input: signedSolution})).code, 0, 'should accept any of the secrets');
+    t.equal((await run(['verify', signedFile, '--secret', 'other'], {input: signedSolution})).code, 1, 'should check secrets');
+    t.equal((await run(['verify', signedFile], {input: signedSolution, env: {BUSYBOT_SECRET: 'other'}})).code, 1, 'should check BUSYBOT_SECRET');
+    t.end();
+});
+
+t.test('pipelines', async t => {
+    const generated = await run(['generate', '-m', '521', '-d', '10']);
+    const solved = await run(['solve', '-q'], {input: generated.stdout});
+    const [file] = await tempFiles(t, {challenge: JSON.parse(generated.stdout)});
+    t.equal((await run(['verify', file], {input: solved.stdout})).code, 0, 'generate | solve | verify should succeed');
+    t.end();
+});
+
+t.test('bench', async t => {
+    let result = await run(['bench', '--exponents', '61,127', '--min-duration-ms', '5']);
+    t.equal(result.code, 0, 'should succeed');
+    const lines = result.stdout.trim().split('\n');
+    t.match(lines[0], /^exponent\s+solve ms\s+verify ms\s+ratio$/, 'should print a header');
+    t.match(lines.slice(1), [/^61\s+[\d.e-]+\s+[\d.e-]+\s+\d+$/, /^127\s/], 'should print a row per exponent');
+
+    result = await run(['bench', '--exponents', '61', '--min-duration-ms', '5', '--json']);
+    t.match(JSON.parse(result.stdout), {solveIterationMs: {61: Number}, verifyIterationMs: {61: Number}}, 'should print a profile');
+    t.end();
+});
+
+t.test('invalid arguments', async t => {
+    const fails = async (args, stderr, description, input) => {
+        const result = await run(args, {input});
+        t.equal(result.code, 2, description);
+        t.match(result.stderr, stderr, description);
+    };
+    await fails(['frobnicate'], /^busybot: unknown command "frobnicate"\n\nUsage:/, 'should reject unknown commands');
+    await fails(['generate', '--difficulty', 'lots'], 'busybot: --difficulty must be a number\n', 'should reject non-numbers');
+    await fails(['generate', '--difficulty', '1.5'], 'busybot: Difficulty must be a positive integer.\n', 'should pass on errors');
+    await fails(['generate', '--bogus'], /^busybot: Unknown option '--bogus'/, 'should reject unknown options');
+    await fails(['solve'], 'busybot: stdin is not valid JSON\n', 'should reject invalid JSON', 'not json');
+    await fails(['solve', '/does/not/exist.json'], /^busybot: ENOENT/, 'should report missing files');
+    await fails(['solve', 'a', 'b'], 'busybot: solve takes at most one FILE\n', 'should reject extra files');
+    await fails(['solve'], 'busybot: Malformed challenge: must have .c, .m, and .d\n', 'should reject malformed challenges', '{}');
+    await fails(['verify'], 'busybot: verify takes a CHALLENGE_FILE, and optionally a SOLUTION_FILE\n', 'should require a challenge');
+    await fails(['verify', '-'], 'busybot: the challenge and solution cannot both be read from stdin\n', 'should reject reading both from stdin');
+    await fails(['bench', '--exponents', '61,x'], 'busybot: --exponents must be a number\n', 'should reject invalid exponents');
+
+    const usage = await run([]);
+    t.equal(usage.code, 2, 'should fail without a command');
+    t.match(usage.stdout, /^Usage: busybot <command>/, 'should print usage');
+    const help = await run(['--help']);
+    t.equal(help.code, 0, 'should succeed for --help');
+    t.equal(help.stdout, usage.stdout, 'should print usage for --help');
+    t.end();
+});
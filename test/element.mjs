@@ -0,0 +1,334 @@
+/* global process, Event, EventTarget, fetch, document, customElements, setTimeout, URL */
+import t from 'tap';
+import { createServer } from 'node:http';
+import { execFile } from 'node:child_process';
+import { solve } from '../index.mjs';
+import { createMiddleware } from '../middleware.mjs';
+
+// a minimal emulation of the parts of the DOM used by <busybot-gate>
+class FakeElement extends EventTarget {
+    constructor(tagName = 'busybot-gate') {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map();
+        this.children = [];
+        this.parentNode = null;
+        this.textContent = '';
+    }
+    setAttribute(name, value) { this.attributes.set(name, String(value)); }
+    getAttribute(name) { return this.attributes.get(name) ?? null; }
+    hasAttribute(name) { return this.attributes.has(name); }
+    removeAttribute(name) { this.attributes.delete(name); }
+    get isConnected() { return this === document.body || Boolean(this.parentNode?.isConnected); }
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        if (this.isConnected) {
+            child.walk(element => element.connectedCallback?.());
+        }
+        return child;
+    }
+    removeChild(child) {
+        this.children.splice(this.children.indexOf(child), 1);
+        child.parentNode = null;
+        child.walk(element => element.disconnectedCallback?.());
+        return child;
+    }
+    // (without capturing, or stopPropagation())
+    dispatchEvent(event) {
+        super.dispatchEvent(event);
+        if (event.bubbles && this.parentNode) {
+            this.parentNode.dispatchEvent(event);
+        }
+        return !event.defaultPrevented;
+    }
+    walk(fn) {
+        fn(this);
+        for (const child of [...this.children]) {
+            child.walk(fn);
+        }
+    }
+    closest(tagName) {
+        for (let element = this; element; element = element.parentNode) {
+            if (element.tagName === tagName.toUpperCase()) {
+                return element;
+            }
+        }
+        return null;
+    }
+    find(tagName) {
+        return this.children.find(child => child.tagName === tagName.toUpperCase());
+    }
+}
+
+class FakeForm extends FakeElement {
+    constructor() {
+        super('form');
+        this.submitted = [];
+    }
+    // record the value of each hidden input when the form is really submitted
+    requestSubmit(submitter) {
+        const event = new Event('submit', {cancelable: true});
+        event.submitter = submitter;
+        this.dispatchEvent(event);
+        if (!event.defaultPrevented) {
+            const gate = this.children.find(child => child.submission !== undefined);
+            this.submitted.push({submitter, value: gate?.find('input').value});
+        }
+    }
+}
+
+const registry = new Map();
+globalThis.HTMLElement = FakeElement;
+globalThis.customElements = {
+    define: (name, constructor) => registry.set(name, constructor),
+    get: (name) => registry.get(name)
+};
+globalThis.document = {
+    body: new FakeElement('body'),
+    createElement: (tagName) => registry.has(tagName) ? new (registry.get(tagName))() : new FakeElement(tagName)
+};
+
+const { BusybotGate, defineBusybotGate } = await import('../element.mjs');
+
+const secret = 'element secret';
+const challengeOptions = {forMersenneExponent: 521, withDifficulty: 20};
+
+// serve challenges (and a protected endpoint) with the middleware
+async function listen(t) {
+    const middleware = createMiddleware({secrets: secret, challengeOptions});
+    const server = createServer((req, res) => {
+        const next = (err) => {
+            res.statusCode = err ? 500 : 200;
+            res.end(err ? '' : 'expensive result');
+        };
+        if (req.url === '/challenge') {
+            middleware.handleChallenge(req, res, next);
+        } else if (req.url === '/unavailable') {
+            res.statusCode = 503;
+            res.end();
+        } else {
+            middleware.protect(req, res, next);
+        }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.teardown(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// create a gate with attributes in a form, recording its events
+function createGate(attributes) {
+    const form = new FakeForm();
+    const gate = document.createElement('busybot-gate');
+    for (const [name, value] of Object.entries(attributes)) {
+        gate.setAttribute(name, value);
+    }
+    const events = [];
+    for (const type of ['busybot-start', 'busybot-progress', 'busybot-done', 'busybot-error']) {
+        form.addEventListener(type, (event) => events.push({type, detail: event.detail}));
+    }
+    form.appendChild(gate);
+    return {form, gate, events};
+}
+
+function nextEvent(target, ...types) {
+    return new Promise((resolve) => {
+        for (const type of types) {
+            target.addEventListener(type, (event) => resolve(event), {once: true});
+        }
+    });
+}
+
+t.test('defines the element', t => {
+    t.equal(customElements.get('busybot-gate'), BusybotGate, 'should define busybot-gate');
+    defineBusybotGate('other-gate');
+    t.ok(customElements.get('other-gate').prototype instanceof BusybotGate, 'should define other names');
+    defineBusybotGate();
+    t.equal(customElements.get('busybot-gate'), BusybotGate, 'should not redefine');
+    t.end();
+});
+
+t.test('solves a challenge when connected', async t => {
+    const url = await listen(t);
+    const {form, gate, events} = createGate({'challenge-url': `${url}/challenge`, solver: 'async'});
+    t.same(gate.children, [], 'should not render until connected');
+    document.body.appendChild(form);
+    const fields = gate.children.map(child => child.tagName);
+    t.same(fields, ['INPUT', 'PROGRESS', 'SPAN'], 'should render an input, progress and status');
+    t.match(gate.find('input').attributes, new Map([['type', 'hidden'], ['name', 'busybot']]), 'should render a hidden input');
+    t.equal(gate.find('progress').getAttribute('aria-label'), 'Checking that you are not a bot', 'should label the progress');
+    t.equal(gate.find('span').getAttribute('role'), 'status', 'should have a status');
+    t.equal(gate.getAttribute('aria-busy'), 'true', 'should be busy');
+    const done = await nextEvent(form, 'busybot-done', 'busybot-error');
+    t.equal(done.type, 'busybot-done', 'should finish');
+
+    const {challenge, solution} = done.detail;
+    t.match(challenge, {d: 20, m: 521, h: String}, 'should fetch a challenge');
+    t.same(solution, solve(challenge), 'should solve it');
+    t.same(gate.submission, {challenge, solution}, 'should have the submission');
+    t.same(JSON.parse(gate.find('input').value), {challenge, solution}, 'should fill the input');
+    t.equal(gate.find('progress').value, 1, 'should show completion');
+    t.equal(gate.find('span').textContent, 'Done', 'should announce completion');
+    t.notOk(gate.hasAttribute('aria-busy'), 'should not be busy');
+    t.same(events.map(e => e.type).filter((type, i, all) => type !== all[i - 1]), ['busybot-start', 'busybot-progress', 'busybot-done'], 'should emit events in order');
+
+    const response = await fetch(`${url}/expensive`, {headers: {'busybot-solution': gate.find('input').value}});
+    t.equal(response.status, 200, 'the middleware should accept the solution');
+
+    form.requestSubmit();
+    t.equal(form.submitted.length, 1, 'should not delay submission once solved');
+    document.body.removeChild(form);
+    t.end();
+});
+
+t.test('delays submission until solved', async t => {
+    const url = await listen(t);
+    const {form, gate, events} = createGate({'challenge-url': `${url}/challenge`, lazy: '', field: 'proof'});
+    document.body.appendChild(form);
+    t.equal(events.length, 0, 'lazy gates should not start when connected');
+    t.equal(gate.find('input').getAttribute('name'), 'proof', 'should use field');
+
+    const submitter = new FakeElement('button');
+    form.requestSubmit(submitter);
+    t.same(form.submitted, [], 'should prevent submission');
+    await nextEvent(form, 'busybot-done', 'busybot-error');
+    t.equal(form.submitted.length, 1, 'should submit once solved');
+    t.equal(form.submitted[0].submitter, submitter, 'should submit with the same submitter');
+    t.same(JSON.parse(form.submitted[0].value), gate.submission, 'should submit the solution');
+    document.body.removeChild(form);
+    t.end();
+});
+
+t.test('withSolution', async t => {
+    const url = await listen(t);
+    const {form, gate} = createGate({'challenge-url': `${url}/challenge`, lazy: '', solver: 'async'});
+    document.body.appendChild(form);
+    const body = await gate.withSolution({message: 'hello'});
+    t.match(body, {message: 'hello', busybot: {challenge: Object, solution: Object}}, 'should add the submission to a body');
+    t.equal(gate.submission, null, 'should use up the submission');
+    const next = await gate.withSolution();
+    t.not(next.busybot.challenge.c, body.busybot.challenge.c, 'should not re-use the submission');
+    const concurrent = await Promise.all([gate.withSolution(), gate.withSolution()]);
+    t.not(concurrent[0].busybot.challenge.c, concurrent[1].busybot.challenge.c, 'concurrent calls should not share a submission');
+
+    const started = gate.start();
+    const pending = gate.withSolution();
+    t.equal(gate.submission, null, 'should clear the submission when restarting');
+    t.same(await pending, {busybot: await started}, 'should wait for a solution in progress');
+    document.body.removeChild(form);
+    t.end();
+});
+
+t.test('withSolution before connecting', async t => {
+    const url = await listen(t);
+    const {gate} = createGate({'challenge-url': `${url}/challenge`, solver: 'async'});
+    t.notOk(gate.isConnected, 'should not be connected');
+    const body = await gate.withSolution({message: 'hello'});
+    t.match(body, {message: 'hello', busybot: {challenge: Object, solution: Object}}, 'should add the submission to a body');
+    t.equal(gate.find('input').value, '', 'should use up the submission');
+    const started = await gate.start();
+    t.equal(JSON.parse(gate.find('input').value).challenge.c, started.challenge.c, 'start() should solve a challenge');
+
+    document.body.appendChild(gate);
+    t.same(gate.submission, started, 'should keep the submission when connected');
+    t.equal(gate.children.filter(child => child.tagName === 'INPUT').length, 1, 'should not render twice');
+    document.body.removeChild(gate);
+    t.end();
+});
+
+t.test('solves a new challenge after each submission', async t => {
+    const url = await listen(t);
+    const {form} = createGate({'challenge-url': `${url}/challenge`, solver: 'async'});
+    document.body.appendChild(form);
+    const first = (await nextEvent(form, 'busybot-done', 'busybot-error')).detail;
+    const next = nextEvent(form, 'busybot-done', 'busybot-error');
+    form.requestSubmit();
+    t.same(JSON.parse(form.submitted[0].value), first, 'should submit the solution');
+    const second = (await next).detail;
+    t.not(second.challenge.c, first.challenge.c, 'should solve a new challenge');
+    form.requestSubmit();
+    t.same(JSON.parse(form.submitted[1].value), second, 'should not submit the same solution again');
+    document.body.removeChild(form);
+
+    const lazy = createGate({'challenge-url': `${url}/challenge`, lazy: ''});
+    document.body.appendChild(lazy.form);
+    lazy.form.requestSubmit();
+    await nextEvent(lazy.form, 'busybot-done', 'busybot-error');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    t.equal(lazy.gate.submission, null, 'lazy gates should clear the submission');
+    t.equal(lazy.gate.find('input').value, '', 'lazy gates should clear the input');
+    lazy.form.requestSubmit();
+    t.equal(lazy.form.submitted.length, 1, 'lazy gates should delay the next submission');
+    await nextEvent(lazy.form, 'busybot-done', 'busybot-error');
+    t.equal(lazy.form.submitted.length, 2, 'lazy gates should submit a new solution');
+    t.not(JSON.parse(lazy.form.submitted[1].value).challenge.c, JSON.parse(lazy.form.submitted[0].value).challenge.c, 'lazy gates should solve a new challenge');
+    document.body.removeChild(lazy.form);
+    t.end();
+});
+
+t.test('reports errors', async t => {
+    const url = await listen(t);
+    const cases = [
+        [{'challenge-url': `${url}/unavailable`}, {code: 'CHALLENGE_REQUEST_FAILED', message: 'Challenge request failed with status 503'}],
+        [{}, {code: 'INVALID_ARGUMENT', message: 'challenge-url attribute is required'}],
+        [{'challenge-url': `${url}/challenge`, 'max-solve-cost': '0.001'}, {code: 'TOO_EXPENSIVE'}]
+    ];
+    for (const [attributes, expected] of cases) {
+        const {form, gate, events} = createGate({lazy: '', ...attributes});
+        document.body.appendChild(form);
+        const finished = nextEvent(form, 'busybot-done', 'busybot-error');
+        form.requestSubmit();
+        const {type, detail} = await finished;
+        t.equal(type, 'busybot-error', `should fail with ${expected.code}`);
+        t.match(detail.error, expected, 'should report the error');
+        t.match(gate.find('span').textContent, /^Failed: /, 'should announce the failure');
+        t.notOk(gate.hasAttribute('aria-busy'), 'should not be busy');
+        t.same(form.submitted, [], 'should not submit');
+        t.equal(events.filter(e => e.type === 'busybot-error').length, 1, 'should emit one error');
+        await t.rejects(gate.start(), expected, 'start() should reject');
+        document.body.removeChild(form);
+    }
+    t.end();
+});
+
+t.test('stops when disconnected', async t => {
+    const url = await listen(t);
+    const {form, gate, events} = createGate({'challenge-url': `${url}/challenge`});
+    document.body.appendChild(form);
+    document.body.removeChild(form);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    t.same(events.filter(e => e.type !== 'busybot-start' && e.type !== 'busybot-progress'), [], 'should not finish or fail');
+    t.equal(gate.submission, null, 'should not have a submission');
+    form.requestSubmit();
+    t.equal(form.submitted.length, 1, 'should stop intercepting submission');
+    t.end();
+});
+
+t.test('restarts when moved', async t => {
+    const url = await listen(t);
+    const {form, gate} = createGate({'challenge-url': `${url}/challenge`, solver: 'async'});
+    document.body.appendChild(form);
+    form.requestSubmit();
+    document.body.removeChild(form);
+    t.notOk(gate.hasAttribute('aria-busy'), 'should not be busy once disconnected');
+    t.equal(gate.find('span').textContent, '', 'should clear the status once disconnected');
+
+    const other = new FakeForm();
+    document.body.appendChild(other);
+    other.appendChild(gate);
+    t.equal(gate.getAttribute('aria-busy'), 'true', 'should start again when reconnected');
+    const done = await nextEvent(other, 'busybot-done', 'busybot-error');
+    t.equal(done.type, 'busybot-done', 'should finish');
+    t.notOk(gate.hasAttribute('aria-busy'), 'should not be busy');
+    t.equal(gate.find('span').textContent, 'Done', 'should announce completion');
+    t.same(form.submitted, [], 'should not submit the old form');
+    document.body.removeChild(other);
+    t.end();
+});
+
+t.test('can be imported without a DOM', async t => {
+    const script = "import('./element.mjs').then((m) => console.log(typeof m.BusybotGate))";
+    const stdout = await new Promise((resolve, reject) => execFile(process.execPath, ['-e', script], {cwd: new URL('..', import.meta.url)}, (err, stdout) => err ? reject(err) : resolve(stdout)));
+    t.equal(stdout.trim(), 'function', 'should export the element class');
+    t.end();
+});
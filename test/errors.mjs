@@ -0,0 +1,100 @@
+import t from 'tap';
+import {
+    generate, solve, resume, verify, verifyDetailed, verifySegments, createVerifier, createSolverPool, decodeChallenge,
+    BusybotError, UnknownExponentError, MalformedChallengeError, MalformedSolutionError, OutOfRangeError,
+    MalformedTokenError, InvalidCheckpointError, TooExpensiveError
+} from '../index.mjs';
+import api from '../index.mjs';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+const modulus521 = `0x${(2n**521n - 1n).toString(16)}`;
+
+t.test('error classes', t => {
+    const e = new MalformedChallengeError('message');
+    t.ok(e instanceof BusybotError, 'should be a BusybotError');
+    t.ok(e instanceof Error, 'should be an Error');
+    t.match(e, {name: 'MalformedChallengeError', code: 'MALFORMED_CHALLENGE', message: 'message'}, 'should have name and code');
+    t.match(new BusybotError('message'), {name: 'BusybotError', code: 'INVALID_ARGUMENT'}, 'should default to INVALID_ARGUMENT');
+    t.equal(api.BusybotError, BusybotError, 'should be in the default export');
+    t.end();
+});
+
+t.test('errors have codes', async t => {
+    t.throws(() => solve(null), {constructor: MalformedChallengeError, code: 'MALFORMED_CHALLENGE'}, 'malformed challenges');
+    t.throws(() => verify(challenge, {s: 'abc'}), {constructor: MalformedSolutionError, code: 'MALFORMED_SOLUTION'}, 'malformed solutions');
+    t.throws(() => solve({...challenge, m: 1000}), {constructor: UnknownExponentError, code: 'UNKNOWN_EXPONENT'}, 'unknown exponents');
+    t.throws(() => solve({...challenge, c: modulus521}), {constructor: OutOfRangeError, code: 'OUT_OF_RANGE'}, 'out of range challenges');
+    t.throws(() => decodeChallenge('AAAA'), {constructor: MalformedTokenError, code: 'MALFORMED_TOKEN'}, 'malformed tokens');
+    t.throws(() => resume({}), {constructor: InvalidCheckpointError, code: 'INVALID_CHECKPOINT'}, 'invalid checkpoints');
+    t.throws(() => solve(challenge, {maxSolveCost: 1e-9}), {constructor: TooExpensiveError, code: 'TOO_EXPENSIVE'}, 'expensive challenges');
+    await t.rejects(generate({withDifficulty: -1}), {constructor: BusybotError, code: 'INVALID_ARGUMENT'}, 'invalid arguments');
+
+    const pool = createSolverPool();
+    const pending = pool.solve({c: '0x1234', d: 1000000, m: 11213});
+    pool.close();
+    await t.rejects(pending, {constructor: BusybotError, code: 'POOL_CLOSED', message: 'Solver pool was closed'}, 'closed pools');
+    t.end();
+});
+
+t.test('challenges are validated consistently', async t => {
+    const malformed = [
+        [{...challenge, c: '1234'}, 'Malformed challenge: .c must be a hex-encoded BigInt', 'decimal values'],
+        [{...challenge, c: ' 0x1234'}, 'Malformed challenge: .c must be a hex-encoded BigInt', 'whitespace'],
+        [{...challenge, c: '0b101'}, 'Malformed challenge: .c must be a hex-encoded BigInt', 'binary values'],
+        [{...challenge, c: ''}, 'Malformed challenge: .c must be a hex-encoded BigInt', 'empty values'],
+        [{...challenge, d: -1}, 'Difficulty must be a positive integer.', 'negative difficulty'],
+        [{...challenge, d: 1.5}, 'Difficulty must be a positive integer.', 'fractional difficulty'],
+        [{...challenge, d: Infinity}, 'Difficulty must be a positive integer.', 'infinite difficulty']
+    ];
+    for (const [invalid, message, what] of malformed) {
+        t.throws(() => solve(invalid), {code: 'MALFORMED_CHALLENGE', message}, `solve should reject ${what}`);
+        t.throws(() => verify(invalid, solution), {code: 'MALFORMED_CHALLENGE', message}, `verify should reject ${what}`);
+        t.throws(() => verifySegments(invalid, {...solution, segmentEvery: 200, segments: []}), {code: 'MALFORMED_CHALLENGE', message}, `verifySegments should reject ${what}`);
+        await t.rejects(createSolverPool().solve(invalid), {code: 'MALFORMED_CHALLENGE', message}, `the pool should reject ${what}`);
+    }
+    t.end();
+});
+
+t.test('verifyDetailed', async t => {
+    t.same(verifyDetailed(challenge, solution), {ok: true}, 'should accept correct solutions');
+    t.same(verifyDetailed({...challenge, d: 199}, solution), {ok: false, reason: 'INCORRECT'}, 'should reject incorrect solutions');
+    t.same(verifyDetailed(challenge, {s: modulus521}), {ok: false, reason: 'OUT_OF_RANGE'}, 'should reject out of range solutions');
+    t.same(verifyDetailed({...challenge, c: modulus521}, solution), {ok: false, reason: 'OUT_OF_RANGE'}, 'should reject out of range challenges');
+    t.same(verifyDetailed(null, solution), {ok: false, reason: 'MALFORMED_CHALLENGE'}, 'should reject malformed challenges');
+    t.same(verifyDetailed({...challenge, d: 1.5}, solution), {ok: false, reason: 'MALFORMED_CHALLENGE'}, 'should reject invalid difficulty');
+    t.same(verifyDetailed(challenge, {s: 2}), {ok: false, reason: 'MALFORMED_SOLUTION'}, 'should reject malformed solutions');
+    t.same(verifyDetailed({...challenge, m: 1000}, solution), {ok: false, reason: 'UNKNOWN_EXPONENT'}, 'should reject unknown exponents');
+
+    const now = 1700000000000;
+    const signed = await generate({forMersenneExponent: 521, withDifficulty: 10, secret: 'secret', bindTo: 'context', now});
+    const signedSolution = solve(signed);
+    t.same(verifyDetailed(signed, signedSolution, {secrets: 'secret', context: 'context', now}), {ok: true}, 'should accept signed challenges');
+    t.same(verifyDetailed(signed, signedSolution, {secrets: 'other', now}), {ok: false, reason: 'INVALID_SIGNATURE'}, 'should reject other secrets');
+    t.same(verifyDetailed(challenge, solution, {secrets: 'secret', now}), {ok: false, reason: 'INVALID_SIGNATURE'}, 'should reject unsigned challenges');
+    t.same(verifyDetailed(signed, signedSolution, {secrets: 'secret', now: now + 300000}), {ok: false, reason: 'EXPIRED'}, 'should reject expired challenges');
+    t.same(verifyDetailed(signed, signedSolution, {context: 'other'}), {ok: false, reason: 'CONTEXT_MISMATCH'}, 'should reject other contexts');
+    t.same(verifyDetailed(challenge, solution, {context: 'context'}), {ok: false, reason: 'CONTEXT_MISMATCH'}, 'should reject unbound challenges');
+
+    t.throws(() => verifyDetailed(challenge, solution, {secrets: ''}), {code: 'INVALID_ARGUMENT'}, 'should throw for invalid secrets');
+    t.throws(() => verifyDetailed(challenge, solution, {context: 42}), {code: 'INVALID_ARGUMENT'}, 'should throw for invalid context');
+    t.end();
+});
+
+t.test('verifier.verifyDetailed', async t => {
+    const verifier = createVerifier({maxDifficulty: 200});
+    t.same(await verifier.verifyDetailed({...challenge, d: 201}, solution), {ok: false, reason: 'LIMIT_EXCEEDED'}, 'should reject challenges beyond the limits');
+    t.same(await verifier.verifyDetailed({...challenge, m: 44497}, solution), {ok: false, reason: 'LIMIT_EXCEEDED'}, 'should reject exponents that are not allowed');
+    t.same(await verifier.verifyDetailed(challenge, {s: '0x1'}), {ok: false, reason: 'INCORRECT'}, 'should reject incorrect solutions');
+    t.same(await verifier.verifyDetailed(challenge, {s: 'x'}), {ok: false, reason: 'MALFORMED_SOLUTION'}, 'should reject malformed solutions');
+    t.same(await verifier.verifyDetailed(null, solution), {ok: false, reason: 'MALFORMED_CHALLENGE'}, 'should reject malformed challenges');
+    t.same(await verifier.verifyDetailed(challenge, solution), {ok: true}, 'should accept correct solutions');
+    t.same(await verifier.verifyDetailed(challenge, solution), {ok: false, reason: 'ALREADY_USED'}, 'should reject replayed solutions');
+
+    const raced = createVerifier({store: {has: async () => false, add: async () => false}});
+    t.same(await raced.verifyDetailed(challenge, solution), {ok: false, reason: 'ALREADY_USED'}, 'should reject solutions redeemed concurrently');
+
+    const failing = createVerifier({store: {has: async () => { throw new Error('store unavailable'); }, add: async () => true}});
+    await t.rejects(failing.verifyDetailed(challenge, solution), {message: 'store unavailable'}, 'should pass on store errors');
+    t.end();
+});
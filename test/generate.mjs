@@ -48,3 +48,51 @@ t.test('invalid difficultly', async t => {
 
     t.end();
 });
+
+t.test('random sources', async t => {
+    const requested = [];
+    const randomSource = (length) => {
+        requested.push(length);
+        return new Uint8Array(length).fill(0xab);
+    };
+    t.same(await generate({forMersenneExponent: 1279, withDifficulty: 10, randomSource}), {c: `0x${'ab'.repeat(16)}`, d: 10, m: 1279}, 'should use randomSource');
+    t.same(await generate({forMersenneExponent: 89, withDifficulty: 10, randomSource: async (length) => new Uint8Array(length)}), {c: `0x${'00'.repeat(11)}`, d: 10, m: 89}, 'should accept async randomSource');
+    t.same(requested, [16], 'should request challenge bytes');
+
+    await t.rejects(generate({withDifficulty: 10, randomSource: 'random'}), {message: 'randomSource must be a function'}, 'should reject invalid randomSource');
+    await t.rejects(generate({withDifficulty: 10, randomSource: () => new Uint8Array(15)}), {message: 'randomSource must return a Uint8Array of the requested length'}, 'should reject short random values');
+    await t.rejects(generate({withDifficulty: 10, randomSource: (length) => Array(length).fill(1)}), {message: 'randomSource must return a Uint8Array of the requested length'}, 'should reject non-Uint8Array random values');
+
+    t.end();
+});
+
+t.test('uses Web Crypto where available', async t => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    t.teardown(() => Object.defineProperty(globalThis, 'crypto', descriptor));
+
+    const requested = [];
+    Object.defineProperty(globalThis, 'crypto', {configurable: true, value: {
+        getRandomValues(array) {
+            requested.push(array.length);
+            return array.fill(0x42);
+        }
+    }});
+    t.same(await generate({withDifficulty: 10}), {c: `0x${'42'.repeat(16)}`, d: 10, m: 1279}, 'should use crypto.getRandomValues');
+    t.same(requested, [16], 'should request challenge bytes');
+
+    t.end();
+});
+
+t.test('falls back to node:crypto', async t => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    t.teardown(() => Object.defineProperty(globalThis, 'crypto', descriptor));
+    Object.defineProperty(globalThis, 'crypto', {configurable: true, value: undefined});
+
+    const first = await generate({withDifficulty: 10});
+    const second = await generate({forMersenneExponent: 61, withDifficulty: 10});
+    t.match(first, {c: /^0x[0-9a-f]{32}$/, d: 10, m: 1279}, 'should generate challenges');
+    t.match(second, {c: /^0x[0-9a-f]{14}$/, d: 10, m: 61}, 'should generate challenges');
+    t.not(first.c, (await generate({withDifficulty: 10})).c, 'should generate random challenges');
+
+    t.end();
+});
@@ -0,0 +1,141 @@
+import t from 'tap';
+import { generate, solve, verify, verifyDetailed, createVerifier, instrument, createMetrics, createMetricsRegistry } from '../index.mjs';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+
+// record events until the test ends
+function record(t) {
+    const events = {generate: [], verify: []};
+    const remove = instrument({onGenerate: (e) => events.generate.push(e), onVerify: (e) => events.verify.push(e)});
+    t.teardown(remove);
+    return events;
+}
+
+t.test('generate events', async t => {
+    const events = record(t);
+    await generate({forMersenneExponent: 607, withDifficulty: 10});
+    await generate({forMersenneExponent: 521, withDifficulty: 5, secret: 'secret', bindTo: 'context'});
+    await t.rejects(generate({withDifficulty: -1}), 'should still throw');
+    t.match(events.generate, [
+        {exponent: 607, difficulty: 10, signed: false, bound: false, durationMs: Number},
+        {exponent: 521, difficulty: 5, signed: true, bound: true, durationMs: Number}
+    ], 'should report each challenge generated');
+    t.equal(events.generate.length, 2, 'should not report failures');
+    t.end();
+});
+
+t.test('verify events', async t => {
+    const events = record(t);
+    t.equal(verify(challenge, solution), true, 'should verify');
+    t.equal(verify({...challenge, d: 199}, solution), false, 'should reject');
+    t.throws(() => verify({...challenge, c: 'abc'}, solution), {code: 'MALFORMED_CHALLENGE'}, 'should still throw');
+    t.same(verifyDetailed(challenge, {s: 2}), {ok: false, reason: 'MALFORMED_SOLUTION'}, 'should still reject');
+    t.throws(() => verify(challenge, solution, {secrets: ''}), {code: 'INVALID_ARGUMENT'}, 'should still throw');
+
+    t.match(events.verify, [
+        {outcome: 'passed', reason: null, exponent: 521, difficulty: 200, durationMs: Number},
+        {outcome: 'failed', reason: 'INCORRECT', exponent: 521, difficulty: 199},
+        {outcome: 'malformed', reason: 'MALFORMED_CHALLENGE', exponent: 521},
+        {outcome: 'malformed', reason: 'MALFORMED_SOLUTION'},
+        {outcome: 'error', reason: 'INVALID_ARGUMENT'}
+    ], 'should report each verification');
+    t.ok(events.verify[0].durationMs > 0, 'should measure the duration');
+
+    events.verify.length = 0;
+    const verifier = createVerifier({maxDifficulty: 200});
+    t.equal(await verifier.verify(challenge, solution), true, 'verifier should verify');
+    t.equal(await verifier.verify(challenge, solution), false, 'verifier should reject replays');
+    t.same(await verifier.verifyDetailed({...challenge, d: 201}, solution), {ok: false, reason: 'LIMIT_EXCEEDED'}, 'verifier should reject challenges beyond limits');
+    t.match(events.verify, [
+        {outcome: 'passed', exponent: 521},
+        {outcome: 'failed', reason: 'ALREADY_USED'},
+        {outcome: 'failed', reason: 'LIMIT_EXCEEDED', difficulty: 201}
+    ], 'should report each verification by a verifier once');
+
+    const failing = createVerifier({store: {has: async () => { throw new Error('store unavailable'); }, add: async () => true}});
+    events.verify.length = 0;
+    await t.rejects(failing.verify(challenge, solution), {message: 'store unavailable'}, 'should pass on errors');
+    t.match(events.verify, [{outcome: 'error', reason: null}], 'should report other errors');
+    t.end();
+});
+
+t.test('listeners', async t => {
+    const calls = [];
+    const remove = instrument({onVerify: () => { calls.push('throws'); throw new Error('listener failed'); }});
+    const removeOther = instrument({onVerify: () => calls.push('other')});
+    t.equal(verify(challenge, solution), true, 'should ignore errors from listeners');
+    t.same(calls, ['throws', 'other'], 'should call every listener');
+    remove();
+    remove();
+    verify(challenge, solution);
+    t.same(calls, ['throws', 'other', 'other'], 'should remove listeners');
+    removeOther();
+    verify(challenge, solution);
+    t.equal(calls.length, 3, 'should remove all listeners');
+
+    t.throws(() => instrument({onVerify: 'log'}), {code: 'INVALID_ARGUMENT', message: 'onVerify must be a function'}, 'should throw for invalid listeners');
+    t.throws(() => instrument({onGenerate: {}}), {message: 'onGenerate must be a function'}, 'should throw for invalid listeners');
+    t.end();
+});
+
+t.test('metrics registry', t => {
+    const registry = createMetricsRegistry();
+    t.equal(registry.render(), '', 'should render nothing when empty');
+    const requests = registry.counter('requests_total', 'Requests\nserved');
+    const sizes = registry.histogram('size_bytes', 'Sizes', [10, 100]);
+    requests.inc();
+    requests.inc({path: '/a "quoted"\\path\n', method: 'GET'}, 2);
+    requests.inc({method: 'GET', path: '/a "quoted"\\path\n'});
+    sizes.observe({}, 5);
+    sizes.observe({}, 50);
+    sizes.observe({}, 500);
+    sizes.observe({kind: 'x'}, 10);
+    t.equal(registry.render(), [
+        '# HELP requests_total Requests\\nserved',
+        '# TYPE requests_total counter',
+        'requests_total 1',
+        'requests_total{method="GET",path="/a \\"quoted\\"\\\\path\\n"} 3',
+        '# HELP size_bytes Sizes',
+        '# TYPE size_bytes histogram',
+        'size_bytes_bucket{le="10"} 1',
+        'size_bytes_bucket{le="100"} 2',
+        'size_bytes_bucket{le="+Inf"} 3',
+        'size_bytes_sum 555',
+        'size_bytes_count 3',
+        'size_bytes_bucket{kind="x",le="10"} 1',
+        'size_bytes_bucket{kind="x",le="100"} 1',
+        'size_bytes_bucket{kind="x",le="+Inf"} 1',
+        'size_bytes_sum{kind="x"} 10',
+        'size_bytes_count{kind="x"} 1',
+        ''
+    ].join('\n'), 'should render the text exposition format');
+
+    t.throws(() => registry.counter('requests_total', ''), {message: 'metric "requests_total" is already registered'}, 'should reject duplicate names');
+    t.throws(() => registry.counter('bad-name', ''), {message: 'metric names must match [a-zA-Z_:][a-zA-Z0-9_:]*'}, 'should reject invalid names');
+    t.throws(() => registry.histogram('h', '', [2, 1]), {message: 'buckets must be a non-empty array of increasing numbers'}, 'should reject invalid buckets');
+    t.throws(() => requests.inc({}, -1), {message: 'counters can only be increased'}, 'should reject decreasing counters');
+    t.throws(() => requests.inc({'bad-label': 1}), {message: 'label names must match [a-zA-Z_][a-zA-Z0-9_]*'}, 'should reject invalid label names');
+    t.end();
+});
+
+t.test('standard metrics', async t => {
+    const metrics = createMetrics({durationBuckets: [0.001, 10]});
+    t.teardown(instrument(metrics));
+    await generate({forMersenneExponent: 521, withDifficulty: 10});
+    const generated = await generate({forMersenneExponent: 521, withDifficulty: 10});
+    verify(generated, solve(generated));
+    verify(generated, {s: '0x1'});
+    verifyDetailed({...generated, m: 1000}, {s: '0x1'});
+
+    const text = metrics.render();
+    t.equal(metrics.registry.render(), text, 'should render the registry');
+    t.match(text, /^# TYPE busybot_challenges_generated_total counter$/m, 'should have a generated counter');
+    t.match(text, /^busybot_challenges_generated_total\{exponent="521"\} 2$/m, 'should count challenges by exponent');
+    t.match(text, /^busybot_verifications_total\{exponent="521",outcome="passed",reason=""\} 1$/m, 'should count passed verifications');
+    t.match(text, /^busybot_verifications_total\{exponent="521",outcome="failed",reason="INCORRECT"\} 1$/m, 'should count failed verifications');
+    t.match(text, /^busybot_verifications_total\{exponent="other",outcome="malformed",reason="UNKNOWN_EXPONENT"\} 1$/m, 'should not label unknown exponents');
+    t.match(text, /^busybot_verify_duration_seconds_bucket\{outcome="passed",le="10"\} 1$/m, 'should record durations');
+    t.match(text, /^busybot_verify_duration_seconds_count\{outcome="failed"\} 1$/m, 'should record durations by outcome');
+    t.end();
+});
@@ -0,0 +1,103 @@
+import t from 'tap';
+import { generate, solve, verify, encodeKctfChallenge, decodeKctfChallenge, encodeKctfSolution, decodeKctfSolution } from '../index.mjs';
+
+// generated with the encoding and sloth_root functions from kCTF's pow.py
+// (https://github.com/google/kctf/blob/v1/docker-images/challenge/pow.py)
+const vectors = [
+    {
+        challenge: 's.AAAB.AABfSF1Yn8Q0sHz4s6q7r/ui',
+        c: '0x5f485d589fc434b07cf8b3aabbaffba2',
+        d: 1,
+        solution: 's.AAA8de5IS5SVj6Oc9VTgDAjaqjJrhY1lSsh1j2eHJ0yzX/fDW4V1gdW2KN/h01nwKnR79xqVaVO9ySpf7xObxEGu2uQ5swYMKkn0l/O71L84rooXROQk1UEDavEu8EE3vuFogWYpltF6BTRVy5ZyUrGd+PN2yR5xK3touJCctj0uM02FsK8nSxVEjYNl9A+gK9BrL4303rsFq1q3tGWXZKcb',
+        s: '0x3c75ee484b94958fa39cf554e00c08daaa326b858d654ac8758f6787274cb35ff7c35b857581d5b628dfe1d359f02a747bf71a956953bdc92a5fef139bc441aedae439b3060c2a49f497f3bbd4bf38ae8a1744e424d541036af12ef04137bee16881662996d17a053455cb967252b19df8f376c91e712b7b68b8909cb63d2e334d85b0af274b15448d8365f40fa02bd06b2f8df4debb05ab5ab7b4659764a71b'
+    },
+    {
+        challenge: 's.AAAK.AACgIkWyUzLc42U0deb632Zp',
+        c: '0xa02245b25332dce3653475e6fadf6669',
+        d: 10,
+        solution: 's.AAAB2K0JtSesAnqSOcasS3tCDl9cE0XBUxZamCMGSypd6DLouKhtYMl5qcJMq9CahBoT1pmIfEWVcs6hOSd7OOGr1/rkbvFWt0qvYK0KSNu1LTY+cWUobb2HnIaDBWvl0MdipGzWUMVK/BbrTTfuPRZe5Cu3DePLtDsf28mGbsD8/1db8DzbHIc/yYl2G9NQrU+ej6sLwrfXQs88swR6Mz+V',
+        s: '0x1d8ad09b527ac027a9239c6ac4b7b420e5f5c1345c153165a9823064b2a5de832e8b8a86d60c979a9c24cabd09a841a13d699887c459572cea139277b38e1abd7fae46ef156b74aaf60ad0a48dbb52d363e7165286dbd879c8683056be5d0c762a46cd650c54afc16eb4d37ee3d165ee42bb70de3cbb43b1fdbc9866ec0fcff575bf03cdb1c873fc989761bd350ad4f9e8fab0bc2b7d742cf3cb3047a333f95'
+    },
+    {
+        challenge: 's.AAAf.AADPlmjft64oVOJYkYlaolLo',
+        c: '0xcf9668dfb7ae2854e25891895aa252e8',
+        d: 31,
+        solution: 's.AAAj/JT8fVvjKn8PgS0fxCxSS76gfZYZr20lfIXvItIO/ABlEeSOP1c4rb3wHeAHGVGipiUnDoT9K+mkUuRvOEWRCQ2Z1nYZ69ArZ0Iu1V+kGxnkaBu6jrp2VnqXnKc6TWqNjb42nSpZuRDJHyFSlDud3IKqEWMBmy//t6dBZ0CqbFgSX1jFwHBdRfPXqjf9ucCxyttc6QqGQRCu6FTrcg9F',
+        s: '0x23fc94fc7d5be32a7f0f812d1fc42c524bbea07d9619af6d257c85ef22d20efc006511e48e3f5738adbdf01de0071951a2a625270e84fd2be9a452e46f384591090d99d67619ebd02b67422ed55fa41b19e4681bba8eba76567a979ca73a4d6a8d8dbe369d2a59b910c91f2152943b9ddc82aa1163019b2fffb7a7416740aa6c58125f58c5c0705d45f3d7aa37fdb9c0b1cadb5ce90a864110aee854eb720f45'
+    },
+    {
+        challenge: 's.AABk.AAB1TzIGLteu6ItqaK1O+eyg',
+        c: '0x754f32062ed7aee88b6a68ad4ef9eca0',
+        d: 100,
+        solution: 's.AABDHgNwYkz7OVK1eJZK7aV3ZfaY+WkYYcn1Q3keEySMT2cph/X+fzlda7Il+mtB5+MD8Gk+SK99vvXkxJruD964gv+UFYhQdsR1phkzkEdM0LrGsubvrmce8j96QPELxLmP00eG7GCp60JfexyH/Kvp5Dk0q7CoRe4r+3JwEu3pEMYOJl42YB+bPGmzo3+7FmG0YdOjU5bR4JV0SA+8kA+s',
+        s: '0x431e0370624cfb3952b578964aeda57765f698f9691861c9f543791e13248c4f672987f5fe7f395d6bb225fa6b41e7e303f0693e48af7dbef5e4c49aee0fdeb882ff9415885076c475a6193390474cd0bac6b2e6efae671ef23f7a40f10bc4b98fd34786ec60a9eb425f7b1c87fcabe9e43934abb0a845ee2bfb727012ede910c60e265e36601f9b3c69b3a37fbb1661b461d3a35396d1e09574480fbc900fac'
+    }
+];
+
+t.test('kCTF test vectors', t => {
+    for (const vector of vectors) {
+        t.test(`test vector difficulty=${vector.d}`, t => {
+            const challenge = decodeKctfChallenge(vector.challenge);
+            t.same(challenge, {c: vector.c, d: vector.d, m: 1279}, 'should decode challenge');
+            t.equal(encodeKctfChallenge(challenge), vector.challenge, 'should round-trip challenge');
+
+            const solution = solve(challenge);
+            t.same(solution, {s: vector.s}, 'should solve kCTF challenge');
+            t.equal(encodeKctfSolution(solution), vector.solution, 'should encode solution as kCTF does');
+
+            const decoded = decodeKctfSolution(vector.solution);
+            t.same(decoded, {s: vector.s}, 'should decode kCTF solution');
+            t.ok(verify(challenge, decoded), 'should verify kCTF solution');
+            t.end();
+        });
+    }
+    t.end();
+});
+
+t.test('round trips generated challenges', async t => {
+    const challenge = await generate({forMersenneExponent: 1279, withDifficulty: 5});
+    const encoded = encodeKctfChallenge(challenge);
+    t.match(encoded, /^s\.AAAF\.[A-Za-z0-9+/]+$/, 'should encode challenge');
+    t.same(decodeKctfChallenge(encoded), {...challenge, c: `0x${BigInt(challenge.c).toString(16)}`}, 'should decode challenge');
+
+    const solution = solve(challenge);
+    t.ok(verify(challenge, decodeKctfSolution(encodeKctfSolution(solution))), 'should verify round-tripped solution');
+    t.end();
+});
+
+t.test('number encoding', t => {
+    // pow.py always encodes numbers in a multiple of 3 bytes, including an
+    // extra 3 bytes when the bit length is a multiple of 24
+    t.equal(encodeKctfSolution({s: '0x0'}), 's.AAAA', 'should encode zero');
+    t.equal(encodeKctfSolution({s: '0x7fffff'}), 's.f///', 'should encode 23 bits in 3 bytes');
+    t.equal(encodeKctfSolution({s: '0xffffff'}), 's.AAAA////', 'should encode 24 bits in 6 bytes');
+    t.same(decodeKctfSolution('s.AAAA////'), {s: '0xffffff'}, 'should decode leading zeros');
+    t.same(decodeKctfSolution('s.AQ=='), {s: '0x1'}, 'should decode padded base64');
+    t.end();
+});
+
+t.test('invalid kCTF encodings', t => {
+    let message = "Malformed kCTF challenge: expected 's.' followed by 2 base64 numbers";
+    t.throws(() => decodeKctfChallenge(null), {message}, 'should reject non-string');
+    t.throws(() => decodeKctfChallenge('s.AAAB'), {message}, 'should reject missing value');
+    t.throws(() => decodeKctfChallenge('s.AAAB.AAAB.AAAB'), {message}, 'should reject extra values');
+    t.throws(() => decodeKctfChallenge('t.AAAB.AAAB'), {message}, 'should reject unknown version');
+
+    message = 'Malformed kCTF challenge: invalid base64';
+    t.throws(() => decodeKctfChallenge('s.AAAB.'), {message}, 'should reject empty value');
+    t.throws(() => decodeKctfChallenge('s.AAAB.AA-_'), {message}, 'should reject base64url');
+    t.throws(() => decodeKctfChallenge('s.AAAB.AAB'), {message}, 'should reject missing padding');
+    t.throws(() => decodeKctfChallenge('s.AAAB.AB=='), {message}, 'should reject non-zero padding bits');
+    t.throws(() => decodeKctfChallenge('s.AAAB.A==='), {message}, 'should reject excess padding');
+    t.throws(() => decodeKctfChallenge('s.AAAB.AA A'), {message}, 'should reject whitespace');
+    t.throws(() => decodeKctfChallenge('s.IAAAAAAAAA==.AAAB'), {message: 'Malformed kCTF challenge: difficulty too large'}, 'should reject huge difficulty');
+
+    t.throws(() => decodeKctfSolution('s.AAAB.AAAB'), {message: "Malformed kCTF solution: expected 's.' followed by 1 base64 number"}, 'should reject extra values');
+    t.throws(() => decodeKctfSolution('s.AAA'), {message: 'Malformed kCTF solution: invalid base64'}, 'should reject invalid base64');
+
+    t.throws(() => encodeKctfChallenge({c: '0x1234', d: 10, m: 521}), {message: 'kCTF challenges must use exponent 1279'}, 'should only encode challenges with exponent 1279');
+    t.throws(() => encodeKctfChallenge({c: '0x1234', d: 1.5, m: 1279}), {message: 'Difficulty must be a positive integer.'}, 'should reject invalid difficulty');
+    t.throws(() => encodeKctfChallenge({c: 1234, d: 1, m: 1279}), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should reject malformed challenges');
+    t.throws(() => encodeKctfSolution({s: 'abc'}), {message: 'Malformed solution: must have .s: hex-encoded BigInt'}, 'should reject malformed solutions');
+    t.end();
+});
@@ -0,0 +1,79 @@
+import t from 'tap';
+import {
+    generate, solve, solveAsync, resume, solveInWorker, createSolverPool, createVerifier, estimateSolveMs, estimateVerifyMs
+} from '../index.mjs';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+
+// a challenge that would take forever to even start solving or verifying
+const huge = { c: '0x1234', d: 1000000000, m: 74207281 };
+
+t.test('verifier limits', async t => {
+    const unlimited = createVerifier();
+    t.equal(await unlimited.verify(challenge, solution), true, 'should verify within default limits');
+    t.equal(await unlimited.verify(huge, {s: '0x1'}), false, 'should reject huge exponents by default');
+    t.equal(await unlimited.verify({...challenge, m: 44497}, {s: '0x1'}), false, 'should only allow exponents up to 23209 by default');
+
+    const byExponent = createVerifier({allowedExponents: [1279]});
+    t.equal(await byExponent.verify(challenge, solution), false, 'should reject exponents that are not allowed');
+    const other = await generate({forMersenneExponent: 1279, withDifficulty: 2});
+    t.equal(await byExponent.verify(other, solve(other)), true, 'should accept allowed exponents');
+
+    const byDifficulty = createVerifier({maxDifficulty: 199});
+    t.equal(await byDifficulty.verify(challenge, solution), false, 'should reject challenges above maxDifficulty');
+    t.equal(await createVerifier({maxDifficulty: 200}).verify(challenge, solution), true, 'should accept challenges at maxDifficulty');
+
+    const cost = estimateVerifyMs(challenge);
+    t.equal(await createVerifier({maxVerifyCost: cost * 0.99}).verify(challenge, solution), false, 'should reject challenges above maxVerifyCost');
+    t.equal(await createVerifier({maxVerifyCost: cost}).verify(challenge, solution), true, 'should accept challenges at maxVerifyCost');
+    t.equal(await createVerifier({allowedExponents: [74207281], maxVerifyCost: 1000}).verify(huge, {s: '0x1'}), false, 'should reject unprofiled exponents with maxVerifyCost');
+
+    t.equal(await unlimited.verify({...challenge, d: -1}, solution), false, 'should reject negative difficulty');
+    t.equal(await unlimited.verify({...challenge, d: 1.5}, solution), false, 'should reject fractional difficulty');
+
+    // rejected challenges should not touch the store
+    const calls = [];
+    const store = {
+        async has(key) { calls.push(key); return false; },
+        async add() { return true; }
+    };
+    await createVerifier({store, maxDifficulty: 10}).verify(challenge, solution);
+    t.same(calls, [], 'should reject before checking the store');
+
+    t.end();
+});
+
+t.test('solve limits', async t => {
+    const cost = estimateSolveMs(challenge);
+    const message = 'Challenge is too expensive to solve: exceeds maxSolveCost';
+
+    t.same(solve(challenge, {maxSolveCost: cost}), solution, 'should solve challenges within maxSolveCost');
+    t.throws(() => solve(challenge, {maxSolveCost: cost * 0.99}), {message}, 'should throw for challenges above maxSolveCost');
+    t.throws(() => solve(huge, {maxSolveCost: 1e12}), {message}, 'should throw for unprofiled exponents');
+    await t.rejects(solveAsync(huge, {maxSolveCost: 1000}), {message}, 'solveAsync should reject');
+
+    let checkpoint;
+    solve(challenge, {onCheckpoint: (c) => { checkpoint = checkpoint ?? c; }, checkpointEvery: 100});
+    t.throws(() => resume(checkpoint, {maxSolveCost: 1}), {message}, 'resume should throw');
+    t.same(resume(checkpoint, {maxSolveCost: cost}), solution, 'resume should solve within maxSolveCost');
+
+    await t.rejects(solveInWorker(huge, {maxSolveCost: 1000}), {message}, 'solveInWorker should reject before starting a worker');
+    const pool = createSolverPool();
+    await t.rejects(pool.solve(huge, {maxSolveCost: 1000}), {message}, 'pool should reject before starting a worker');
+    pool.close();
+
+    t.end();
+});
+
+t.test('invalid limits', async t => {
+    t.throws(() => createVerifier({allowedExponents: []}), {message: 'allowedExponents must be a non-empty array of Mersenne or pseudo-Mersenne exponents'}, 'should throw for empty exponents');
+    t.throws(() => createVerifier({allowedExponents: [1000]}), {message: 'allowedExponents must be a non-empty array of Mersenne or pseudo-Mersenne exponents'}, 'should throw for invalid exponents');
+    t.throws(() => createVerifier({allowedExponents: ['1279']}), {message: 'allowedExponents must be a non-empty array of Mersenne or pseudo-Mersenne exponents'}, 'should throw for non-number exponents');
+    t.throws(() => createVerifier({maxDifficulty: 1.5}), {message: 'maxDifficulty must be a positive integer.'}, 'should throw for invalid maxDifficulty');
+    t.throws(() => createVerifier({maxVerifyCost: 0}), {message: 'maxVerifyCost must be a positive number'}, 'should throw for invalid maxVerifyCost');
+    t.throws(() => solve(challenge, {maxSolveCost: 'soon'}), {message: 'maxSolveCost must be a positive number'}, 'should throw for invalid maxSolveCost');
+    await t.rejects(solveAsync(challenge, {maxSolveCost: -1}), {message: 'maxSolveCost must be a positive number'}, 'should reject for invalid maxSolveCost');
+    await t.rejects(solveInWorker(challenge, {maxSolveCost: NaN}), {message: 'maxSolveCost must be a positive number'}, 'should reject for invalid maxSolveCost');
+    t.end();
+});
@@ -0,0 +1,233 @@
+/* global fetch */
+import t from 'tap';
+import { createServer } from 'node:http';
+import { solve, createDifficultyPolicy } from '../index.mjs';
+import { createMiddleware, expressMiddleware, fastifyMiddleware } from '../middleware.mjs';
+
+const secret = 'middleware secret';
+const challengeOptions = {forMersenneExponent: 521, withDifficulty: 10};
+
+// serve /challenge and a protected /expensive endpoint from node:http
+async function listen(t, middleware) {
+    const errors = [];
+    const server = createServer((req, res) => {
+        const next = (err) => {
+            if (err) {
+                errors.push(err);
+                res.statusCode = 500;
+                return res.end();
+            }
+            res.end('expensive result');
+        };
+        if (req.url === '/challenge') {
+            middleware.handleChallenge(req, res, next);
+        } else {
+            middleware.protect(req, res, next);
+        }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.teardown(() => server.close());
+    return {url: `http://127.0.0.1:${server.address().port}`, errors};
+}
+
+function withSolution(challenge, solution = solve(challenge)) {
+    return {headers: {'busybot-solution': JSON.stringify({challenge, solution})}};
+}
+
+t.test('node:http middleware', async t => {
+    const {url} = await listen(t, createMiddleware({secrets: secret, challengeOptions}));
+
+    const response = await fetch(`${url}/challenge`);
+    t.equal(response.status, 200, 'should serve challenges');
+    t.equal(response.headers.get('content-type'), 'application/json', 'should serve json');
+    t.equal(response.headers.get('cache-control'), 'no-store', 'challenges should not be cached');
+    const challenge = await response.json();
+    t.match(challenge, {c: String, d: 10, m: 521, t: Number, e: Number, h: String}, 'should serve signed challenges');
+
+    const missing = await fetch(`${url}/expensive`);
+    t.equal(missing.status, 429, 'should reject requests without a solution');
+    const missingBody = await missing.json();
+    t.match(missingBody, {error: 'Solution required', challenge: {d: 10, m: 521, h: String}}, 'should respond with a new challenge');
+    t.not(missingBody.challenge.c, challenge.c, 'new challenges should be fresh');
+
+    const wrong = await fetch(`${url}/expensive`, withSolution(challenge, {s: '0x1234'}));
+    t.equal(wrong.status, 401, 'should reject incorrect solutions');
+    t.match(await wrong.json(), {error: 'Invalid solution', challenge: {d: 10, m: 521}}, 'should respond with a new challenge');
+
+    const solved = await fetch(`${url}/expensive`, withSolution(challenge));
+    t.equal(solved.status, 200, 'should accept correct solutions');
+    t.equal(await solved.text(), 'expensive result', 'should call next');
+
+    const replayed = await fetch(`${url}/expensive`, withSolution(challenge));
+    t.equal(replayed.status, 401, 'should reject replayed solutions');
+
+    const forged = {...missingBody.challenge, d: 1};
+    t.equal((await fetch(`${url}/expensive`, withSolution(forged))).status, 401, 'should reject modified challenges');
+
+    const garbage = await fetch(`${url}/expensive`, {headers: {'busybot-solution': '{not json'}});
+    t.equal(garbage.status, 429, 'should treat unparseable headers as missing');
+    const malformed = await fetch(`${url}/expensive`, {headers: {'busybot-solution': JSON.stringify({challenge: {c: 1}, solution: {s: 2}})}});
+    t.equal(malformed.status, 401, 'should treat malformed solutions as invalid');
+
+    t.end();
+});
+
+t.test('configurable responses', async t => {
+    const {url} = await listen(t, createMiddleware({
+        secrets: ['new secret', secret],
+        challengeOptions,
+        header: 'X-Proof',
+        missingStatus: 403,
+        invalidStatus: 400
+    }));
+
+    t.equal((await fetch(`${url}/expensive`)).status, 403, 'should use missingStatus');
+    const {challenge} = await (await fetch(`${url}/expensive`, {headers: {'x-proof': '{}'}})).json();
+    t.equal((await fetch(`${url}/expensive`, {headers: {'x-proof': JSON.stringify({challenge, solution: {s: '0x1'}})}})).status, 400, 'should use invalidStatus');
+    t.equal((await fetch(`${url}/expensive`, {headers: {'x-proof': JSON.stringify({challenge, solution: solve(challenge)})}})).status, 200, 'should use header');
+
+    // challenges signed with older secrets are still accepted:
+    const old = await (await listen(t, createMiddleware({secrets: secret, challengeOptions}))).url;
+    const oldChallenge = await (await fetch(`${old}/challenge`)).json();
+    t.equal((await fetch(`${url}/expensive`, {headers: {'x-proof': JSON.stringify({challenge: oldChallenge, solution: solve(oldChallenge)})}})).status, 200, 'should accept all secrets');
+
+    t.end();
+});
+
+t.test('difficulty policy', async t => {
+    const policy = createDifficultyPolicy({levels: [{above: 2, forMersenneExponent: 607, withDifficulty: 5}]});
+    const {url} = await listen(t, createMiddleware({secrets: secret, challengeOptions, policy}));
+
+    t.match(await (await fetch(`${url}/challenge`)).json(), {d: 10, m: 521}, 'should use challengeOptions for quiet clients');
+    t.equal((await fetch(`${url}/expensive`)).status, 200, 'quiet clients should not need a solution');
+    t.equal((await fetch(`${url}/expensive`)).status, 200, 'quiet clients should not need a solution');
+    const rejected = await fetch(`${url}/expensive`);
+    t.equal(rejected.status, 429, 'busy clients should need a solution');
+    const {challenge} = await rejected.json();
+    t.match(challenge, {d: 5, m: 607}, 'should use difficulty from the policy');
+
+    const scoreBefore = await policy.score('127.0.0.1');
+    await fetch(`${url}/expensive`, withSolution(challenge, {s: '0x1'}));
+    t.ok(await policy.score('127.0.0.1') > scoreBefore + 5, 'should record failures');
+    t.equal((await fetch(`${url}/expensive`, withSolution(challenge))).status, 200, 'should accept solutions');
+
+    t.end();
+});
+
+t.test('binding challenges to requests', async t => {
+    const {url, errors} = await listen(t, createMiddleware({secrets: secret, challengeOptions, bindTo: (req) => ({method: req.method, path: req.url})}));
+
+    const rejected = await fetch(`${url}/expensive`);
+    const {challenge} = await rejected.json();
+    t.match(challenge, {n: String}, 'should issue bound challenges');
+    t.equal((await fetch(`${url}/other`, withSolution(challenge))).status, 401, 'should reject solutions for other requests');
+    t.equal((await fetch(`${url}/expensive`, {method: 'POST', ...withSolution(challenge)})).status, 401, 'should reject solutions for other methods');
+    t.equal((await fetch(`${url}/expensive`, withSolution(challenge))).status, 200, 'should accept solutions for the same request');
+
+    const unbound = await (await listen(t, createMiddleware({secrets: secret, challengeOptions}))).url;
+    const unboundChallenge = await (await fetch(`${unbound}/challenge`)).json();
+    t.equal((await fetch(`${url}/expensive`, withSolution(unboundChallenge))).status, 401, 'should reject unbound challenges');
+
+    const async = await (await listen(t, createMiddleware({secrets: secret, challengeOptions, bindTo: async (req) => req.url}))).url;
+    const asyncChallenge = (await (await fetch(`${async}/expensive`)).json()).challenge;
+    t.equal((await fetch(`${async}/expensive`, withSolution(asyncChallenge))).status, 200, 'should accept async contexts');
+    t.same(errors, [], 'should not have errors');
+    t.end();
+});
+
+t.test('bindTo is only called when needed', async t => {
+    let calls = 0;
+    const bindTo = async () => {
+        calls++;
+        throw new Error('no context');
+    };
+    const policy = createDifficultyPolicy({levels: [{above: 1, ...challengeOptions}]});
+    const {url, errors} = await listen(t, createMiddleware({secrets: secret, challengeOptions, policy, bindTo}));
+    t.equal((await fetch(`${url}/expensive`)).status, 200, 'quiet clients should not need a solution');
+    t.equal(calls, 0, 'should not call bindTo for requests allowed by the policy');
+    t.equal((await fetch(`${url}/expensive`)).status, 500, 'should pass errors from bindTo to next()');
+    t.equal(calls, 1, 'should call bindTo to issue a challenge');
+    t.match(errors, [{message: 'no context'}], 'should pass the error');
+    t.end();
+});
+
+t.test('express middleware', async t => {
+    const middleware = expressMiddleware({secrets: secret, challengeOptions, clientKey: (req) => req.ip});
+    // emulate express, which parses bodies into req.body
+    const challenge = await new Promise((resolve, reject) => {
+        const res = {headers: {}, setHeader(k, v) { this.headers[k] = v; }, end: (body) => resolve(JSON.parse(body))};
+        middleware.handleChallenge({headers: {}, ip: '1.2.3.4'}, res, reject);
+    });
+    t.match(challenge, {d: 10, m: 521, h: String}, 'should serve challenges');
+
+    const req = {headers: {}, ip: '1.2.3.4', body: {busybot: {challenge, solution: solve(challenge)}}};
+    await new Promise((resolve, reject) => middleware.protect(req, {end: reject}, (err) => err ? reject(err) : resolve()));
+    t.pass('should read solutions from the body');
+
+    const formChallenge = await new Promise((resolve, reject) => {
+        const res = {headers: {}, setHeader(k, v) { this.headers[k] = v; }, end: (body) => resolve(JSON.parse(body))};
+        middleware.handleChallenge({headers: {}, ip: '1.2.3.4'}, res, reject);
+    });
+    const formReq = {headers: {}, ip: '1.2.3.4', body: {busybot: JSON.stringify({challenge: formChallenge, solution: solve(formChallenge)})}};
+    await new Promise((resolve, reject) => middleware.protect(formReq, {end: reject}, (err) => err ? reject(err) : resolve()));
+    t.pass('should read JSON solutions from form fields');
+    const statuses = [];
+    await middleware.protect({headers: {}, ip: '1.2.3.4', body: {busybot: '{not json'}}, {setHeader() {}, end() { statuses.push(this.statusCode); }}, t.fail);
+    t.same(statuses, [429], 'should treat unparseable form fields as missing');
+
+    const failing = createMiddleware({secrets: secret, store: {has: async () => { throw new Error('store unavailable'); }, add: async () => true}});
+    const err = await new Promise((resolve) => failing.protect(req, {}, resolve));
+    t.match(err, {message: 'store unavailable'}, 'should pass errors to next');
+    const generateErr = await new Promise((resolve) => createMiddleware({secrets: secret, challengeOptions: {}}).handleChallenge(req, {}, resolve));
+    t.match(generateErr, {message: 'Difficulty must be a positive integer.'}, 'should pass errors to next');
+
+    t.end();
+});
+
+t.test('fastify middleware', async t => {
+    const middleware = fastifyMiddleware({secrets: secret, challengeOptions});
+    // emulate fastify's reply
+    const reply = () => ({
+        headers: {},
+        code(status) { this.status = status; return this; },
+        header(k, v) { this.headers[k] = v; return this; },
+        send(body) { this.sent = body; return this; }
+    });
+
+    const challengeReply = reply();
+    const challenge = await middleware.handleChallenge({headers: {}, ip: '1.2.3.4'}, challengeReply);
+    t.match(challenge, {d: 10, m: 521, h: String}, 'should resolve to a challenge');
+    t.equal(challengeReply.headers['cache-control'], 'no-store', 'challenges should not be cached');
+
+    const missing = reply();
+    t.equal(await middleware.protect({headers: {}, ip: '1.2.3.4'}, missing), missing, 'should return the reply');
+    t.match(missing, {status: 429, sent: {error: 'Solution required', challenge: {d: 10}}}, 'should reject requests without a solution');
+
+    const wrong = reply();
+    await middleware.protect({headers: {}, body: {busybot: {challenge, solution: {s: '0x1'}}}}, wrong);
+    t.match(wrong, {status: 401, sent: {error: 'Invalid solution'}}, 'should reject incorrect solutions');
+
+    const solved = reply();
+    t.equal(await middleware.protect({...withSolution(challenge), ip: '1.2.3.4'}, solved), undefined, 'should continue with correct solutions');
+    t.equal(solved.sent, undefined, 'should not reply');
+
+    t.end();
+});
+
+t.test('invalid middleware arguments', t => {
+    const message = 'secrets must be a non-empty string or Uint8Array, or an array of them';
+    t.throws(() => createMiddleware(), {message}, 'should throw without secrets');
+    t.throws(() => createMiddleware({secrets: []}), {message}, 'should throw for empty secrets');
+    t.throws(() => fastifyMiddleware({secrets: ['']}), {message}, 'should throw for invalid secrets');
+    t.throws(() => createMiddleware({secrets: secret, challengeOptions: null}), {message: 'challengeOptions must be an object'}, 'should throw for invalid challenge options');
+    t.throws(() => createMiddleware({secrets: secret, policy: {}}), {message: 'policy must have .recordRequest(), .recordFailure() and .difficultyFor() methods'}, 'should throw for invalid policy');
+    t.throws(() => createMiddleware({secrets: secret, header: ''}), {message: 'header must be a non-empty string'}, 'should throw for invalid header');
+    t.throws(() => createMiddleware({secrets: secret, missingStatus: 200}), {message: 'missingStatus must be an HTTP error status'}, 'should throw for invalid status');
+    t.throws(() => createMiddleware({secrets: secret, invalidStatus: '401'}), {message: 'invalidStatus must be an HTTP error status'}, 'should throw for invalid status');
+    t.throws(() => createMiddleware({secrets: secret, clientKey: 'ip'}), {message: 'clientKey must be a function'}, 'should throw for invalid clientKey');
+    t.throws(() => fastifyMiddleware({secrets: secret, clientKey: null}), {message: 'clientKey must be a function'}, 'should throw for invalid clientKey');
+    t.throws(() => createMiddleware({secrets: secret, store: {}}), {message: 'store must have .has() and .add() methods'}, 'should throw for invalid store');
+    t.throws(() => createMiddleware({secrets: secret, bindTo: 'path'}), {message: 'bindTo must be a function'}, 'should throw for invalid bindTo');
+    t.throws(() => fastifyMiddleware({secrets: secret, bindTo: {}}), {message: 'bindTo must be a function'}, 'should throw for invalid bindTo');
+    t.end();
+});
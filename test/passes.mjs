@@ -0,0 +1,134 @@
+import t from 'tap';
+import { Buffer } from 'node:buffer';
+import { createHmac, createHash } from 'node:crypto';
+import { createPassIssuer, createMemoryStore, estimateSolveMs, generate, solve } from '../index.mjs';
+
+const secret = 'pass secret';
+const start = 1700000000000;
+
+async function solved(options={}) {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 200, secret, now: start, ...options});
+    return [challenge, solve(challenge)];
+}
+
+function clock() {
+    let time = start;
+    const now = () => time;
+    now.advance = (ms) => { time += ms; };
+    return now;
+}
+
+t.test('issues and checks passes', async t => {
+    const now = clock();
+    const issuer = createPassIssuer({secrets: secret, now});
+    const [challenge, solution] = await solved();
+    const pass = await issuer.issue(challenge, solution, {clientKey: '1.2.3.4'});
+    t.match(pass, {token: /^[A-Za-z0-9_-]+$/, expires: Number, uses: null}, 'should issue a pass');
+    t.equal(pass.token.length, Math.ceil((2 + 8 + 4 + 16 + 32) * 4 / 3), 'expected token length');
+
+    t.equal(await issuer.check(pass.token, {clientKey: '1.2.3.4'}), true, 'should accept the pass');
+    t.equal(await issuer.check(pass.token, {clientKey: '1.2.3.4'}), true, 'should accept the pass repeatedly');
+    t.equal(await issuer.check(pass.token, {clientKey: '5.6.7.8'}), false, 'should reject other clients');
+    t.equal(await createPassIssuer({secrets: 'other', now}).check(pass.token, {clientKey: '1.2.3.4'}), false, 'should reject other secrets');
+    t.equal(await createPassIssuer({secrets: ['other', secret], now}).check(pass.token, {clientKey: '1.2.3.4'}), true, 'should accept any of secrets');
+
+    now.advance((pass.expires * 1000) - start - 1);
+    t.equal(await issuer.check(pass.token, {clientKey: '1.2.3.4'}), true, 'should accept the pass until it expires');
+    now.advance(1);
+    t.equal(await issuer.check(pass.token, {clientKey: '1.2.3.4'}), false, 'should reject expired passes');
+    t.end();
+});
+
+t.test('token format', async t => {
+    const issuer = createPassIssuer({secrets: secret, maxUses: 3, now: () => start});
+    const {token, expires} = await issuer.issue(...await solved(), {clientKey: {ip: '1.2.3.4'}});
+    const bytes = Buffer.from(token, 'base64url');
+    t.same([...bytes.subarray(0, 2)], [1, 0x50], 'should have version and kind');
+    t.equal(Number(bytes.readBigUInt64BE(2)), expires, 'should encode the expiry');
+    t.equal(bytes.readUInt32BE(10), 3, 'should encode the uses');
+    const digest = createHash('sha256').update(JSON.stringify([['ip', '1.2.3.4']])).digest();
+    const signature = createHmac('sha256', secret).update(Buffer.concat([bytes.subarray(0, 30), digest])).digest();
+    t.same(bytes.subarray(30), signature, 'should be signed over the body and client key digest');
+
+    const modified = Buffer.from(bytes);
+    modified.writeUInt32BE(4, 10);
+    t.equal(await issuer.check(modified.toString('base64url'), {clientKey: {ip: '1.2.3.4'}}), false, 'should reject modified passes');
+    for (const invalid of ['', 'not a token', 42, token.slice(0, -2), `${token}AA`]) {
+        t.equal(await issuer.check(invalid, {clientKey: {ip: '1.2.3.4'}}), false, `should reject malformed token ${JSON.stringify(invalid)}`);
+    }
+    t.end();
+});
+
+t.test('lifetime is scaled by work', async t => {
+    const now = () => start;
+    const issuer = createPassIssuer({secrets: secret, secondsPerWorkSecond: 100, minTtlSeconds: 5, maxTtlSeconds: 600, now});
+    const lifetime = async (options) => (await issuer.issue(...await solved(options), {clientKey: 'k'})).expires - (start / 1000);
+
+    const [challenge] = await solved();
+    const expected = Math.round(estimateSolveMs(challenge) / 1000 * 100);
+    t.equal(await lifetime(), Math.max(5, expected), 'should scale by the estimated solve time');
+    t.ok(await lifetime({withDifficulty: 2000}) > await lifetime(), 'harder challenges should earn longer passes');
+    t.equal(await lifetime({withDifficulty: 1}), 5, 'should be at least minTtlSeconds');
+    t.equal(await createPassIssuer({secrets: secret, secondsPerWorkSecond: 100000, maxTtlSeconds: 600, now})
+        .issue(...await solved(), {clientKey: 'k'}).then(pass => pass.expires - (start / 1000)), 600, 'should be at most maxTtlSeconds');
+    t.end();
+});
+
+t.test('verifies solutions before issuing', async t => {
+    const now = () => start;
+    const store = createMemoryStore();
+    const issuer = createPassIssuer({secrets: secret, store, maxDifficulty: 1000, now});
+    const [challenge, solution] = await solved();
+
+    t.equal(await issuer.issue(challenge, {s: '0x1234'}, {clientKey: 'k'}), null, 'should reject incorrect solutions');
+    t.match(await issuer.issue(challenge, solution, {clientKey: 'k'}), {token: String}, 'should issue a pass for a correct solution');
+    t.equal(await issuer.issue(challenge, solution, {clientKey: 'k'}), null, 'should only exchange each challenge once');
+    t.equal(await store.has(challenge.c), true, 'should record the challenge in the store');
+
+    const unsigned = await generate({forMersenneExponent: 521, withDifficulty: 200});
+    t.equal(await issuer.issue(unsigned, solve(unsigned), {clientKey: 'k'}), null, 'should reject unsigned challenges');
+    const forged = {...challenge, d: 100};
+    t.equal(await issuer.issue(forged, solve(forged), {clientKey: 'k'}), null, 'should reject challenges modified by the client');
+    t.equal(await issuer.issue(...await solved({withDifficulty: 1001}), {clientKey: 'k'}), null, 'should reject challenges outside the limits');
+
+    const [bound, boundSolution] = await solved({bindTo: 'k'});
+    t.equal(await issuer.issue(bound, boundSolution, {clientKey: 'k', context: 'other'}), null, 'should reject challenges bound to another context');
+    t.match(await issuer.issue(bound, boundSolution, {clientKey: 'k', context: 'k'}), {token: String}, 'should accept challenges bound to the context');
+    t.end();
+});
+
+t.test('limits uses', async t => {
+    const store = createMemoryStore();
+    const issuer = createPassIssuer({secrets: secret, store, maxUses: 5, now: () => start});
+    const {token, uses} = await issuer.issue(...await solved(), {clientKey: 'k'});
+    t.equal(uses, 5, 'should report the uses');
+
+    const results = [];
+    for (let i = 0; i < 7; i++) {
+        results.push(await issuer.check(token, {clientKey: 'k'}));
+    }
+    t.same(results, [true, true, true, true, true, false, false], 'should accept maxUses checks');
+    t.equal(await issuer.check((await issuer.issue(...await solved(), {clientKey: 'k'})).token, {clientKey: 'k'}), true, 'should count uses for each pass separately');
+
+    const concurrent = (await issuer.issue(...await solved(), {clientKey: 'k'})).token;
+    const accepted = await Promise.all(Array.from({length: 10}, () => issuer.check(concurrent, {clientKey: 'k'})));
+    t.equal(accepted.filter(Boolean).length, 5, 'should accept at most maxUses concurrent checks');
+    t.end();
+});
+
+t.test('invalid arguments', async t => {
+    t.throws(() => createPassIssuer(), {code: 'INVALID_ARGUMENT', message: 'secrets must be a non-empty string or Uint8Array, or an array of them'}, 'should throw without secrets');
+    t.throws(() => createPassIssuer({secrets: secret, store: {}}), {message: 'store must have .has() and .add() methods'}, 'should throw for invalid store');
+    t.throws(() => createPassIssuer({secrets: secret, secondsPerWorkSecond: 0}), {message: 'secondsPerWorkSecond must be a positive number'}, 'should throw for invalid secondsPerWorkSecond');
+    t.throws(() => createPassIssuer({secrets: secret, minTtlSeconds: 0}), {message: 'minTtlSeconds must be a positive integer.'}, 'should throw for invalid minTtlSeconds');
+    t.throws(() => createPassIssuer({secrets: secret, minTtlSeconds: 60, maxTtlSeconds: 59}), {message: 'maxTtlSeconds must be an integer, at least minTtlSeconds.'}, 'should throw for invalid maxTtlSeconds');
+    t.throws(() => createPassIssuer({secrets: secret, maxUses: 0}), {message: 'maxUses must be a positive integer, at most 4294967295.'}, 'should throw for invalid maxUses');
+    t.throws(() => createPassIssuer({secrets: secret, allowedExponents: [4]}), {message: 'allowedExponents must be a non-empty array of Mersenne or pseudo-Mersenne exponents'}, 'should throw for invalid allowedExponents');
+
+    const issuer = createPassIssuer({secrets: secret});
+    const [challenge, solution] = await solved();
+    await t.rejects(issuer.issue(null, solution, {clientKey: 'k'}), {code: 'MALFORMED_CHALLENGE'}, 'should reject malformed challenges');
+    await t.rejects(issuer.issue(challenge, solution), {code: 'INVALID_ARGUMENT', message: 'clientKey must be a string, Uint8Array or object'}, 'should require a clientKey');
+    await t.rejects(issuer.check('token'), {message: 'clientKey must be a string, Uint8Array or object'}, 'should require a clientKey to check');
+    t.end();
+});
@@ -0,0 +1,137 @@
+import t from 'tap';
+import { createDifficultyPolicy, createMemoryStore, generate } from '../index.mjs';
+
+const levels = [
+    {above: 3, forMersenneExponent: 521, withDifficulty: 10},
+    {above: 6, forMersenneExponent: 1279, withDifficulty: 10},
+    {above: 12, forMersenneExponent: 1279, withDifficulty: 100}
+];
+
+t.test('escalates difficulty with request rate', async t => {
+    let now = 0;
+    const policy = createDifficultyPolicy({levels, halfLifeMs: 1000, now: () => now});
+
+    const decisions = [];
+    for (let i = 0; i < 14; i++) {
+        decisions.push(await policy.recordRequest('1.2.3.4'));
+    }
+    t.same(decisions.slice(0, 3), [null, null, null], 'quiet clients should not need a challenge');
+    t.same(decisions.slice(3, 6), Array(3).fill(levels[0]).map(({above: ignored_above, ...options}) => options), 'should escalate after the first threshold');
+    t.same(decisions[6], {forMersenneExponent: 1279, withDifficulty: 10}, 'should escalate after the second threshold');
+    t.same(decisions[13], {forMersenneExponent: 1279, withDifficulty: 100}, 'should not escalate beyond the ceiling');
+
+    t.equal(await policy.recordRequest('5.6.7.8'), null, 'clients should be tracked separately');
+
+    t.same(await policy.difficultyFor('1.2.3.4'), {forMersenneExponent: 1279, withDifficulty: 100}, 'should report difficulty without recording');
+    t.equal(await policy.score('1.2.3.4'), 14, 'should not record a request');
+
+    t.end();
+});
+
+t.test('scores decay', async t => {
+    let now = 1000000;
+    const policy = createDifficultyPolicy({levels, halfLifeMs: 1000, now: () => now});
+
+    for (let i = 0; i < 8; i++) {
+        await policy.recordRequest('client');
+    }
+    t.equal(await policy.score('client'), 8, 'score should count requests');
+
+    now += 1000;
+    t.equal(await policy.score('client'), 4, 'score should halve after the half-life');
+    t.same(await policy.difficultyFor('client'), {forMersenneExponent: 521, withDifficulty: 10}, 'difficulty should decrease');
+
+    now += 1000;
+    t.equal(await policy.recordRequest('client'), null, 'should not need a challenge after slowing down');
+    t.equal(await policy.score('client'), 3, 'score should include new request');
+
+    now += 100000;
+    t.equal(await policy.score('client'), 0, 'should forget clients after decaying');
+
+    t.end();
+});
+
+t.test('counts failed verifications', async t => {
+    let now = 0;
+    const policy = createDifficultyPolicy({levels, failureWeight: 4, now: () => now});
+
+    await policy.recordRequest('client');
+    t.equal(await policy.difficultyFor('client'), null, 'should not need a challenge');
+    await policy.recordFailure('client');
+    t.equal(await policy.score('client'), 5, 'failures should be weighted');
+    t.same(await policy.difficultyFor('client'), {forMersenneExponent: 521, withDifficulty: 10}, 'should escalate after failures');
+    await policy.recordFailure('client');
+    t.same(await policy.difficultyFor('client'), {forMersenneExponent: 1279, withDifficulty: 10}, 'should escalate after failures');
+
+    t.end();
+});
+
+t.test('default levels produce valid challenges', async t => {
+    let now = 0;
+    const policy = createDifficultyPolicy({now: () => now});
+    let options = null;
+    for (let i = 0; i < 11; i++) {
+        options = await policy.recordRequest('client');
+    }
+    t.match(await generate(options), {c: String, d: 10, m: 1279}, 'should generate a challenge');
+
+    t.end();
+});
+
+t.test('custom stores', async t => {
+    let now = 0;
+    const sets = [];
+    const memory = createMemoryStore({now: () => now});
+    const store = {
+        get: (key) => memory.get(key),
+        async set(key, value, ttlMs) {
+            sets.push({key, value, ttlMs});
+            await memory.set(key, value, ttlMs);
+        }
+    };
+    const policy = createDifficultyPolicy({levels, halfLifeMs: 500, store, now: () => now});
+    await policy.recordRequest('client');
+    now = 500;
+    await policy.recordRequest('client');
+    t.same(sets, [
+        {key: 'client', value: {score: 1, updated: 0}, ttlMs: 5000},
+        {key: 'client', value: {score: 1.5, updated: 500}, ttlMs: 5000}
+    ], 'should store state with a ttl');
+    t.end();
+});
+
+t.test('concurrent requests', async t => {
+    const now = () => 0;
+    const policy = createDifficultyPolicy({levels, store: createMemoryStore({now}), now});
+    await Promise.all([...Array(10)].map(() => policy.recordRequest('client')));
+    t.equal(await policy.score('client'), 10, 'should not lose increments with the memory store');
+
+    const updates = [];
+    const memory = createMemoryStore({now});
+    const store = {
+        get: (key) => memory.get(key),
+        set: () => t.fail('should not set when the store can update'),
+        async update(key, fn, ttlMs) {
+            updates.push({key, ttlMs});
+            return memory.update(key, fn, ttlMs);
+        }
+    };
+    const custom = createDifficultyPolicy({levels, halfLifeMs: 500, store, now});
+    await Promise.all([custom.recordRequest('client'), custom.recordFailure('client')]);
+    t.equal(await custom.score('client'), 6, 'should update custom stores atomically');
+    t.same(updates, [{key: 'client', ttlMs: 5000}, {key: 'client', ttlMs: 5000}], 'should update with a ttl');
+    t.end();
+});
+
+t.test('invalid policy arguments', t => {
+    t.throws(() => createDifficultyPolicy({levels: []}), {message: 'levels must be a non-empty array'}, 'should throw for empty levels');
+    t.throws(() => createDifficultyPolicy({levels: [levels[1], levels[0]]}), {message: 'levels must be sorted by increasing .above'}, 'should throw for unsorted levels');
+    t.throws(() => createDifficultyPolicy({levels: [{...levels[0], above: '3'}]}), {message: 'levels must be sorted by increasing .above'}, 'should throw for invalid threshold');
+    t.throws(() => createDifficultyPolicy({levels: [{...levels[0], forMersenneExponent: 31}]}), {message: '"31" is not a valid exponent for a challenge'}, 'should throw for small exponent');
+    t.throws(() => createDifficultyPolicy({levels: [{...levels[0], forMersenneExponent: 1000}]}), {message: '"1000" is not a valid exponent for a challenge'}, 'should throw for non-Mersenne exponent');
+    t.throws(() => createDifficultyPolicy({levels: [{...levels[0], withDifficulty: -1}]}), {message: 'Difficulty must be a positive integer.'}, 'should throw for invalid difficulty');
+    t.throws(() => createDifficultyPolicy({halfLifeMs: 0}), {message: 'halfLifeMs must be a positive number'}, 'should throw for invalid half-life');
+    t.throws(() => createDifficultyPolicy({failureWeight: -1}), {message: 'failureWeight must be a non-negative number'}, 'should throw for invalid failure weight');
+    t.throws(() => createDifficultyPolicy({store: {get() {}}}), {message: 'store must have .get() and .set() methods'}, 'should throw for invalid store');
+    t.end();
+});
@@ -0,0 +1,86 @@
+/* global AbortController */
+import t from 'tap';
+import { solve, solveAsync, resume, solveInWorker } from '../index.mjs';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+
+function checkProgress(t, progress, {iterations, total}) {
+    t.same(progress.map(p => p.iteration), iterations, 'expected progress iterations');
+    for (const p of progress) {
+        t.equal(p.total, total, 'expected total');
+        t.equal(p.fraction, p.iteration / total, 'expected fraction');
+        t.ok(p.elapsedMs >= 0, 'expected elapsed time');
+        if (p.elapsedMs > 0) {
+            t.ok(p.iterationsPerSecond > 0, 'expected rate');
+            t.ok(Math.abs(p.etaMs - (total - p.iteration) * 1000 / p.iterationsPerSecond) < 1e-6, 'eta should be consistent with rate');
+        } else {
+            t.same([p.iterationsPerSecond, p.etaMs], [null, null], 'rate should be unknown');
+        }
+    }
+    const last = progress[progress.length - 1];
+    t.equal(last.etaMs, 0, 'final eta should be zero');
+}
+
+t.test('reports rich progress from solve', t => {
+    const progress = [];
+    const fractions = [];
+    t.same(solve(challenge, {onProgress: (p) => progress.push(p), progressCallback: (f) => fractions.push(f)}), solution, 'expected correct solution');
+    checkProgress(t, progress, {iterations: Array.from({length: 200}, (_, i) => i + 1), total: 200});
+    t.equal(fractions.length, 200, 'progressCallback should still be called after each iteration');
+    t.equal(fractions[0], 1/200, 'progressCallback should still be called with fractions');
+    t.ok(progress[199].elapsedMs >= progress[0].elapsedMs, 'elapsed time should increase');
+    t.end();
+});
+
+t.test('throttles progress by iterations', async t => {
+    const progress = [];
+    solve(challenge, {onProgress: (p) => progress.push(p), progressEveryIterations: 60});
+    checkProgress(t, progress, {iterations: [60, 120, 180, 200], total: 200});
+
+    const asyncProgress = [];
+    await solveAsync(challenge, {onProgress: (p) => asyncProgress.push(p), progressEveryIterations: 150, yieldEveryMs: 0});
+    checkProgress(t, asyncProgress, {iterations: [150, 200], total: 200});
+    t.end();
+});
+
+t.test('throttles progress by time', async t => {
+    const progress = [];
+    solve(challenge, {onProgress: (p) => progress.push(p), progressEveryMs: 60000});
+    checkProgress(t, progress, {iterations: [200], total: 200});
+
+    const asyncProgress = [];
+    await solveAsync(challenge, {onProgress: (p) => asyncProgress.push(p), progressEveryMs: 10});
+    t.ok(asyncProgress.length < 200, 'should report less often');
+    // (except the final iteration, which is always reported)
+    for (let i = 1; i < asyncProgress.length - 1; i++) {
+        t.ok(asyncProgress[i].elapsedMs - asyncProgress[i-1].elapsedMs >= 10, 'should report at most every progressEveryMs');
+    }
+    t.equal(asyncProgress[asyncProgress.length - 1].iteration, 200, 'should report the final iteration');
+    t.end();
+});
+
+t.test('reports progress from checkpoints', t => {
+    let checkpoint;
+    solve(challenge, {onCheckpoint: (c) => { checkpoint = checkpoint ?? c; }, checkpointEvery: 150});
+    const progress = [];
+    resume(checkpoint, {onProgress: (p) => progress.push(p), progressEveryIterations: 20});
+    checkProgress(t, progress, {iterations: [170, 190, 200], total: 200});
+    t.end();
+});
+
+t.test('reports throttled progress from workers', async t => {
+    const progress = [];
+    t.same(await solveInWorker(challenge, {onProgress: (p) => progress.push(p), progressEveryIterations: 50}), solution, 'expected correct solution');
+    checkProgress(t, progress, {iterations: [50, 100, 150, 200], total: 200});
+    t.end();
+});
+
+t.test('invalid progress options', async t => {
+    t.throws(() => solve(challenge, {onProgress: 1}), {message: 'onProgress must be a function'}, 'should throw for invalid onProgress');
+    t.throws(() => solve(challenge, {progressEveryMs: -1}), {message: 'progressEveryMs must be a non-negative number'}, 'should throw for invalid progressEveryMs');
+    t.throws(() => solve(challenge, {progressEveryIterations: 0}), {message: 'progressEveryIterations must be a positive integer.'}, 'should throw for invalid progressEveryIterations');
+    await t.rejects(solveAsync(challenge, {progressEveryMs: 'often'}), {message: 'progressEveryMs must be a non-negative number'}, 'should reject for invalid progressEveryMs');
+    await t.rejects(solveInWorker(challenge, {progressEveryIterations: 1.5, signal: new AbortController().signal}), {message: 'progressEveryIterations must be a positive integer.'}, 'should reject for invalid progressEveryIterations');
+    t.end();
+});
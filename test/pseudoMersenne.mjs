@@ -0,0 +1,163 @@
+import t from 'tap';
+import { generate, solve, verify, verifyDetailed, verifySegments, initMathsFunctions, encodeChallenge, decodeChallenge, encodeSolution, decodeSolution, createDifficultyPolicy, createVerifier, estimateSolveMs } from '../index.mjs';
+import { Buffer } from 'node:buffer';
+
+const Backends = ['barrett', 'fold', 'limbs'];
+const Offsets = {256: 189n, 384: 317n, 768: 825n, 1024: 105n, 1536: 3453n, 2560: 2745n};
+
+function naiveModPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    for (; exponent > 0n; exponent >>= 1n) {
+        if (exponent & 1n) {
+            result = (result * base) % modulus;
+        }
+        base = (base * base) % modulus;
+    }
+    return result;
+}
+
+t.test('backends match the naive implementation', t => {
+    for (const [n, k] of Object.entries(Offsets)) {
+        const top = (1n << BigInt(n)) - 1n;
+        for (const backend of Backends) {
+            const { modulus, exponent, fastFixedExpPow, fastModPow, foldSquare, barrettFastSquare, verifySquare, barrettMul, foldMul } = initMathsFunctions({forPseudoMersenneExponent: Number(n), backend});
+            t.equal(modulus, top + 1n - k, `modulus should be 2^${n} - ${k}`);
+            t.equal(modulus % 4n, 3n, 'modulus should be 3 mod 4');
+            // values from the modulus to 2^n - 1 can be produced by flipping
+            // bits, so must be handled too
+            const values = [0n, 1n, 2n, modulus / 3n, (modulus * 5n) / 7n, modulus - 2n, modulus - 1n, modulus, top];
+            let ok = true;
+            for (const v of values) {
+                const expected = naiveModPow(v, exponent, modulus);
+                const square = (v * v) % modulus;
+                ok = ok &&
+                    fastFixedExpPow(v) === expected &&
+                    (v >= modulus || fastModPow(v) === expected) &&
+                    foldSquare(v) === square &&
+                    barrettFastSquare(v) === square &&
+                    verifySquare(v) === square &&
+                    barrettMul(v, modulus / 3n) === (v * (modulus / 3n)) % modulus &&
+                    foldMul(v, modulus - 1n) === (v * (modulus - 1n)) % modulus;
+            }
+            t.ok(ok, `${backend} should match for n=${n}`);
+        }
+    }
+    t.end();
+});
+
+t.test('repeated solve iterations', t => {
+    const maths = Backends.map(backend => initMathsFunctions({forPseudoMersenneExponent: 1024, backend}));
+    let values = maths.map(({modulus}) => modulus / 3n);
+    for (let i = 0; i < 20; i++) {
+        values = maths.map(({fastFixedExpPow}, j) => fastFixedExpPow(values[j] ^ 1n));
+    }
+    t.equal(values[1], values[0], 'fold should match barrett');
+    t.equal(values[2], values[0], 'limbs should match barrett');
+    t.end();
+});
+
+t.test('initMathsFunctions', t => {
+    t.throws(() => initMathsFunctions({forPseudoMersenneExponent: 521}), {code: 'UNKNOWN_EXPONENT', message: /^"521" is not the exponent of a known pseudo-Mersenne prime/}, 'should throw for Mersenne exponents');
+    t.throws(() => initMathsFunctions({forMersenneExponent: 1024}), {code: 'UNKNOWN_EXPONENT', message: /^"1024" is not known to be a Mersenne exponent/}, 'should throw for pseudo-Mersenne exponents');
+    t.throws(() => initMathsFunctions({forPseudoMersenneExponent: 1000}), {code: 'UNKNOWN_EXPONENT'}, 'should throw for unknown exponents');
+    t.throws(() => initMathsFunctions({forMersenneExponent: 521, forPseudoMersenneExponent: 1024}), {message: 'Only one of forMersenneExponent and forPseudoMersenneExponent can be specified.'}, 'should throw for both exponents');
+    t.equal(initMathsFunctions({forPseudoMersenneExponent: '1024'}).modulus, (1n << 1024n) - 105n, 'should accept numeric strings');
+    t.end();
+});
+
+t.test('generates, solves and verifies challenges', async t => {
+    const challenge = await generate({forPseudoMersenneExponent: 1024, withDifficulty: 20, secret: 'secret'});
+    t.match(challenge, {c: String, d: 20, m: 1024, k: 105}, 'should have .k');
+    const solution = solve(challenge);
+    t.ok(verify(challenge, solution, {secrets: 'secret'}), 'should verify');
+    t.notOk(verify({...challenge, d: 19}, solution), 'should not verify a different challenge');
+
+    const segmented = solve(challenge, {segmentEvery: 7});
+    t.ok(verifySegments(challenge, segmented, {secrets: 'secret'}), 'should verify segmented solutions');
+
+    const unsigned = {c: challenge.c, d: 20, m: 1024, k: 105};
+    t.not(solve({...unsigned, m: 1279, k: undefined}).s, solve(unsigned).s, 'should differ from Mersenne challenges');
+
+    await t.rejects(generate({forPseudoMersenneExponent: 521, withDifficulty: 1}), {code: 'UNKNOWN_EXPONENT'}, 'should reject Mersenne exponents');
+    await t.rejects(generate({forMersenneExponent: 1024, withDifficulty: 1}), {code: 'UNKNOWN_EXPONENT'}, 'should reject pseudo-Mersenne exponents as Mersenne');
+    await t.rejects(generate({forMersenneExponent: 521, forPseudoMersenneExponent: 1024, withDifficulty: 1}), {message: 'Only one of forMersenneExponent and forPseudoMersenneExponent can be specified.'}, 'should reject both exponents');
+
+    const profile = {solveIterationMs: {1279: 0.2, 1536: 0.4}, verifyIterationMs: {1279: 0.001, 1536: 0.001}};
+    t.match(await generate({targetSolveMs: 10, referenceProfile: profile}), {d: 25, m: 1536, k: 3453}, 'should choose pseudo-Mersenne exponents for targetSolveMs');
+    t.match(await generate({targetSolveMs: 10, forMersenneExponent: 1279, referenceProfile: profile}), {d: 50, m: 1279, k: undefined}, 'should use the given exponent for targetSolveMs');
+    t.ok(estimateSolveMs({m: 1024, d: 1}) > 0, 'should be in the reference profile');
+    t.end();
+});
+
+t.test('the modulus must be unambiguous', t => {
+    const challenge = {c: '0x1234', d: 5, m: 1024, k: 105};
+    const solution = solve(challenge);
+    t.ok(verify(challenge, solution), 'should verify');
+    const unknown = (modified, description) => {
+        t.same(verifyDetailed(modified, solution), {ok: false, reason: 'UNKNOWN_EXPONENT'}, description);
+        t.throws(() => solve(modified), {code: 'UNKNOWN_EXPONENT'}, description);
+    };
+    unknown({...challenge, k: undefined}, 'should reject missing .k');
+    unknown({...challenge, k: 101}, 'should reject the wrong .k');
+    unknown({...challenge, k: '105'}, 'should reject non-number .k');
+    unknown({c: '0x1234', d: 5, m: 521, k: 1}, 'should reject .k for Mersenne primes');
+    t.throws(() => solve({...challenge, k: 3}), {message: '"2^1024 - 3" is not a known pseudo-Mersenne prime'}, 'should describe the modulus');
+
+    const mersenne = {c: '0x1234', d: 5, m: 521};
+    t.ok(verify(mersenne, solve(mersenne)), 'should still verify Mersenne challenges without .k');
+    t.end();
+});
+
+t.test('encodes tokens', async t => {
+    const challenge = {c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 1024, k: 105};
+    const expected = Buffer.concat([
+        Buffer.from([1, 0x43, 4, 0, 0, 4, 0, 0, 0, 0, 105, 0, 0, 0, 0, 0, 0, 0, 200, 16]),
+        Buffer.from(challenge.c.slice(2), 'hex')
+    ]).toString('base64url');
+    t.equal(encodeChallenge(challenge), expected, 'expected packed challenge');
+    t.same(decodeChallenge(expected), challenge, 'should decode');
+
+    const signed = await generate({forPseudoMersenneExponent: 768, withDifficulty: 10, secret: 'secret', bindTo: 'context'});
+    const decoded = decodeChallenge(encodeChallenge(signed));
+    t.same(decoded, signed, 'should decode signed challenges');
+    const solution = solve(decoded);
+    t.ok(verify(decoded, solution, {secrets: 'secret', context: 'context'}), 'signature should still be valid');
+
+    const solutionToken = encodeSolution(solution, signed);
+    t.equal(Buffer.from(solutionToken, 'base64url').length, 6 + 768 / 8, 'should be sized to the modulus');
+    t.same(decodeSolution(solutionToken), solution, 'should decode solutions');
+
+    const modified = (fn) => {
+        const bytes = Buffer.from(expected, 'base64url');
+        fn(bytes);
+        return bytes.toString('base64url');
+    };
+    t.throws(() => decodeChallenge(modified(b => { b[10] = 101; })), {message: 'Malformed challenge token: k does not match the modulus for exponent 1024'}, 'should reject the wrong k');
+    t.throws(() => decodeChallenge(modified(b => { b[2] = 0; })), {message: 'Malformed challenge token: k does not match the modulus for exponent 1024'}, 'should reject missing k');
+    const mersenne = Buffer.from(encodeChallenge({c: '0x1234', d: 1, m: 521}), 'base64url');
+    mersenne[2] = 4;
+    t.throws(() => decodeChallenge(mersenne.toString('base64url')), {message: 'Malformed challenge token: k does not match the modulus for exponent 521'}, 'should reject k for Mersenne primes');
+    t.throws(() => decodeSolution(Buffer.concat([Buffer.from([1, 0x53, 0, 0, 4, 0]), Buffer.alloc(128, 0xff)]).toString('base64url')), {message: 'Malformed solution token: solution value out of range'}, 'should check solutions against the modulus');
+
+    t.throws(() => encodeChallenge({...challenge, k: 1}), {code: 'UNKNOWN_EXPONENT'}, 'should not encode the wrong k');
+    t.throws(() => encodeChallenge({...challenge, c: `0x${((1n << 1024n) - 105n).toString(16)}`}), {message: 'Malformed challenge: out of range for exponent.'}, 'should check challenges against the modulus');
+    t.end();
+});
+
+t.test('policies and verifiers', async t => {
+    const policy = createDifficultyPolicy({levels: [{above: 0, forPseudoMersenneExponent: 1024, withDifficulty: 10}]});
+    const options = await policy.recordRequest('client');
+    t.same(options, {forPseudoMersenneExponent: 1024, withDifficulty: 10}, 'should return the pseudo-Mersenne exponent');
+    t.match(await generate(options), {m: 1024, k: 105}, 'should produce a valid challenge');
+    t.throws(() => createDifficultyPolicy({levels: [{above: 0, forPseudoMersenneExponent: 521, withDifficulty: 10}]}), {message: '"521" is not a valid exponent for a challenge'}, 'should throw for Mersenne exponents');
+    t.throws(() => createDifficultyPolicy({levels: [{above: 0, forMersenneExponent: 521, forPseudoMersenneExponent: 1024, withDifficulty: 10}]}), {message: '"521" is not a valid exponent for a challenge'}, 'should throw for both exponents');
+
+    const verifier = createVerifier({allowedExponents: [1024]});
+    const challenge = await generate(options);
+    t.equal(await verifier.verify(challenge, solve(challenge)), true, 'should verify allowed exponents');
+    const defaults = createVerifier();
+    const other = await generate({forPseudoMersenneExponent: 2560, withDifficulty: 1});
+    t.equal(await defaults.verify(other, solve(other)), true, 'should allow pseudo-Mersenne exponents by default');
+    t.end();
+});
@@ -0,0 +1,130 @@
+/* global process, URL */
+import t from 'tap';
+import { execFile } from 'node:child_process';
+import { generate, solve, solveAsync, resume, resumeAsync, solveInWorker, verify, verifySegments } from '../index.mjs';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+const modulus = 2n ** 521n - 1n;
+
+t.test('segmented solutions', async t => {
+    const segmented = solve(challenge, {segmentEvery: 30});
+    t.match(segmented, {s: solution.s, segmentEvery: 30}, 'should include the solution and segmentEvery');
+    t.equal(segmented.segments.length, 6, 'should have a value for each segment boundary before the end');
+    t.same(segmented.segments, [30, 60, 90, 120, 150, 180].map(d => solve({...challenge, d}).s), 'values should be intermediate solutions');
+    t.ok(verify(challenge, segmented), 'should still verify in full');
+
+    t.equal(solve(challenge, {segmentEvery: 50}).segments.length, 3, 'should not repeat the final value');
+    t.same(solve(challenge, {segmentEvery: 500}), {...solution, segmentEvery: 500, segments: []}, 'should have no values for one segment');
+    t.same(solve(challenge), solution, 'should not be segmented by default');
+
+    t.same(await solveAsync(challenge, {segmentEvery: 30}), segmented, 'solveAsync should produce the same solution');
+    t.same(await solveInWorker(challenge, {segmentEvery: 30}), segmented, 'solveInWorker should produce the same solution');
+    t.end();
+});
+
+t.test('verifies segments', t => {
+    const segmented = solve(challenge, {segmentEvery: 30});
+    t.equal(verifySegments(challenge, segmented), true, 'should verify all segments');
+    for (let i = 0; i < 7; i++) {
+        t.equal(verifySegments(challenge, segmented, {segments: [i]}), true, `should verify segment ${i}`);
+    }
+    t.equal(verifySegments(challenge, segmented, {segments: []}), true, 'should verify no segments');
+    t.equal(verifySegments(challenge, segmented, {segments: 3}), true, 'should verify randomly chosen segments');
+    t.equal(verifySegments(challenge, segmented, {segments: 100}), true, 'should verify all segments if asked for more');
+
+    // both signs are accepted at each boundary, as for the challenge in verify()
+    const negated = {...segmented, segments: segmented.segments.map(v => `0x${(modulus - BigInt(v)).toString(16)}`)};
+    t.equal(verifySegments(challenge, negated), true, 'should accept negated values');
+    t.equal(verifySegments({...challenge, d: 0}, {s: challenge.c, segmentEvery: 1, segments: []}), true, 'should verify zero difficulty');
+    t.end();
+});
+
+t.test('samples segments securely without Web Crypto', async t => {
+    // (as in node < 19, where the segments must still be unpredictable)
+    const script = `
+        delete globalThis.crypto;
+        Math.random = () => { throw new Error('Math.random is not secure'); };
+        const { solve, verifySegments } = await import('./index.mjs');
+        const challenge = ${JSON.stringify(challenge)};
+        console.log(verifySegments(challenge, solve(challenge, {segmentEvery: 30}), {segments: 3}));
+    `;
+    const stdout = await new Promise((resolve, reject) => execFile(process.execPath, ['--input-type=module', '-e', script], {cwd: new URL('..', import.meta.url)}, (err, stdout) => err ? reject(err) : resolve(stdout)));
+    t.equal(stdout.trim(), 'true', 'should sample segments with node:crypto');
+    t.end();
+});
+
+t.test('rejects incorrect segments', t => {
+    const segmented = solve(challenge, {segmentEvery: 30});
+    const wrong = {...segmented, segments: segmented.segments.slice()};
+    wrong.segments[3] = '0x1234';
+    const results = [0, 1, 2, 3, 4, 5, 6].map(i => verifySegments(challenge, wrong, {segments: [i]}));
+    t.same(results, [true, true, true, false, false, true, true], 'should reject only the segments either side of a wrong value');
+    t.equal(verifySegments(challenge, wrong), false, 'should reject when checking all segments');
+    t.equal(verify(challenge, wrong), true, 'the solution itself is still correct');
+
+    t.equal(verifySegments(challenge, {...segmented, s: '0x1234'}), false, 'should reject a wrong solution');
+    t.equal(verifySegments({...challenge, c: '0x1234'}, segmented), false, 'should reject a different challenge');
+    t.equal(verifySegments(challenge, {...segmented, segments: [...segmented.segments.slice(0, -1), `0x${modulus.toString(16)}`]}), false, 'should reject out of range values');
+    t.equal(verifySegments(challenge, {...segmented, s: `0x${(modulus + 1n).toString(16)}`}, {segments: []}), false, 'should reject out of range values before checking segments');
+
+    const shifted = solve(challenge, {segmentEvery: 31});
+    t.equal(verifySegments(challenge, {...segmented, segments: shifted.segments}), false, 'should reject values from the wrong iterations');
+    t.end();
+});
+
+t.test('verifies signed segmented solutions', async t => {
+    const secret = 'segments secret';
+    const signed = await generate({forMersenneExponent: 521, withDifficulty: 20, secret});
+    const segmented = solve(signed, {segmentEvery: 5});
+    t.equal(verifySegments(signed, segmented, {secrets: secret}), true, 'should verify with the signing secret');
+    t.equal(verifySegments(signed, segmented, {secrets: 'another secret'}), false, 'should not verify with the wrong secret');
+    t.equal(verifySegments(signed, segmented, {secrets: secret, now: signed.e * 1000}), false, 'should not verify after expiry');
+    t.end();
+});
+
+t.test('checkpoints record segments', async t => {
+    const segmented = solve(challenge, {segmentEvery: 30});
+    const checkpoints = [];
+    solve(challenge, {segmentEvery: 30, onCheckpoint: (c) => checkpoints.push(JSON.parse(JSON.stringify(c))), checkpointEvery: 45});
+    t.match(checkpoints[2], {iteration: 135, segmentEvery: 30, segments: segmented.segments.slice(0, 4)}, 'should include the segments so far');
+    t.notOk('segments' in solve(challenge, {onCheckpoint: (c) => t.notOk('segmentEvery' in c, 'should not include segments unless segmenting'), checkpointEvery: 100}), 'should not segment');
+
+    for (const checkpoint of checkpoints) {
+        t.same(resume(checkpoint), segmented, `should resume segmenting from iteration ${checkpoint.iteration}`);
+    }
+    t.same(await resumeAsync(checkpoints[0], {segmentEvery: 30}), segmented, 'should resume asynchronously');
+
+    t.throws(() => resume(checkpoints[0], {segmentEvery: 20}), {message: 'segmentEvery must match the checkpoint'}, 'should reject a different segmentEvery');
+    let plain;
+    solve(challenge, {onCheckpoint: (c) => { plain = plain ?? c; }, checkpointEvery: 100});
+    t.throws(() => resume(plain, {segmentEvery: 30}), {message: 'segmentEvery must match the checkpoint'}, 'should reject segmentEvery for unsegmented checkpoints');
+
+    t.throws(() => resume({...checkpoints[2], segments: checkpoints[2].segments.slice(1)}), {message: 'Invalid checkpoint: checksum does not match'}, 'should reject modified segments');
+    t.throws(() => resume({...checkpoints[2], segmentEvery: 0}), {message: 'Invalid checkpoint: .segments must be an array of hex-encoded BigInts, and .segmentEvery a positive integer'}, 'should reject invalid segmentEvery');
+    t.throws(() => resume({...checkpoints[2], segments: [1]}), {message: 'Invalid checkpoint: .segments must be an array of hex-encoded BigInts, and .segmentEvery a positive integer'}, 'should reject invalid segments');
+    t.end();
+});
+
+t.test('invalid segment arguments', async t => {
+    const segmented = solve(challenge, {segmentEvery: 30});
+    let message = 'segmentEvery must be a positive integer.';
+    t.throws(() => solve(challenge, {segmentEvery: 0}), {message}, 'should throw for zero segmentEvery');
+    t.throws(() => solve(challenge, {segmentEvery: 1.5}), {message}, 'should throw for fractional segmentEvery');
+    await t.rejects(solveAsync(challenge, {segmentEvery: '30'}), {message}, 'should reject for invalid segmentEvery');
+    await t.rejects(solveInWorker(challenge, {segmentEvery: -1}), {message}, 'should reject for invalid segmentEvery');
+
+    message = 'Malformed solution: must have .segmentEvery: positive integer, and .segments: array of hex-encoded BigInts';
+    t.throws(() => verifySegments(challenge, solution), {message}, 'should throw for unsegmented solutions');
+    t.throws(() => verifySegments(challenge, {...segmented, segmentEvery: 0}), {message}, 'should throw for invalid k');
+    t.throws(() => verifySegments(challenge, {...segmented, segments: ['abc']}), {message}, 'should throw for invalid values');
+    t.throws(() => verifySegments(challenge, {...segmented, segments: segmented.segments.slice(1)}), {message: 'Malformed solution: .segments must have 6 values for .segmentEvery=30'}, 'should throw for missing values');
+    t.throws(() => verifySegments(challenge, {segmentEvery: 30, segments: []}), {message: 'Malformed solution: must have .s: hex-encoded BigInt'}, 'should throw for missing solution');
+    t.throws(() => verifySegments(null, segmented), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should throw for invalid challenges');
+
+    message = 'segments must be a non-negative integer, or an array of segment indices less than 7';
+    t.throws(() => verifySegments(challenge, segmented, {segments: [7]}), {message}, 'should throw for out of range segments');
+    t.throws(() => verifySegments(challenge, segmented, {segments: -1}), {message}, 'should throw for negative segments');
+    t.throws(() => verifySegments(challenge, segmented, {segments: 'all'}), {message}, 'should throw for invalid segments');
+    t.end();
+});
@@ -0,0 +1,103 @@
+import t from 'tap';
+import { createHmac } from 'node:crypto';
+import { generate, solve, verify } from '../index.mjs';
+
+const secret = 'correct horse battery staple';
+
+t.test('signed challenge format', async t => {
+    const now = 1700000000123;
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, secret, ttlSeconds: 60, now});
+
+    t.match(challenge, {
+        c: String,
+        d: 10,
+        m: 521,
+        t: 1700000000,
+        e: 1700000060,
+        h: /^[A-Za-z0-9_-]{43}$/
+    }, 'should have issue time, expiry and signature');
+
+    // the signature is HMAC-SHA256 over the other fields, in sorted order:
+    const payload = JSON.stringify([['c', challenge.c], ['d', 10], ['e', 1700000060], ['m', 521], ['t', 1700000000]]);
+    const expected = createHmac('sha256', secret).update(payload).digest('base64url');
+    t.equal(challenge.h, expected, 'signature should match node:crypto HMAC');
+
+    const binarySecret = new Uint8Array(100).fill(7);
+    const challenge2 = await generate({forMersenneExponent: 521, withDifficulty: 10, secret: binarySecret, now});
+    t.equal(challenge2.e, challenge2.t + 300, 'default ttl should be 300 seconds');
+    const {h, ...fields} = challenge2;
+    const payload2 = JSON.stringify(Object.keys(fields).sort().map(k => [k, fields[k]]));
+    t.equal(h, createHmac('sha256', binarySecret).update(payload2).digest('base64url'), 'long binary secrets should match node:crypto HMAC');
+
+    t.end();
+});
+
+t.test('verifies signed challenges', async t => {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, secret});
+    const solution = solve(challenge);
+
+    t.ok(verify(challenge, solution, {secrets: secret}), 'should verify with the signing secret');
+    t.ok(verify(challenge, solution, {secrets: ['old secret', secret]}), 'should verify with one of several accepted secrets');
+    t.ok(verify(challenge, solution), 'signature is not checked without secrets');
+
+    t.notOk(verify(challenge, solution, {secrets: 'another secret'}), 'should not verify with the wrong secret');
+    t.notOk(verify(challenge, solution, {secrets: ['old secret', 'another secret']}), 'should not verify without the signing secret');
+
+    t.end();
+});
+
+t.test('rejects expired challenges', async t => {
+    const now = Date.now();
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, secret, ttlSeconds: 10, now});
+    const solution = solve(challenge);
+
+    t.ok(verify(challenge, solution, {secrets: secret, now: now + 9000}), 'should verify before expiry');
+    t.notOk(verify(challenge, solution, {secrets: secret, now: now + 10000}), 'should not verify after expiry');
+
+    t.end();
+});
+
+t.test('rejects tampered challenges', async t => {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, secret});
+
+    const easier = {...challenge, d: 1};
+    t.notOk(verify(easier, solve(easier), {secrets: secret}), 'should not verify with modified difficulty');
+
+    const smaller = {...challenge, m: 607};
+    t.notOk(verify(smaller, solve(smaller), {secrets: secret}), 'should not verify with modified exponent');
+
+    const chosen = {...challenge, c: '0x1234'};
+    t.notOk(verify(chosen, solve(chosen), {secrets: secret}), 'should not verify with modified challenge value');
+
+    const extended = {...challenge, e: challenge.e + 1000};
+    t.notOk(verify(extended, solve(extended), {secrets: secret}), 'should not verify with modified expiry');
+
+    const extra = {...challenge, x: 1};
+    t.notOk(verify(extra, solve(extra), {secrets: secret}), 'should not verify with added fields');
+
+    const truncated = {...challenge, h: challenge.h.slice(0, -1)};
+    t.notOk(verify(truncated, solve(truncated), {secrets: secret}), 'should not verify with a truncated signature');
+
+    const {h: ignored_h, ...unsigned} = challenge;
+    t.notOk(verify(unsigned, solve(unsigned), {secrets: secret}), 'should not verify without a signature');
+
+    const plain = await generate({forMersenneExponent: 521, withDifficulty: 10});
+    t.notOk(verify(plain, solve(plain), {secrets: secret}), 'should not verify unsigned challenges when secrets are required');
+
+    t.end();
+});
+
+t.test('invalid signing arguments', async t => {
+    t.plan(6);
+
+    await t.rejects(generate({withDifficulty: 10, secret: ''}), {message: 'secret must be a non-empty string or Uint8Array'}, 'should reject empty secret');
+    await t.rejects(generate({withDifficulty: 10, secret: 123}), {message: 'secret must be a non-empty string or Uint8Array'}, 'should reject non-string secret');
+    await t.rejects(generate({withDifficulty: 10, secret, ttlSeconds: 0}), {message: 'ttlSeconds must be a positive integer.'}, 'should reject zero ttl');
+    await t.rejects(generate({withDifficulty: 10, secret, ttlSeconds: 1.5}), {message: 'ttlSeconds must be a positive integer.'}, 'should reject fractional ttl');
+
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 1, secret});
+    const solution = solve(challenge);
+    const message = 'secrets must be a non-empty string or Uint8Array, or an array of them';
+    t.throws(() => verify(challenge, solution, {secrets: []}), {message}, 'should throw for empty secrets');
+    t.throws(() => verify(challenge, solution, {secrets: [secret, null]}), {message}, 'should throw for invalid secrets');
+});
@@ -0,0 +1,107 @@
+/* global AbortController */
+import t from 'tap';
+import { setImmediate, setInterval, clearInterval } from 'node:timers';
+import { solve, solveAsync } from '../index.mjs';
+
+const vectors = [
+    {
+        challenge: { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 },
+        solution: { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' }
+    },
+    {
+        challenge: { c: '0x91c55b1a85853a8e6de551995abedbe9', d: 50, m: 1279 },
+        solution: { s: '0x10b40014cbcde369432d9af5a5e92671420f7bfea4d22d18c4fa68259d5a814f8e5660f3d953857470c7dcacfcbd4b714fbf389c964875730100606919cf4ff006bebd6dac668ff0c70ef1383655d52b8202463d9eee5ad7c059650c19a15a0668b10a9e71a5015b57bbb96028d1fb2711647ce6928a19a8324fd4cd296623f51b49e3235b293935c38a46b70396b3e3e65f9e48c275a876f87b2ed9d90b5bb4' }
+    }
+];
+
+t.test('solves test vectors', async t => {
+    for (const {challenge, solution} of vectors) {
+        const solved = await solveAsync(challenge);
+        t.same(solved, solution, `expected correct solution for m=${challenge.m}, difficulty=${challenge.d}`);
+        t.same(solved, solve(challenge), 'expected identical solution to solve()');
+    }
+    t.end();
+});
+
+t.test('yields to the event loop', async t => {
+    const {challenge, solution} = vectors[0];
+    let ticks = 0;
+    let ticking = true;
+    const tick = () => {
+        ticks++;
+        if (ticking) setImmediate(tick);
+    };
+    setImmediate(tick);
+
+    const solved = await solveAsync(challenge, {yieldEveryMs: 0});
+    ticking = false;
+    t.ok(ticks >= challenge.d - 1, 'other work should run between iterations');
+    t.same(solved, solution, 'expected correct solution');
+
+    t.end();
+});
+
+t.test('yields with setTimeout if setImmediate is unavailable', async t => {
+    const {challenge} = vectors[0];
+    const globalSetImmediate = globalThis.setImmediate;
+    t.teardown(() => { globalThis.setImmediate = globalSetImmediate; });
+    globalThis.setImmediate = undefined;
+
+    let timeouts = 0;
+    const timer = setInterval(() => timeouts++, 0);
+    const solved = await solveAsync({...challenge, d: 20}, {yieldEveryMs: 0});
+    clearInterval(timer);
+
+    t.ok(timeouts > 0, 'timers should run between iterations');
+    t.same(solved, solve({...challenge, d: 20}), 'expected correct solution');
+
+    t.end();
+});
+
+t.test('provides progress indication', async t => {
+    const {challenge, solution} = vectors[0];
+    const progress = [];
+    const solved = await solveAsync(challenge, {onProgress: (p) => progress.push(p)});
+
+    t.equal(progress.length, challenge.d, 'expected progress after each iteration');
+    t.match(progress[0], {iteration: 1, total: 200, fraction: 1/200, elapsedMs: Number}, 'expected progress details');
+    t.match(progress[199], {iteration: 200, total: 200, fraction: 1, etaMs: 0}, 'expected final progress');
+    t.same(solved, solution, 'expected correct solution');
+
+    t.end();
+});
+
+t.test('cancellation', async t => {
+    const {challenge} = vectors[0];
+
+    const aborted = new AbortController();
+    aborted.abort();
+    await t.rejects(solveAsync(challenge, {signal: aborted.signal}), {name: 'AbortError'}, 'should reject if already aborted');
+
+    const controller = new AbortController();
+    let iterations = 0;
+    const result = solveAsync(challenge, {signal: controller.signal, yieldEveryMs: 0, onProgress: ({iteration}) => {
+        iterations = iteration;
+        if (iteration === 5) controller.abort();
+    }});
+    await t.rejects(result, {name: 'AbortError'}, 'should reject when aborted');
+    t.equal(iterations, 5, 'should stop promptly when aborted');
+
+    const withReason = new AbortController();
+    setImmediate(() => withReason.abort(new Error('challenge expired')));
+    await t.rejects(solveAsync(challenge, {signal: withReason.signal, yieldEveryMs: 0}), {message: 'challenge expired'}, 'should reject with the abort reason');
+
+    const fakeSignal = {aborted: true};
+    await t.rejects(solveAsync(challenge, {signal: fakeSignal}), {name: 'AbortError'}, 'should reject with an AbortError for signals without a reason');
+
+    t.end();
+});
+
+t.test('invalid arguments', async t => {
+    t.plan(4);
+
+    await t.rejects(solveAsync(null), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should reject with invalid challenge');
+    await t.rejects(solveAsync({c: '0x112345678', d: 123, m: 31}), {message: 'Malformed challenge: out of range for exponent.'}, 'should reject with out of range challenge');
+    await t.rejects(solveAsync(vectors[0].challenge, {onProgress: {}}), {message: 'onProgress must be a function'}, 'should reject with invalid progress callback');
+    await t.rejects(solveAsync(vectors[0].challenge, {yieldEveryMs: 'soon'}), {message: 'yieldEveryMs must be a non-negative number'}, 'should reject with invalid yield interval');
+});
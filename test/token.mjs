@@ -0,0 +1,117 @@
+import t from 'tap';
+import { generate, solve, verify, encodeChallenge, decodeChallenge, encodeSolution, decodeSolution } from '../index.mjs';
+import { Buffer } from 'node:buffer';
+
+const challenge = { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 };
+const solution = { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' };
+
+// build a token independently of the implementation
+function token(...parts) {
+    return Buffer.concat(parts.map(p => Buffer.from(p))).toString('base64url');
+}
+function uint(n, length) {
+    return Buffer.from(BigInt(n).toString(16).padStart(length * 2, '0'), 'hex');
+}
+
+t.test('encodes challenges', t => {
+    const expected = token([1, 0x43, 0], uint(521, 4), uint(200, 8), [16], Buffer.from(challenge.c.slice(2), 'hex'));
+    t.equal(encodeChallenge(challenge), expected, 'expected packed challenge');
+    t.same(decodeChallenge(expected), challenge, 'should decode');
+    t.match(encodeChallenge(challenge), /^[A-Za-z0-9_-]+$/, 'should be base64url');
+
+    const leadingZero = {c: '0x00ab', d: 0, m: 61};
+    t.same(decodeChallenge(encodeChallenge(leadingZero)), leadingZero, 'should preserve leading zeros');
+    t.end();
+});
+
+t.test('encodes signed challenges', async t => {
+    const signed = await generate({forMersenneExponent: 521, withDifficulty: 10, secret: 'secret'});
+    const encoded = encodeChallenge(signed);
+    t.equal(encoded.length, Math.ceil((3 + 4 + 8 + 1 + 16 + 8 + 8 + 32) * 4 / 3), 'expected length');
+    t.same(decodeChallenge(encoded), signed, 'should decode');
+    t.ok(encoded.length < JSON.stringify(signed).length, 'should be smaller than JSON');
+
+    const decoded = decodeChallenge(encoded);
+    t.ok(verify(decoded, solve(decoded), {secrets: 'secret'}), 'signature should still be valid');
+
+    const expected = token([1, 0x43, 1], uint(signed.m, 4), uint(signed.d, 8), [16], Buffer.from(signed.c.slice(2), 'hex'),
+        uint(signed.t, 8), uint(signed.e, 8), Buffer.from(signed.h, 'base64url'));
+    t.equal(encoded, expected, 'expected packed signed challenge');
+    t.end();
+});
+
+t.test('encodes solutions', t => {
+    const expected = token([1, 0x53], uint(521, 4), uint(solution.s, 66));
+    t.equal(encodeSolution(solution, challenge), expected, 'expected packed solution');
+    t.same(decodeSolution(expected), solution, 'should decode');
+    t.ok(encodeSolution(solution, challenge).length < solution.s.length, 'should be smaller than hex');
+
+    t.same(decodeSolution(encodeSolution({s: '0x0001'}, challenge)), {s: '0x1'}, 'should decode canonical hex');
+    t.same(decodeSolution(encodeSolution({s: '0xABC'}, challenge)), {s: '0xabc'}, 'should decode lowercase hex');
+
+    const large = {c: '0x1234', d: 1, m: 11213};
+    const largeSolution = solve(large);
+    const encoded = encodeSolution(largeSolution, large);
+    t.equal(encoded.length, Math.ceil((6 + Math.ceil(11213 / 8)) * 4 / 3), 'should be sized to the modulus');
+    t.same(decodeSolution(encoded), largeSolution, 'should decode large solutions');
+    t.end();
+});
+
+t.test('rejects malformed challenge tokens', t => {
+    const valid = Buffer.from(encodeChallenge(challenge), 'base64url');
+    const modified = (fn) => {
+        const bytes = Buffer.from(valid);
+        fn(bytes);
+        return bytes.toString('base64url');
+    };
+    const rejects = (encoded, message, description) => t.throws(() => decodeChallenge(encoded), {message: `Malformed challenge token: ${message}`}, description);
+
+    rejects(123, 'invalid base64url', 'should reject non-strings');
+    rejects(encodeChallenge(challenge) + '=', 'invalid base64url', 'should reject padding');
+    rejects(encodeChallenge(challenge).replace(/^./, '+'), 'invalid base64url', 'should reject base64 characters');
+    rejects('', 'too short', 'should reject empty tokens');
+    rejects(modified(b => { b[0] = 2; }), 'unsupported version 2', 'should reject other versions');
+    rejects(encodeSolution(solution, challenge), 'not a challenge token', 'should reject solution tokens');
+    rejects(modified(b => { b[2] = 16; }), 'unknown flags', 'should reject unknown flags');
+    rejects(modified(b => { b[2] = 2; }), 'too short', 'should reject missing nonce');
+    rejects(modified(b => { b[2] = 1; }), 'too short', 'should reject missing signature');
+    rejects(modified(b => { b[6] = 0; }), '"512" is not a known Mersenne or pseudo-Mersenne exponent', 'should reject invalid exponents');
+    rejects(modified(b => { b[7] = 0xff; }), 'integer too large', 'should reject unsafe difficulty');
+    rejects(token([1, 0x43, 0], uint(521, 4), uint(1, 8), [0]), 'missing challenge value', 'should reject empty challenge value');
+    rejects(token([1, 0x43, 0], uint(61, 4), uint(1, 8), [8], uint(2n**61n - 1n, 8)), 'challenge value out of range', 'should reject out of range values');
+    rejects(token(valid, [0]), 'unexpected trailing data', 'should reject trailing data');
+    rejects(valid.subarray(0, -1).toString('base64url'), 'too short', 'should reject truncated tokens');
+    rejects(encodeChallenge(challenge).slice(0, -1) + 'h', 'invalid base64url', 'should reject non-canonical base64url');
+    t.end();
+});
+
+t.test('rejects malformed solution tokens', t => {
+    const rejects = (encoded, message, description) => t.throws(() => decodeSolution(encoded), {message: `Malformed solution token: ${message}`}, description);
+    rejects(null, 'invalid base64url', 'should reject non-strings');
+    rejects(encodeChallenge(challenge), 'not a solution token', 'should reject challenge tokens');
+    rejects(token([1, 0x53], uint(61, 4), uint(2n**61n - 1n, 8)), 'solution value out of range', 'should reject out of range values');
+    rejects(token([1, 0x53], uint(61, 4), uint(1, 7)), 'too short', 'should reject truncated values');
+    rejects(token([1, 0x53], uint(61, 4), uint(1, 9)), 'unexpected trailing data', 'should reject long values');
+    rejects(token([1, 0x53], uint(60, 4), uint(1, 8)), '"60" is not a known Mersenne or pseudo-Mersenne exponent', 'should reject invalid exponents');
+    t.end();
+});
+
+t.test('rejects challenges and solutions that cannot be encoded', t => {
+    t.throws(() => encodeChallenge(null), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should throw for malformed challenges');
+    t.throws(() => encodeChallenge({...challenge, x: 1}), {message: 'Challenge field "x" cannot be encoded'}, 'should throw for unknown fields');
+    t.throws(() => encodeChallenge({...challenge, m: 1000}), {message: /^"1000" is not known to be a Mersenne exponent/}, 'should throw for invalid exponents');
+    t.throws(() => encodeChallenge({...challenge, d: -1}), {message: 'Difficulty must be a positive integer.'}, 'should throw for invalid difficulty');
+    const message = 'Challenge .c must be lowercase hex with an even number of digits to be encoded';
+    t.throws(() => encodeChallenge({...challenge, c: '0x123'}), {message}, 'should throw for odd-length hex');
+    t.throws(() => encodeChallenge({...challenge, c: '0xABCD'}), {message}, 'should throw for uppercase hex');
+    t.throws(() => encodeChallenge({...challenge, c: '0x'}), {message}, 'should throw for empty hex');
+    t.throws(() => encodeChallenge({c: '0xffffffffffffffff', d: 1, m: 61}), {message: 'Malformed challenge: out of range for exponent.'}, 'should throw for out of range values');
+    t.throws(() => encodeChallenge({...challenge, t: 1}), {message: 'Malformed challenge: signed challenges must have .t, .e, and .h'}, 'should throw for partially signed challenges');
+    t.throws(() => encodeChallenge({...challenge, t: 1, e: 2, h: 'AAAA'}), {message: 'Malformed challenge: signed challenges must have .t, .e, and .h'}, 'should throw for invalid signatures');
+
+    t.throws(() => encodeSolution({s: 'abc'}, challenge), {message: 'Malformed solution: must have .s: hex-encoded BigInt'}, 'should throw for malformed solutions');
+    t.throws(() => encodeSolution(solution, null), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should throw without a challenge');
+    t.throws(() => encodeSolution({s: `0x${(2n**521n - 1n).toString(16)}`}, challenge), {message: 'Malformed solution: out of range for exponent.'}, 'should throw for out of range solutions');
+    t.throws(() => encodeSolution(solve(challenge, {segmentEvery: 50}), challenge), {message: 'Segmented solutions can not be encoded as tokens'}, 'should throw rather than drop segments');
+    t.end();
+});
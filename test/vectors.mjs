@@ -0,0 +1,62 @@
+/* global URL, TextEncoder */
+import t from 'tap';
+import { readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { generate, solve, verify, initMathsFunctions, encodeChallenge, encodeSolution, decodeChallenge, decodeSolution } from '../index.mjs';
+
+const vectors = JSON.parse(await readFile(new URL('../vectors.json', import.meta.url), 'utf8'));
+
+t.test('published vectors', async t => {
+    t.ok(vectors.length >= 9, 'should have vectors');
+    t.ok(new Set(vectors.map(v => v.challenge.m)).size >= 7, 'should cover several exponents');
+    for (const {seed, generate: options, challenge, solution, challengeToken, solutionToken} of vectors) {
+        const name = `${seed} (m=${challenge.m})`;
+        t.same(await generate({...options, seed}), challenge, `${name}: generate should reproduce the challenge`);
+        t.same(solve(challenge), solution, `${name}: solve should reproduce the solution`);
+        t.ok(verify(challenge, solution, {
+            ...(options.secret !== undefined && {secrets: options.secret, now: options.now}),
+            ...(options.bindTo !== undefined && {context: options.bindTo})
+        }), `${name}: should verify`);
+        t.equal(encodeChallenge(challenge), challengeToken, `${name}: should reproduce the challenge token`);
+        t.equal(encodeSolution(solution, challenge), solutionToken, `${name}: should reproduce the solution token`);
+        t.same(decodeChallenge(challengeToken), challenge, `${name}: should decode the challenge token`);
+        t.same(decodeSolution(solutionToken), solution, `${name}: should decode the solution token`);
+    }
+    t.end();
+});
+
+t.test('vectors agree across arithmetic backends', t => {
+    for (const {challenge, solution} of vectors.filter(v => v.challenge.m <= 1279)) {
+        const results = ['barrett', 'fold', 'limbs'].map(backend => {
+            const exponent = (challenge.k === undefined) ? {forMersenneExponent: challenge.m} : {forPseudoMersenneExponent: challenge.m};
+            const { fastFixedExpPow } = initMathsFunctions({...exponent, backend});
+            const flip = (challenge.f === undefined) ? 1n : BigInt(challenge.f);
+            let value = BigInt(challenge.c);
+            for (let i = 0; i < challenge.d; i++) {
+                value = fastFixedExpPow(value) ^ flip;
+            }
+            return `0x${value.toString(16)}`;
+        });
+        t.same(results, [solution.s, solution.s, solution.s], `all backends should reproduce the solution for m=${challenge.m}`);
+    }
+    t.end();
+});
+
+t.test('seeded challenges', async t => {
+    // the seeded bytes are the start of SHA-256(seed || 0x00000000)
+    const expected = createHash('sha256').update(Buffer.concat([Buffer.from('a seed'), Buffer.alloc(4)])).digest().subarray(0, 16);
+    t.same(await generate({withDifficulty: 10, seed: 'a seed'}), {c: `0x${expected.toString('hex')}`, d: 10, m: 1279}, 'should derive the challenge from the seed');
+    t.same(await generate({withDifficulty: 10, seed: new TextEncoder().encode('a seed')}), await generate({withDifficulty: 10, seed: 'a seed'}), 'string seeds should be UTF-8 encoded');
+    t.same(await generate({forMersenneExponent: 89, withDifficulty: 10, seed: 'a seed'}), {c: `0x${expected.subarray(0, 11).toString('hex')}`, d: 10, m: 89}, 'should use fewer bytes for small exponents');
+    t.not((await generate({withDifficulty: 10, seed: 'another seed'})).c, `0x${expected.toString('hex')}`, 'different seeds should produce different challenges');
+
+    const bound = await generate({withDifficulty: 10, seed: 'a seed', bindTo: 'context'});
+    t.equal(bound.n, `0x${expected.toString('hex')}`, 'should derive the nonce of bound challenges from the seed');
+
+    await t.rejects(generate({withDifficulty: 10, seed: 'a seed', randomSource: () => new Uint8Array(16)}), {message: 'Only one of randomSource and seed can be specified.'}, 'should reject seed with randomSource');
+    for (const seed of ['', 42, null, new Uint8Array(0)]) {
+        await t.rejects(generate({withDifficulty: 10, seed}), {message: 'seed must be a non-empty string or Uint8Array'}, `should reject seed ${JSON.stringify(seed)}`);
+    }
+    t.end();
+});
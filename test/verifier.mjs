@@ -0,0 +1,137 @@
+import t from 'tap';
+import { generate, solve, createVerifier, createMemoryStore } from '../index.mjs';
+
+t.test('rejects replayed solutions', async t => {
+    const verifier = createVerifier();
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10});
+    const solution = solve(challenge);
+
+    t.equal(await verifier.verify(challenge, solution), true, 'should verify the first time');
+    t.equal(await verifier.verify(challenge, solution), false, 'should not verify the second time');
+
+    const other = await generate({forMersenneExponent: 521, withDifficulty: 10});
+    t.equal(await verifier.verify(other, {s: '0x1234'}), false, 'should not verify incorrect solutions');
+    t.equal(await verifier.verify(other, solve(other)), true, 'incorrect solutions should not spend the challenge');
+
+    await t.rejects(verifier.verify(null, solution), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should reject malformed challenges');
+
+    t.end();
+});
+
+t.test('concurrent redemptions', async t => {
+    const verifier = createVerifier();
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10});
+    const solution = solve(challenge);
+
+    const results = await Promise.all([
+        verifier.verify(challenge, solution),
+        verifier.verify(challenge, solution),
+        verifier.verify(challenge, solution)
+    ]);
+    t.same(results.sort(), [false, false, true], 'exactly one concurrent redemption should succeed');
+
+    t.end();
+});
+
+t.test('uses custom stores', async t => {
+    const added = [];
+    const keys = new Set();
+    const store = {
+        async has(key) {
+            return keys.has(key);
+        },
+        async add(key, ttlMs) {
+            added.push({key, ttlMs});
+            if (keys.has(key)) return false;
+            keys.add(key);
+            return true;
+        }
+    };
+    const now = 1700000000000;
+    const secret = 'secret';
+
+    const verifier = createVerifier({store, secrets: secret, now: () => now});
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 10, secret, ttlSeconds: 60, now});
+    const solution = solve(challenge);
+
+    t.equal(await verifier.verify(challenge, solution), true, 'should verify');
+    t.equal(await verifier.verify(challenge, solution), false, 'should not verify again');
+    t.same(added, [{key: challenge.c, ttlMs: 60000}], 'signed challenges should be remembered until their expiry');
+
+    const unsignedVerifier = createVerifier({store, ttlSeconds: 10});
+    const unsigned = await generate({forMersenneExponent: 521, withDifficulty: 10});
+    t.equal(await unsignedVerifier.verify(unsigned, solve(unsigned)), true, 'should verify');
+    t.same(added[1], {key: unsigned.c, ttlMs: 10000}, 'unsigned challenges should be remembered for ttlSeconds');
+
+    t.end();
+});
+
+t.test('invalid verifier arguments', t => {
+    t.throws(() => createVerifier({store: {}}), {message: 'store must have .has() and .add() methods'}, 'should throw for invalid store');
+    t.throws(() => createVerifier({store: null}), {message: 'store must have .has() and .add() methods'}, 'should throw for null store');
+    t.throws(() => createVerifier({ttlSeconds: -1}), {message: 'ttlSeconds must be a positive integer.'}, 'should throw for invalid ttl');
+    t.throws(() => createMemoryStore({maxEntries: 0}), {message: 'maxEntries must be a positive integer.'}, 'should throw for invalid maxEntries');
+
+    t.end();
+});
+
+t.test('memory store expiry', async t => {
+    let now = 1000;
+    const store = createMemoryStore({now: () => now});
+
+    t.equal(await store.add('a', 100), true, 'should add new key');
+    t.equal(await store.add('a', 100), false, 'should not add existing key');
+    t.equal(await store.has('a'), true, 'should have key');
+
+    now = 1099;
+    t.equal(await store.has('a'), true, 'should have key before expiry');
+    now = 1100;
+    t.equal(await store.has('a'), false, 'should not have key after expiry');
+    t.equal(await store.add('a', 100), true, 'should add expired key again');
+
+    const store2 = createMemoryStore({now: () => now});
+    await store2.add('b', 10);
+    await store2.add('c', 10);
+    await store2.add('d', 1000);
+    now += 20;
+    await store2.add('e', 1000);
+    t.equal(store2.size, 2, 'should evict expired keys when adding');
+
+    t.end();
+});
+
+t.test('memory store eviction', async t => {
+    const store = createMemoryStore({maxEntries: 3});
+
+    await store.add('a', 10000);
+    await store.add('b', 10000);
+    await store.add('c', 10000);
+    // use a, so b is now least recently used:
+    t.equal(await store.has('a'), true, 'should have key');
+    await store.add('d', 10000);
+
+    t.equal(store.size, 3, 'should be limited to maxEntries');
+    t.equal(await store.has('b'), false, 'should evict least recently used key');
+    t.equal(await store.has('a'), true, 'should keep recently used key');
+    t.equal(await store.has('c'), true, 'should keep recently used key');
+    t.equal(await store.has('d'), true, 'should keep recently used key');
+
+    t.end();
+});
+
+t.test('memory store values', async t => {
+    let now = 1000;
+    const store = createMemoryStore({now: () => now});
+
+    t.equal(await store.get('a'), undefined, 'should not have value for missing key');
+    await store.set('a', {score: 1}, 100);
+    t.same(await store.get('a'), {score: 1}, 'should get value');
+    await store.set('a', {score: 2}, 100);
+    t.same(await store.get('a'), {score: 2}, 'should replace value');
+    t.equal(await store.add('a', 100), false, 'should not add existing key');
+
+    now = 1100;
+    t.equal(await store.get('a'), undefined, 'should not have value after expiry');
+
+    t.end();
+});
@@ -0,0 +1,170 @@
+import t from 'tap';
+import { generate, solve, solveAsync, resume, verify, verifyDetailed, verifySegments, encodeChallenge, decodeChallenge, encodeKctfChallenge } from '../index.mjs';
+import { Buffer } from 'node:buffer';
+
+const now = 1700000000000;
+
+t.test('unversioned challenges are unchanged', t => {
+    const challenge = {c: '0x1234', d: 10, m: 521};
+    const solution = solve(challenge);
+    const extended = {...challenge, f: '0x5a', o: 'ignored', t: -1};
+    t.same(solve(extended), solution, 'should ignore extension fields');
+    t.ok(verify(extended, solution), 'should verify ignoring extension fields');
+    t.end();
+});
+
+t.test('versioned challenges flip the bits of .f', async t => {
+    const challenge = {v: 1, c: '0x1234', d: 10, m: 521};
+    t.same(solve(challenge), solve({c: '0x1234', d: 10, m: 521}), 'should flip Flip_Bits without .f');
+
+    const flipped = {...challenge, f: '0x5a5a'};
+    const solution = solve(flipped);
+    t.not(solution.s, solve(challenge).s, 'should use .f');
+    t.ok(verify(flipped, solution), 'should verify');
+    t.same(verifyDetailed({...flipped, f: '0x5a5b'}, solution), {ok: false, reason: 'INCORRECT'}, 'should not verify with a different .f');
+    t.same(verifyDetailed(challenge, solution), {ok: false, reason: 'INCORRECT'}, 'should not verify without .f');
+    t.same(await solveAsync(flipped), solution, 'solveAsync should use .f');
+
+    const segmented = solve(flipped, {segmentEvery: 3});
+    t.equal(segmented.s, solution.s, 'should produce the same segmented solution');
+    t.ok(verifySegments(flipped, segmented), 'should verify segments');
+    t.notOk(verifySegments({...flipped, f: '0x1'}, segmented), 'should not verify segments with a different .f');
+
+    const checkpoints = [];
+    solve(flipped, {onCheckpoint: (c) => checkpoints.push(c), checkpointEvery: 4});
+    t.same(resume(checkpoints[0]), solution, 'should resume with .f');
+
+    const top = {...challenge, m: 61, c: '0x1234', f: `0x${((1n << 61n) - 1n).toString(16)}`};
+    t.ok(verify(top, solve(top)), 'should flip every bit below 2^m');
+    t.end();
+});
+
+t.test('pseudo-Mersenne challenges only flip the lsb', async t => {
+    const challenge = await generate({forPseudoMersenneExponent: 1024, withDifficulty: 50, flipMask: 1n, secret: 'secret', now: Date.now()});
+    t.match(challenge, {v: 1, m: 1024, k: 105, f: '0x1'}, 'should generate with a flipMask of 1');
+    const solution = solve(challenge);
+    t.ok(verify(challenge, solution, {secrets: 'secret'}), 'should verify');
+    t.same(await solveAsync(challenge), solution, 'solveAsync should use .f');
+    t.ok(verifySegments(challenge, solve(challenge, {segmentEvery: 10}), {secrets: 'secret'}), 'should verify segments');
+    t.same(decodeChallenge(encodeChallenge(challenge)), challenge, 'should round-trip tokens');
+
+    // (most steps' values are out by a factor of -1, which only commutes with
+    // flipping the lsb, so these could never be verified)
+    const message = 'Malformed challenge: .f must be 0x1 for pseudo-Mersenne moduli';
+    const flipped = {v: 1, c: '0x1234', d: 50, m: 1024, k: 105, f: '0x3'};
+    t.throws(() => solve(flipped), {code: 'MALFORMED_CHALLENGE', message}, 'should not solve other flip masks');
+    t.same(verifyDetailed(flipped, solution), {ok: false, reason: 'MALFORMED_CHALLENGE'}, 'should not verify other flip masks');
+    await t.rejects(generate({forPseudoMersenneExponent: 1024, withDifficulty: 5, flipMask: '0x3'}), {code: 'INVALID_ARGUMENT', message: 'flipMask must be 1 for pseudo-Mersenne exponents'}, 'should not generate other flip masks');
+    await t.rejects(generate({targetSolveMs: 1000, referenceProfile: {solveIterationMs: {1536: 4}, verifyIterationMs: {1536: 0.002}}, flipMask: '0x5a'}), {message: 'flipMask must be 1 for pseudo-Mersenne exponents'}, 'should not generate other flip masks for chosen exponents');
+
+    const bytes = Buffer.from(encodeChallenge({...flipped, f: '0x1'}), 'base64url');
+    bytes[bytes.length - 1] = 3;
+    t.throws(() => decodeChallenge(bytes.toString('base64url')), {message: 'Malformed challenge token: flip mask must be 1 for pseudo-Mersenne moduli', code: 'MALFORMED_TOKEN'}, 'should not decode other flip masks');
+    t.end();
+});
+
+t.test('unknown versions and malformed extensions are rejected', t => {
+    const challenge = {v: 1, c: '0x1234', d: 5, m: 521};
+    const rejects = (modified, message, description) => {
+        t.throws(() => solve(modified), {code: 'MALFORMED_CHALLENGE', message}, description);
+        t.same(verifyDetailed(modified, {s: '0x1'}), {ok: false, reason: 'MALFORMED_CHALLENGE'}, description);
+    };
+    for (const v of [0, 2, '1', null]) {
+        rejects({...challenge, v}, `Unsupported challenge version "${v}", expected one of: 1`, `should reject version ${JSON.stringify(v)}`);
+    }
+    const flipMessage = 'Malformed challenge: .f must be a non-zero hex-encoded BigInt less than 2^m';
+    rejects({...challenge, f: '0x0'}, flipMessage, 'should reject a zero .f');
+    rejects({...challenge, f: `0x${(1n << 521n).toString(16)}`}, flipMessage, 'should reject .f of 2^m');
+    rejects({...challenge, f: 1}, flipMessage, 'should reject a non-string .f');
+    rejects({...challenge, t: -1}, 'Malformed challenge: .t must be a non-negative integer', 'should reject a negative .t');
+    rejects({...challenge, t: 1.5}, 'Malformed challenge: .t must be a non-negative integer', 'should reject a non-integer .t');
+    rejects({...challenge, o: 1}, 'Malformed challenge: .o must be a string of at most 255 UTF-8 bytes', 'should reject a non-string .o');
+    rejects({...challenge, o: 'é'.repeat(128)}, 'Malformed challenge: .o must be a string of at most 255 UTF-8 bytes', 'should reject a long .o');
+    t.ok(verify({...challenge, o: 'é'.repeat(127)}, solve({...challenge, o: 'é'.repeat(127)})), 'should accept .o of 254 bytes');
+    t.end();
+});
+
+t.test('generates versioned challenges', async t => {
+    const plain = await generate({forMersenneExponent: 521, withDifficulty: 5, seed: 'versioned', now});
+    t.same(Object.keys(plain), ['c', 'd', 'm'], 'should not be versioned by default');
+
+    const versioned = await generate({forMersenneExponent: 521, withDifficulty: 5, seed: 'versioned', version: 1, now});
+    t.same(versioned, {v: 1, ...plain, t: 1700000000}, 'should have a version and issue time');
+    t.match(await generate({forMersenneExponent: 521, withDifficulty: 5, flipMask: 0x5An}), {v: 1, f: '0x5a'}, 'flipMask should imply version 1');
+    t.match(await generate({forMersenneExponent: 521, withDifficulty: 5, flipMask: '0x005A'}), {f: '0x5a'}, 'should normalise flipMask');
+    t.match(await generate({forMersenneExponent: 521, withDifficulty: 5, opaque: ''}), {v: 1, o: ''}, 'opaque should imply version 1');
+
+    const signed = await generate({forMersenneExponent: 521, withDifficulty: 5, flipMask: '0x3', opaque: 'nonce', secret: 'secret', bindTo: 'context', now: Date.now()});
+    const solution = solve(signed);
+    t.ok(verify(signed, solution, {secrets: 'secret', context: 'context'}), 'should verify signed challenges');
+    t.same(verifyDetailed({...signed, f: '0x1'}, solve({...signed, f: '0x1'}), {secrets: 'secret'}), {ok: false, reason: 'INVALID_SIGNATURE'}, 'should sign .f');
+    t.same(verifyDetailed({...signed, o: 'other'}, solution, {secrets: 'secret'}), {ok: false, reason: 'INVALID_SIGNATURE'}, 'should sign .o');
+    t.same(verifyDetailed({...signed, v: undefined, f: undefined}, solve({...signed, v: undefined, f: undefined}), {secrets: 'secret'}), {ok: false, reason: 'INVALID_SIGNATURE'}, 'should sign .v');
+
+    const rejects = (options, message) => t.rejects(generate({forMersenneExponent: 61, withDifficulty: 5, ...options}), {message, code: 'INVALID_ARGUMENT'}, `should reject: ${message}`);
+    await rejects({version: 2}, 'version must be one of: 1');
+    await rejects({version: '1'}, 'version must be one of: 1');
+    await rejects({flipMask: 0n}, 'flipMask must be a non-zero BigInt (or hex-encoded BigInt) less than 2^m');
+    await rejects({flipMask: 1n << 61n}, 'flipMask must be a non-zero BigInt (or hex-encoded BigInt) less than 2^m');
+    await rejects({flipMask: 3}, 'flipMask must be a non-zero BigInt (or hex-encoded BigInt) less than 2^m');
+    await rejects({opaque: 'x'.repeat(256)}, 'opaque must be a string of at most 255 UTF-8 bytes');
+    t.end();
+});
+
+t.test('maxAgeSeconds', async t => {
+    const challenge = await generate({forMersenneExponent: 521, withDifficulty: 5, version: 1, now});
+    const solution = solve(challenge);
+    t.ok(verify(challenge, solution, {maxAgeSeconds: 60, now: now + 59000}), 'should verify recent challenges');
+    t.same(verifyDetailed(challenge, solution, {maxAgeSeconds: 60, now: now + 60000}), {ok: false, reason: 'EXPIRED'}, 'should reject old challenges');
+    t.same(verifyDetailed({...challenge, t: undefined}, solution, {maxAgeSeconds: 60, now}), {ok: false, reason: 'EXPIRED'}, 'should reject challenges without an issue time');
+    t.notOk(verifySegments(challenge, solve(challenge, {segmentEvery: 2}), {maxAgeSeconds: 60, now: now + 60000}), 'verifySegments should reject old challenges');
+
+    const signed = await generate({forMersenneExponent: 521, withDifficulty: 5, secret: 'secret', now});
+    t.same(verifyDetailed(signed, solve(signed), {secrets: 'secret', maxAgeSeconds: 10, now: now + 20000}), {ok: false, reason: 'EXPIRED'}, 'should use the issue time of unversioned signed challenges');
+    t.throws(() => verify(challenge, solution, {maxAgeSeconds: 0}), {message: 'maxAgeSeconds must be a positive number', code: 'INVALID_ARGUMENT'}, 'should throw for invalid maxAgeSeconds');
+    t.end();
+});
+
+t.test('encodes versioned tokens', async t => {
+    const challenge = {v: 1, c: '0x1234', d: 5, m: 521, f: '0x1ab', o: 'é', t: 7};
+    const expected = Buffer.from([
+        1, 0x43, 8, 0, 0, 2, 9, 0, 0, 0, 0, 0, 0, 0, 5, 2, 0x12, 0x34,
+        1, 7, 0, 0, 0, 2, 0x01, 0xab, 2, 0xc3, 0xa9, 0, 0, 0, 0, 0, 0, 0, 7
+    ]).toString('base64url');
+    t.equal(encodeChallenge(challenge), expected, 'expected packed challenge');
+    t.same(decodeChallenge(expected), challenge, 'should decode');
+    t.same(decodeChallenge(encodeChallenge({v: 1, c: '0x1234', d: 5, m: 521})), {v: 1, c: '0x1234', d: 5, m: 521}, 'should encode challenges without extensions');
+
+    for (const options of [{secret: 'secret'}, {secret: 'secret', bindTo: 'context', forPseudoMersenneExponent: 1024, flipMask: '0x1'}, {bindTo: 'context'}]) {
+        const generated = await generate({forMersenneExponent: options.forPseudoMersenneExponent ? undefined : 521, withDifficulty: 5, flipMask: '0x3', opaque: 'nonce', ...options});
+        t.same(decodeChallenge(encodeChallenge(generated)), generated, `should round-trip ${Object.keys(options)}`);
+    }
+
+    t.throws(() => encodeChallenge({...challenge, f: '0x01ab'}), {message: 'Challenge .f must be lowercase hex without leading zeros to be encoded'}, 'should not encode .f with leading zeros');
+    t.throws(() => encodeChallenge({...challenge, f: '0x1AB'}), {message: 'Challenge .f must be lowercase hex without leading zeros to be encoded'}, 'should not encode uppercase .f');
+    t.throws(() => encodeChallenge({...challenge, v: 2}), {code: 'MALFORMED_CHALLENGE'}, 'should not encode unknown versions');
+    t.throws(() => encodeChallenge({...challenge, x: 1}), {message: 'Challenge field "x" cannot be encoded'}, 'should not encode unknown fields');
+    t.throws(() => encodeChallenge({c: '0x1234', d: 5, m: 521, f: '0x3'}), {message: 'Challenge field "f" cannot be encoded'}, 'should not encode extensions of unversioned challenges');
+    t.throws(() => encodeChallenge({c: '0x1234', d: 5, m: 521, t: 7}), {message: 'Malformed challenge: signed challenges must have .t, .e, and .h'}, 'should still treat .t of unversioned challenges as signed');
+
+    const modified = (fn) => {
+        const bytes = Buffer.from(expected, 'base64url');
+        fn(bytes);
+        return bytes.toString('base64url');
+    };
+    const rejects = (token, message, description) => t.throws(() => decodeChallenge(token), {message: `Malformed challenge token: ${message}`, code: 'MALFORMED_TOKEN'}, description);
+    rejects(modified(b => { b[18] = 2; }), 'unsupported challenge version 2', 'should reject unknown versions');
+    rejects(modified(b => { b[19] = 0x0f; }), 'unknown extensions', 'should reject unknown extensions');
+    rejects(modified(b => { b[2] = 9; }), 'unknown extensions', 'should reject an unsigned issue time in signed challenges');
+    rejects(modified(b => { b[24] = 0; }), 'flip mask must not have leading zeros', 'should reject a non-canonical .f');
+    rejects(modified(b => { b[28] = 0xff; }), 'opaque value is not valid UTF-8', 'should reject invalid UTF-8');
+    const wide = Buffer.from(encodeChallenge({v: 1, c: '0x1234', d: 5, m: 61, f: '0x1fffffffffffffff'}), 'base64url');
+    wide[24] = 0x20;
+    rejects(wide.toString('base64url'), 'flip mask out of range', 'should reject .f of 2^m or more');
+    t.end();
+});
+
+t.test('kCTF challenges are unversioned', t => {
+    t.throws(() => encodeKctfChallenge({v: 1, c: '0x1234', d: 5, m: 1279}), {message: 'kCTF challenges can\'t be versioned'}, 'should not encode versioned challenges');
+    t.end();
+});
@@ -0,0 +1,150 @@
+/* global AbortController */
+import t from 'tap';
+import { Worker as NodeWorker } from 'node:worker_threads';
+import { setTimeout } from 'node:timers/promises';
+import { solveInWorker, createSolverPool, OutOfRangeError } from '../index.mjs';
+
+const vectors = [
+    {
+        challenge: { c: '0x4e6d0a8496dd396958e303c4cc0ae3e6', d: 200, m: 521 },
+        solution: { s: '0x1052c2019bced2933bd694785a21d9792334851ac103552e2936622caf3cd8018656706493b775f63ed03af56dc69aa532d08623909a7a2333d6289b4d794ebe6c3' }
+    },
+    {
+        challenge: { c: '0x91c55b1a85853a8e6de551995abedbe9', d: 50, m: 1279 },
+        solution: { s: '0x10b40014cbcde369432d9af5a5e92671420f7bfea4d22d18c4fa68259d5a814f8e5660f3d953857470c7dcacfcbd4b714fbf389c964875730100606919cf4ff006bebd6dac668ff0c70ef1383655d52b8202463d9eee5ad7c059650c19a15a0668b10a9e71a5015b57bbb96028d1fb2711647ce6928a19a8324fd4cd296623f51b49e3235b293935c38a46b70396b3e3e65f9e48c275a876f87b2ed9d90b5bb4' }
+    }
+];
+
+// a challenge that takes much longer than any test should
+const slowChallenge = { c: '0x3763e9cb482e286c854e7683c85ef8f7', d: 1000000, m: 2203 };
+
+t.test('solves in a worker', async t => {
+    for (const {challenge, solution} of vectors) {
+        t.same(await solveInWorker(challenge), solution, `expected correct solution for m=${challenge.m}, difficulty=${challenge.d}`);
+    }
+    t.end();
+});
+
+t.test('provides progress indication', async t => {
+    const {challenge, solution} = vectors[0];
+    const progress = [];
+    const solved = await solveInWorker(challenge, {onProgress: (p) => progress.push(p)});
+
+    t.equal(progress.length, challenge.d, 'expected progress after each iteration');
+    t.match(progress[0], {iteration: 1, total: 200, fraction: 1/200, elapsedMs: Number}, 'expected progress details');
+    t.match(progress[199], {iteration: 200, total: 200, fraction: 1, etaMs: 0}, 'expected final progress');
+    t.same(solved, solution, 'expected correct solution');
+
+    t.end();
+});
+
+t.test('cancellation', async t => {
+    const aborted = new AbortController();
+    aborted.abort();
+    await t.rejects(solveInWorker(vectors[0].challenge, {signal: aborted.signal}), {name: 'AbortError'}, 'should reject if already aborted');
+
+    const controller = new AbortController();
+    const result = solveInWorker(slowChallenge, {signal: controller.signal, onProgress: ({iteration}) => {
+        if (iteration === 2) controller.abort();
+    }});
+    await t.rejects(result, {name: 'AbortError'}, 'should reject when aborted');
+
+    t.end();
+});
+
+t.test('worker errors', async t => {
+    await t.rejects(solveInWorker({c: '0x112345678', d: 123, m: 31}), {message: 'Malformed challenge: out of range for exponent.'}, 'should reject with errors from the worker');
+    await t.rejects(solveInWorker({c: '0x112345678', d: 123, m: 31}), OutOfRangeError, 'should preserve the class of errors from the worker');
+    await t.rejects(solveInWorker(null), {message: 'Malformed challenge: must have .c, .m, and .d'}, 'should reject malformed challenges before starting a worker');
+    await t.rejects(solveInWorker(vectors[0].challenge, {onProgress: 'yes'}), {message: 'onProgress must be a function'}, 'should reject invalid progress callbacks');
+    t.end();
+});
+
+t.test('solver pool', async t => {
+    const pool = createSolverPool({size: 2});
+    t.teardown(() => pool.close());
+
+    const challenges = [...vectors, ...vectors, vectors[0]];
+    const solutions = await Promise.all(challenges.map(({challenge}) => pool.solve(challenge)));
+    t.same(solutions, challenges.map(({solution}) => solution), 'expected correct solutions');
+
+    // abort a running job and a queued one, while others complete:
+    const running = new AbortController();
+    const queued = new AbortController();
+    const results = Promise.allSettled([
+        pool.solve(slowChallenge, {signal: running.signal}),
+        pool.solve(vectors[0].challenge),
+        pool.solve(vectors[1].challenge, {signal: queued.signal}),
+        pool.solve(vectors[1].challenge)
+    ]);
+    queued.abort();
+    running.abort();
+    const [slow, first, aborted, second] = await results;
+    t.match(slow, {status: 'rejected', reason: {name: 'AbortError'}}, 'running job should be aborted');
+    t.match(aborted, {status: 'rejected', reason: {name: 'AbortError'}}, 'queued job should be aborted');
+    t.same(first, {status: 'fulfilled', value: vectors[0].solution}, 'other jobs should complete');
+    t.same(second, {status: 'fulfilled', value: vectors[1].solution}, 'other jobs should complete');
+
+    t.same(await pool.solve(vectors[0].challenge), vectors[0].solution, 'pool should still work after aborts');
+
+    t.end();
+});
+
+t.test('closing solver pool', async t => {
+    const pool = createSolverPool({size: 1});
+    const running = pool.solve(slowChallenge);
+    const queued = pool.solve(vectors[0].challenge);
+    // let the worker start:
+    await setTimeout(100);
+    pool.close();
+
+    await t.rejects(running, {message: 'Solver pool was closed'}, 'running jobs should be rejected');
+    await t.rejects(queued, {message: 'Solver pool was closed'}, 'queued jobs should be rejected');
+    await t.rejects(pool.solve(vectors[0].challenge), {message: 'Solver pool was closed'}, 'new jobs should be rejected');
+
+    const closing = createSolverPool({size: 1});
+    const starting = closing.solve(vectors[0].challenge);
+    closing.close();
+    await t.rejects(starting, {message: 'Solver pool was closed'}, 'jobs should be rejected while workers are starting');
+
+    t.throws(() => createSolverPool({size: 0}), {message: 'size must be a positive integer.'}, 'should throw for invalid size');
+
+    t.end();
+});
+
+t.test('uses Web Workers where available', async t => {
+    // emulate the Web Worker API with a node worker
+    const created = [];
+    const instances = [];
+    globalThis.Worker = class {
+        constructor(url, options) {
+            created.push({url: String(url), options});
+            instances.push(this);
+            this.worker = new NodeWorker(url);
+            this.worker.on('message', (data) => this.onmessage({data}));
+            this.worker.on('error', (error) => this.onerror({message: error.message}));
+        }
+        postMessage(message) {
+            this.worker.postMessage(message);
+        }
+        terminate() {
+            this.worker.terminate();
+        }
+    };
+    t.teardown(() => { delete globalThis.Worker; });
+
+    const {challenge, solution} = vectors[1];
+    t.same(await solveInWorker(challenge), solution, 'expected correct solution');
+    t.equal(created.length, 1, 'should create a Web Worker');
+    t.match(created[0], {url: /\/worker\.mjs$/, options: {type: 'module'}}, 'should create a module worker');
+
+    // emulate an error in the worker:
+    const pool = createSolverPool();
+    t.teardown(() => pool.close());
+    const failing = pool.solve(slowChallenge);
+    await setTimeout(100);
+    instances[1].onerror({message: 'out of memory'});
+    await t.rejects(failing, {message: 'Solver worker failed: out of memory'}, 'should reject with worker errors');
+
+    t.end();
+});
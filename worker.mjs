@@ -0,0 +1,49 @@
+//  Copyright 2025 http://github.com/autopulated
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+
+/* global self, WorkerGlobalScope */
+
+// Worker script used by solveInWorker() and createSolverPool(), which runs
+// either as a node:worker_threads Worker, or as a (module) Web Worker.
+//
+// Each message received is of the form:
+// {
+//   challenge: {c, d, m}, (the challenge to solve)
+//   progress: {progressEveryMs, progressEveryIterations}, (or null for no progress messages)
+//   segmentEvery: 100 (or undefined for an unsegmented solution)
+// }
+// and for each, this posts zero or more progress messages of the form
+// {progress: {iteration, total, fraction, ...}} (see solve()'s onProgress),
+// followed by either {solution: {s, ...}}, or {error: {message, code}}.
+import { solve } from './index.mjs';
+
+function handleMessage({challenge, progress, segmentEvery}, postMessage) {
+    try {
+        const solution = solve(challenge, {
+            ...progress,
+            segmentEvery,
+            onProgress: progress ? (p) => postMessage({progress: p}) : undefined
+        });
+        postMessage({solution});
+    } catch (e) {
+        postMessage({error: {message: e.message, code: e.code}});
+    }
+}
+
+if ((typeof WorkerGlobalScope) !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (event) => handleMessage(event.data, (message) => self.postMessage(message));
+} else {
+    const { parentPort } = await import(/* webpackIgnore: true */ 'node:worker_threads');
+    parentPort.on('message', (data) => handleMessage(data, (message) => parentPort.postMessage(message)));
+}